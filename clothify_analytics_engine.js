@@ -1,14 +1,50 @@
 // Clothify Analytics Engine
-// Version 1.0.0
+// Version 1.8.0
 // Business Intelligence and Data Visualization Module
 
-// Load Clothify inventory data
-const clothifyData = JSON.parse(localStorage.getItem('clothify_inventory_data') || '[]');
+// Clothify inventory data and sales history, loaded from the storage backend
+// (archived SKUs only when ?archived=1, one location only when ?location=<id>)
+const dashboardParams = new URLSearchParams(location.search);
+const includeArchived = dashboardParams.get('archived') === '1';
+const selectedLocation = dashboardParams.get('location') || 'all';
+let clothifyAllData = [];
+let clothifyData = [];
+let clothifyLedger = null;
+let analytics = null;
+
+function loadClothifyData() {
+    clothifyAllData = clothifyStore.get('clothify_inventory_data', []);
+    clothifyData = includeArchived ? clothifyAllData : clothifyAllData.filter(p => !p.archived);
+    clothifyLedger = new ClothifySalesLedger(clothifyStore);
+
+    let ledger = clothifyLedger;
+    if (selectedLocation !== 'all') {
+        // Stock and sold become the figures for that location; products never stocked there drop out
+        ledger = clothifyLedger.forLocation(selectedLocation);
+        clothifyData = clothifyData
+            .map(p => ({ ...p, ...ledger.deriveTotals(p.sku) }))
+            .filter(p => p.stock !== 0 || p.sold !== 0);
+    }
+    analytics = new ClothifyAnalytics(clothifyData, ledger);
+}
+
+function setDashboardParam(name, value) {
+    if (value) {
+        dashboardParams.set(name, value);
+    } else {
+        dashboardParams.delete(name);
+    }
+    const query = dashboardParams.toString();
+    location.search = query ? `?${query}` : '';
+}
 
 // Analytics Module
 class ClothifyAnalytics {
-    constructor(data) {
+    constructor(data, ledger) {
         this.inventoryData = data;
+        this.ledger = ledger;
+        this.forecaster = new ClothifyForecaster(ledger);
+        this.profitability = new Map();
     }
 
     calculateMetrics() {
@@ -22,46 +58,224 @@ class ClothifyAnalytics {
             avgTurnover = (totalSold / (totalStock + totalSold) * 100).toFixed(1);
         }
 
+        const profits = this.inventoryData.map(p => this.getProfitability(p));
+        const total = (field) => profits.reduce((sum, p) => sum + p[field], 0);
+        const revenue = total('revenue');
+        const costedRevenue = total('costedRevenue');
+        const grossProfit = total('profit');
+
         return {
             totalProducts,
             totalStock,
             totalSold,
-            avgTurnover
+            avgTurnover,
+            revenue,
+            discounts: total('discounts'),
+            cogs: total('cogs'),
+            grossProfit,
+            grossMargin: costedRevenue > 0 ? (grossProfit / costedRevenue * 100).toFixed(1) : null,
+            valuationCost: total('stockValueCost'),
+            valuationRetail: total('stockValueRetail'),
+            uncostedUnits: total('uncostedUnits'),
+            uncostedStock: total('uncostedStock')
         };
     }
 
+    // Net sales valued at the price recorded with each sale, and at the moving-average cost in effect at the time.
+    // Units sold before the ledger existed (opening balances) count at the opening price and cost price.
+    // Profit and margin only cover units with a known cost, so a missing cost price doesn't read as pure profit.
+    getProfitability(product) {
+        if (this.profitability.has(product.sku)) return this.profitability.get(product.sku);
+
+        const costPrice = typeof product.costPrice === 'number' ? product.costPrice : null;
+        const history = this.ledger.getCostHistory(product.sku, costPrice);
+        let revenue = 0;
+        let discounts = 0;
+        let costedRevenue = 0;
+        let cogs = 0;
+        let uncostedUnits = 0;
+        this.ledger.getEvents({ sku: product.sku }).forEach(e => {
+            let units = 0;
+            if (e.type === 'sale') units = e.quantity;
+            if (e.type === 'return') units = -e.quantity;
+            if (e.type === 'adjustment') units = e.sold || 0;
+            if (units === 0) return;
+
+            if (e.type === 'sale') discounts += e.discount || 0;
+            const amount = units * (e.unitPrice !== null && e.unitPrice !== undefined ? e.unitPrice : product.price);
+            const unitCost = history.costs.get(e.id);
+            revenue += amount;
+            if (unitCost === null || unitCost === undefined) {
+                uncostedUnits += units;
+            } else {
+                costedRevenue += amount;
+                cogs += units * unitCost;
+            }
+        });
+
+        const stock = Math.max(0, product.stock);
+        const result = {
+            revenue,
+            discounts,
+            costedRevenue,
+            cogs,
+            profit: costedRevenue - cogs,
+            margin: costedRevenue > 0 ? (costedRevenue - cogs) / costedRevenue * 100 : null,
+            averageCost: history.averageCost,
+            stockValueCost: history.averageCost === null ? 0 : stock * history.averageCost,
+            stockValueRetail: stock * product.price,
+            uncostedUnits,
+            uncostedStock: history.averageCost === null ? stock : 0
+        };
+        this.profitability.set(product.sku, result);
+        return result;
+    }
+
+    // Discount given per promotion, from what each sale recorded; promotions that were deleted keep their recorded name.
+    // promotions: the current promotion records, so ones that haven't been used yet are listed too.
+    getPromotionReport(promotions = []) {
+        const report = new Map();
+        const entryFor = (id, name, promotion = null) => {
+            if (!report.has(id)) report.set(id, { id, name, promotion, discount: 0, units: 0, transactions: new Set() });
+            return report.get(id);
+        };
+        promotions.forEach(p => entryFor(p.id, p.name, p));
+
+        this.ledger.getEvents({ type: 'sale' })
+            .filter(e => e.promotions && this.isTrackedSku(e.sku))
+            .forEach(e => e.promotions.forEach(applied => {
+                const entry = entryFor(applied.id, applied.name);
+                entry.discount += applied.amount;
+                entry.units += applied.units || 0;
+                entry.transactions.add(e.transactionId || e.id);
+            }));
+
+        return [...report.values()]
+            .map(entry => ({ ...entry, discount: Math.round(entry.discount * 100) / 100, transactions: entry.transactions.size }))
+            .sort((a, b) => b.discount - a.discount || a.name.localeCompare(b.name));
+    }
+
+    // by: 'sold' (units) or 'profit' (gross profit contribution)
+    rankProducts(by = 'sold') {
+        const value = (p) => by === 'profit' ? this.getProfitability(p).profit : p.sold;
+        return [...this.inventoryData].sort((a, b) => value(b) - value(a) || b.sold - a.sold);
+    }
+
     getTopSellers(limit = 5) {
         return [...this.inventoryData]
             .sort((a, b) => b.sold - a.sold)
             .slice(0, limit);
     }
 
-    generateSalesTrend(days = 7) {
-        const dates = [];
-        const sales = [];
-        
-        for (let i = days - 1; i >= 0; i--) {
-            const date = new Date();
-            date.setDate(date.getDate() - i);
-            dates.push(date.toLocaleDateString('en', { weekday: 'short' }));
-            sales.push(Math.floor(Math.random() * 30) + 10);
+    isTrackedSku(sku) {
+        if (!this.trackedSkus) {
+            this.trackedSkus = new Set(this.inventoryData.map(p => p.sku));
         }
-        
-        return { dates, sales };
+        return this.trackedSkus.has(this.ledger.resolveSku(sku));
     }
 
-    generateForecast(days = 7) {
-        const dates = [];
-        const forecast = [];
-        
-        for (let i = 0; i < days; i++) {
-            const date = new Date();
-            date.setDate(date.getDate() + i);
-            dates.push(date.toLocaleDateString('en', { weekday: 'short' }));
-            forecast.push(Math.floor(Math.random() * 40) + 15);
+    generateSalesTrend(days = 7, granularity = 'day') {
+        const end = new Date();
+        const start = new Date(end.getFullYear(), end.getMonth(), end.getDate() - (days - 1));
+        return this.generateSalesTrendForRange(start, end, granularity);
+    }
+
+    // Buckets net sales (sales minus returns) by day, week or month in the browser's local timezone
+    generateSalesTrendForRange(start, end, granularity = 'day') {
+        const buckets = [];
+        let cursor = this.getBucketStart(start, granularity);
+        while (cursor <= end) {
+            const next = this.getNextBucketStart(cursor, granularity);
+            buckets.push({ start: cursor, end: next, units: 0, revenue: 0 });
+            cursor = next;
+        }
+
+        this.ledger.getEvents({ since: start })
+            .filter(e => (e.type === 'sale' || e.type === 'return') && new Date(e.timestamp) <= end && this.isTrackedSku(e.sku))
+            .forEach(e => {
+                const time = new Date(e.timestamp);
+                const bucket = buckets.find(b => time >= b.start && time < b.end);
+                if (!bucket) return;
+                const sign = e.type === 'sale' ? 1 : -1;
+                bucket.units += sign * e.quantity;
+                bucket.revenue += sign * e.quantity * (e.unitPrice || 0);
+            });
+
+        const longRange = buckets.length > 7;
+        return {
+            dates: buckets.map(b => this.formatBucketLabel(b.start, granularity, longRange)),
+            units: buckets.map(b => b.units),
+            revenue: buckets.map(b => Math.round(b.revenue * 100) / 100),
+            sales: buckets.map(b => b.units)
+        };
+    }
+
+    getBucketStart(date, granularity) {
+        switch (granularity) {
+            case 'week': {
+                const daysSinceMonday = (date.getDay() + 6) % 7;
+                return new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysSinceMonday);
+            }
+            case 'month':
+                return new Date(date.getFullYear(), date.getMonth(), 1);
+            default:
+                return new Date(date.getFullYear(), date.getMonth(), date.getDate());
         }
-        
-        return { dates, forecast };
+    }
+
+    getNextBucketStart(bucketStart, granularity) {
+        switch (granularity) {
+            case 'week':
+                return new Date(bucketStart.getFullYear(), bucketStart.getMonth(), bucketStart.getDate() + 7);
+            case 'month':
+                return new Date(bucketStart.getFullYear(), bucketStart.getMonth() + 1, 1);
+            default:
+                return new Date(bucketStart.getFullYear(), bucketStart.getMonth(), bucketStart.getDate() + 1);
+        }
+    }
+
+    formatBucketLabel(date, granularity, longRange) {
+        switch (granularity) {
+            case 'week':
+                return `Wk ${date.toLocaleDateString('en', { month: 'short', day: 'numeric' })}`;
+            case 'month':
+                return date.toLocaleDateString('en', { month: 'short', year: 'numeric' });
+            default:
+                return longRange
+                    ? date.toLocaleDateString('en', { month: 'short', day: 'numeric' })
+                    : date.toLocaleDateString('en', { weekday: 'short' });
+        }
+    }
+
+    // scope: 'all', 'design:<name>' or 'sku:<code>'
+    generateForecast(days = 7, scope = 'all') {
+        if (scope.startsWith('sku:')) {
+            return this.forecaster.forecastSku(scope.substring(4), days);
+        }
+        if (scope.startsWith('design:')) {
+            return this.forecaster.forecastDesign(this.inventoryData, scope.substring(7), days);
+        }
+        return this.forecaster.forecastSkus(this.inventoryData.map(p => p.sku), days);
+    }
+
+    getDesigns() {
+        return [...new Set(this.inventoryData.map(p => p.design))].sort((a, b) => a.localeCompare(b));
+    }
+
+    // Share of a design's units sold and of its stock on hand per size, smallest size first
+    getSizeCurve(design) {
+        const variants = this.inventoryData.filter(p => p.design === design);
+        const rank = (size) => SIZE_CURVE_ORDER.includes(size) ? SIZE_CURVE_ORDER.indexOf(size) : SIZE_CURVE_ORDER.length;
+        const sizes = [...new Set(variants.map(p => p.size))].sort((a, b) => rank(a) - rank(b));
+        const totalSold = variants.reduce((sum, p) => sum + p.sold, 0);
+        const totalStock = variants.reduce((sum, p) => sum + p.stock, 0);
+        const share = (part, total) => total > 0 ? Math.round(part / total * 1000) / 10 : 0;
+
+        return sizes.map(size => {
+            const sold = variants.filter(p => p.size === size).reduce((sum, p) => sum + p.sold, 0);
+            const stock = variants.filter(p => p.size === size).reduce((sum, p) => sum + p.stock, 0);
+            return { size, sold, stock, soldShare: share(sold, totalSold), stockShare: share(stock, totalStock) };
+        });
     }
 
     analyzeProductPerformance(product) {
@@ -87,8 +301,27 @@ class ClothifyAnalytics {
     }
 }
 
-// Initialize Analytics
-const analytics = new ClothifyAnalytics(clothifyData);
+// Charts
+const SIZE_CURVE_ORDER = ['XS', 'S', 'M', 'L', 'XL', 'XXL'];
+const STOCK_CHART_ROW_HEIGHT = 28;
+let salesTrendChart = null;
+let forecastChart = null;
+let sizeCurveChart = null;
+
+function formatMoney(value) {
+    const amount = Math.abs(value).toLocaleString('en', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${value < -0.005 ? '-' : ''}$${amount}`;
+}
+
+// Names and other stored text go through this before they are put into innerHTML
+function escapeHTML(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
 
 // Update Metrics Display
 function updateMetrics() {
@@ -98,6 +331,29 @@ function updateMetrics() {
     document.getElementById('total-stock').textContent = metrics.totalStock.toLocaleString();
     document.getElementById('total-sold').textContent = metrics.totalSold.toLocaleString();
     document.getElementById('avg-turnover').textContent = metrics.avgTurnover + '%';
+    document.getElementById('total-revenue').textContent = formatMoney(metrics.revenue);
+    document.getElementById('revenue-note').textContent = metrics.discounts > 0
+        ? `Net of returns · ${formatMoney(metrics.discounts)} in promotions`
+        : 'Net of returns, at recorded sale prices';
+    document.getElementById('total-cogs').textContent = formatMoney(metrics.cogs);
+    document.getElementById('cogs-note').textContent = metrics.uncostedUnits > 0
+        ? `${metrics.uncostedUnits} unit(s) sold with no cost price`
+        : 'At moving average cost';
+    document.getElementById('cogs-note').parentElement.className = metrics.uncostedUnits > 0 ? 'metric-change negative' : 'metric-change';
+    document.getElementById('gross-profit').textContent = formatMoney(metrics.grossProfit);
+    document.getElementById('valuation-cost').textContent = formatMoney(metrics.valuationCost);
+    document.getElementById('valuation-retail').textContent = `${formatMoney(metrics.valuationRetail)} at retail` +
+        (metrics.uncostedStock > 0 ? ` · ${metrics.uncostedStock} unit(s) with no cost price` : '');
+
+    const marginIndicator = document.getElementById('margin-indicator');
+    if (metrics.grossMargin === null) {
+        marginIndicator.className = 'metric-change';
+        marginIndicator.innerHTML = '<span>No sales yet</span>';
+    } else {
+        marginIndicator.className = `metric-change ${metrics.grossProfit >= 0 ? 'positive' : 'negative'}`;
+        const scope = metrics.uncostedUnits > 0 ? ' on costed sales' : '';
+        marginIndicator.innerHTML = `<span>${metrics.grossProfit >= 0 ? '↑' : '↓'}</span><span>${metrics.grossMargin}% gross margin${scope}</span>`;
+    }
 
     // Update turnover indicator
     const turnoverIndicator = document.getElementById('turnover-indicator');
@@ -114,24 +370,29 @@ function updateMetrics() {
 }
 
 // Create Stock Levels Chart
+// Every variant gets a row, grouped by design; the chart grows taller and scrolls instead of cutting rows off
 function createStockChart() {
+    const products = [...clothifyData].sort((a, b) => a.design.localeCompare(b.design));
+    const body = document.getElementById('stock-chart-body');
+    body.style.height = `${Math.max(body.parentElement.clientHeight, products.length * STOCK_CHART_ROW_HEIGHT)}px`;
     const ctx = document.getElementById('stockChart').getContext('2d');
-    const productLabels = clothifyData.map(p => `${p.design} (${p.size}/${p.color})`);
-    const stockData = clothifyData.map(p => p.stock);
+    const productLabels = products.map(p => `${p.design} (${p.size}/${p.color})`);
+    const stockData = products.map(p => p.stock);
 
     new Chart(ctx, {
         type: 'bar',
         data: {
-            labels: productLabels.slice(0, 10),
+            labels: productLabels,
             datasets: [{
                 label: 'Stock Level',
-                data: stockData.slice(0, 10),
+                data: stockData,
                 backgroundColor: 'rgba(139, 92, 246, 0.6)',
                 borderColor: 'rgba(139, 92, 246, 1)',
                 borderWidth: 1
             }]
         },
         options: {
+            indexAxis: 'y',
             responsive: true,
             maintainAspectRatio: false,
             plugins: {
@@ -140,16 +401,15 @@ function createStockChart() {
                 }
             },
             scales: {
-                y: {
+                x: {
                     beginAtZero: true,
                     ticks: {
                         stepSize: 1
                     }
                 },
-                x: {
+                y: {
                     ticks: {
-                        maxRotation: 45,
-                        minRotation: 45
+                        autoSkip: false
                     }
                 }
             }
@@ -209,22 +469,62 @@ function createTopSellersChart() {
     });
 }
 
+// Read the selected range and granularity from the sales trend controls
+function getSalesTrendSelection() {
+    const range = document.getElementById('trend-range').value;
+    const granularity = document.getElementById('trend-granularity').value;
+
+    if (range === 'custom') {
+        const startValue = document.getElementById('trend-start').value;
+        const endValue = document.getElementById('trend-end').value;
+        if (!startValue || !endValue) return null;
+        const [sy, sm, sd] = startValue.split('-').map(Number);
+        const [ey, em, ed] = endValue.split('-').map(Number);
+        const start = new Date(sy, sm - 1, sd);
+        const end = new Date(ey, em - 1, ed, 23, 59, 59, 999);
+        if (start > end) return null;
+        return { start, end, granularity, title: `${start.toLocaleDateString()} – ${end.toLocaleDateString()}` };
+    }
+
+    const days = parseInt(range);
+    const end = new Date();
+    const start = new Date(end.getFullYear(), end.getMonth(), end.getDate() - (days - 1));
+    return { start, end, granularity, title: `Last ${days} Days` };
+}
+
 // Create Sales Trend Chart
 function createSalesTrendChart() {
+    const selection = getSalesTrendSelection();
+    if (!selection) return;
+
     const ctx = document.getElementById('salesTrendChart').getContext('2d');
-    const trend = analytics.generateSalesTrend();
+    const trend = analytics.generateSalesTrendForRange(selection.start, selection.end, selection.granularity);
+    document.getElementById('sales-trend-title').textContent = `📊 Sales Trend (${selection.title})`;
 
-    new Chart(ctx, {
+    if (salesTrendChart) {
+        salesTrendChart.destroy();
+    }
+
+    salesTrendChart = new Chart(ctx, {
         type: 'line',
         data: {
             labels: trend.dates,
             datasets: [{
-                label: 'Daily Sales',
-                data: trend.sales,
+                label: 'Units Sold',
+                data: trend.units,
                 borderColor: 'rgba(139, 92, 246, 1)',
                 backgroundColor: 'rgba(139, 92, 246, 0.1)',
                 tension: 0.4,
-                fill: true
+                fill: true,
+                yAxisID: 'y'
+            }, {
+                label: 'Revenue ($)',
+                data: trend.revenue,
+                borderColor: 'rgba(16, 185, 129, 1)',
+                backgroundColor: 'rgba(16, 185, 129, 0.1)',
+                tension: 0.4,
+                fill: false,
+                yAxisID: 'y1'
             }]
         },
         options: {
@@ -232,35 +532,101 @@ function createSalesTrendChart() {
             maintainAspectRatio: false,
             plugins: {
                 legend: {
-                    display: false
+                    display: true
                 }
             },
             scales: {
                 y: {
-                    beginAtZero: true
+                    beginAtZero: true,
+                    position: 'left',
+                    title: {
+                        display: true,
+                        text: 'Units'
+                    }
+                },
+                y1: {
+                    beginAtZero: true,
+                    position: 'right',
+                    grid: {
+                        drawOnChartArea: false
+                    },
+                    title: {
+                        display: true,
+                        text: 'Revenue ($)'
+                    }
                 }
             }
         }
     });
 }
 
+function initArchivedToggle() {
+    const toggle = document.getElementById('include-archived');
+    toggle.checked = includeArchived;
+    toggle.addEventListener('change', () => setDashboardParam('archived', toggle.checked ? '1' : null));
+}
+
+function initLocationFilter() {
+    const select = document.getElementById('location-filter');
+    const locations = clothifyStore.get('clothify_locations', [{ id: DEFAULT_LOCATION_ID, name: 'Shop floor' }]);
+    select.innerHTML = '<option value="all">All locations combined</option>' +
+        locations.map(l => `<option value="${escapeHTML(l.id)}">${escapeHTML(l.name)}${l.closed ? ' (closed)' : ''}</option>`).join('');
+    select.value = selectedLocation;
+    select.addEventListener('change', () => setDashboardParam('location', select.value === 'all' ? null : select.value));
+}
+
+function initSalesTrendControls() {
+    const rangeSelect = document.getElementById('trend-range');
+    const customRange = document.getElementById('trend-custom-range');
+
+    rangeSelect.addEventListener('change', () => {
+        customRange.style.display = rangeSelect.value === 'custom' ? 'flex' : 'none';
+        createSalesTrendChart();
+    });
+    ['trend-granularity', 'trend-start', 'trend-end'].forEach(id => {
+        document.getElementById(id).addEventListener('change', createSalesTrendChart);
+    });
+}
+
 // Create Forecast Chart
 function createForecastChart() {
     const ctx = document.getElementById('forecastChart').getContext('2d');
-    const forecast = analytics.generateForecast();
+    const scope = document.getElementById('forecast-scope').value;
+    const forecast = analytics.generateForecast(7, scope);
+    const round = (values) => values.map(v => Math.round(v * 10) / 10);
 
-    new Chart(ctx, {
+    const accuracy = forecast.mape !== null ? `backtest MAPE ${forecast.mape.toFixed(1)}%` : 'not enough sales to backtest';
+    document.getElementById('forecast-summary').textContent =
+        `${forecast.model} · ${forecast.historyDays} day(s) of history · ${accuracy} · shaded band is the 95% interval`;
+
+    if (forecastChart) {
+        forecastChart.destroy();
+    }
+
+    forecastChart = new Chart(ctx, {
         type: 'line',
         data: {
             labels: forecast.dates,
             datasets: [{
+                label: 'Lower Bound',
+                data: round(forecast.lower),
+                borderColor: 'transparent',
+                pointRadius: 0,
+                fill: false
+            }, {
+                label: 'Upper Bound',
+                data: round(forecast.upper),
+                borderColor: 'transparent',
+                backgroundColor: 'rgba(236, 72, 153, 0.15)',
+                pointRadius: 0,
+                fill: '-1'
+            }, {
                 label: 'Predicted Demand',
-                data: forecast.forecast,
+                data: round(forecast.forecast),
                 borderColor: 'rgba(236, 72, 153, 1)',
-                backgroundColor: 'rgba(236, 72, 153, 0.1)',
                 borderDash: [5, 5],
                 tension: 0.4,
-                fill: true
+                fill: false
             }]
         },
         options: {
@@ -280,6 +646,102 @@ function createForecastChart() {
     });
 }
 
+function initForecastControls() {
+    const scopeSelect = document.getElementById('forecast-scope');
+    const designs = [...new Set(clothifyData.map(p => p.design))].sort((a, b) => a.localeCompare(b));
+
+    scopeSelect.innerHTML = '<option value="all">All products</option>' +
+        designs.map(d => `<option value="design:${escapeHTML(d)}">Design: ${escapeHTML(d)}</option>`).join('') +
+        clothifyData.map(p => `<option value="sku:${escapeHTML(p.sku)}">SKU: ${escapeHTML(p.sku)} (${escapeHTML(p.size)}/${escapeHTML(p.color)})</option>`).join('');
+    scopeSelect.addEventListener('change', createForecastChart);
+}
+
+function createSizeCurveChart() {
+    const ctx = document.getElementById('sizeCurveChart').getContext('2d');
+    const curve = analytics.getSizeCurve(document.getElementById('size-curve-design').value);
+
+    // Point out the size whose stock share lags its sales share the most
+    const gaps = curve.filter(s => s.soldShare > s.stockShare).sort((a, b) => (b.soldShare - b.stockShare) - (a.soldShare - a.stockShare));
+    let summary = 'Stock on hand is spread across sizes at least as much as sales are';
+    if (curve.every(s => s.sold === 0)) {
+        summary = 'No sales for this design yet';
+    } else if (gaps.length > 0) {
+        summary = `${gaps[0].size} is ${gaps[0].soldShare}% of sales but only ${gaps[0].stockShare}% of stock on hand`;
+    }
+    document.getElementById('size-curve-summary').textContent = summary;
+
+    if (sizeCurveChart) {
+        sizeCurveChart.destroy();
+    }
+
+    sizeCurveChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: curve.map(s => s.size),
+            datasets: [{
+                label: '% of Units Sold',
+                data: curve.map(s => s.soldShare),
+                backgroundColor: 'rgba(236, 72, 153, 0.6)',
+                borderColor: 'rgba(236, 72, 153, 1)',
+                borderWidth: 1
+            }, {
+                label: '% of Stock on Hand',
+                data: curve.map(s => s.stockShare),
+                backgroundColor: 'rgba(139, 92, 246, 0.6)',
+                borderColor: 'rgba(139, 92, 246, 1)',
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        callback: (value) => `${value}%`
+                    }
+                }
+            }
+        }
+    });
+}
+
+function initSizeCurveControls() {
+    const designSelect = document.getElementById('size-curve-design');
+    designSelect.innerHTML = analytics.getDesigns().map(d => `<option value="${escapeHTML(d)}">${escapeHTML(d)}</option>`).join('');
+    designSelect.addEventListener('change', createSizeCurveChart);
+}
+
+function populatePromotionReport() {
+    const tbody = document.getElementById('promotion-report-tbody');
+    const promotionManager = new ClothifyPromotionManager(clothifyStore);
+    const report = analytics.getPromotionReport(promotionManager.getAllPromotions());
+    const statusLabels = { running: 'Running', scheduled: 'Scheduled', paused: 'Paused', ended: 'Ended' };
+
+    if (report.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" style="text-align: center; padding: 40px; color: var(--text-secondary);">
+                    No promotions yet. Set them up in the Admin Portal.
+                </td>
+            </tr>
+        `;
+        return;
+    }
+
+    tbody.innerHTML = report.map(entry => `
+        <tr>
+            <td>${escapeHTML(entry.name)}</td>
+            <td>${entry.promotion ? escapeHTML(`${promotionManager.describeRule(entry.promotion)} · ${promotionManager.describeScope(entry.promotion)}`) : '—'}</td>
+            <td>${entry.promotion ? statusLabels[promotionManager.getStatus(entry.promotion)] : 'Deleted'}</td>
+            <td>${entry.transactions}</td>
+            <td>${entry.units}</td>
+            <td>${formatMoney(entry.discount)}</td>
+        </tr>
+    `).join('');
+}
+
 // Populate SKU Analysis Table
 function populateSKUAnalysis() {
     const tbody = document.getElementById('sku-analysis-tbody');
@@ -287,7 +749,7 @@ function populateSKUAnalysis() {
     if (clothifyData.length === 0) {
         tbody.innerHTML = `
             <tr>
-                <td colspan="6" style="text-align: center; padding: 40px; color: var(--text-secondary);">
+                <td colspan="11" style="text-align: center; padding: 40px; color: var(--text-secondary);">
                     No inventory data available. Add products in the Admin Portal to see analytics.
                 </td>
             </tr>
@@ -295,15 +757,24 @@ function populateSKUAnalysis() {
         return;
     }
 
-    tbody.innerHTML = clothifyData.map(product => {
+    // Profit share is of the total gross profit across every product listed
+    const totalProfit = analytics.calculateMetrics().grossProfit;
+    tbody.innerHTML = analytics.rankProducts(document.getElementById('sku-rank').value).map((product, index) => {
         const analysis = analytics.analyzeProductPerformance(product);
+        const profitability = analytics.getProfitability(product);
+        const share = totalProfit > 0 ? `${(profitability.profit / totalProfit * 100).toFixed(1)}%` : '—';
         
         return `
             <tr>
-                <td style="font-family: monospace; font-size: 12px;">${product.sku}</td>
-                <td>${product.design} (${product.size}/${product.color})</td>
+                <td>${index + 1}</td>
+                <td style="font-family: monospace; font-size: 12px;">${escapeHTML(product.sku)}</td>
+                <td>${escapeHTML(product.design)} (${escapeHTML(product.size)}/${escapeHTML(product.color)})</td>
                 <td>${product.stock}</td>
                 <td>${product.sold}</td>
+                <td>${formatMoney(profitability.revenue)}</td>
+                <td>${profitability.costedRevenue === 0 && profitability.uncostedUnits > 0 ? '—' : formatMoney(profitability.profit)}${profitability.uncostedUnits > 0 ? ` <span title="${profitability.uncostedUnits} unit(s) sold with no cost price">⚠️</span>` : ''}</td>
+                <td>${profitability.margin === null ? '—' : `${profitability.margin.toFixed(1)}%`}</td>
+                <td>${share}</td>
                 <td>${analysis.turnoverRate}%</td>
                 <td>
                     <span class="turnover-badge ${analysis.performanceClass}">
@@ -315,29 +786,60 @@ function populateSKUAnalysis() {
     }).join('');
 }
 
+// Analytics need someone signed in (in the Admin Portal, same browser tab) whose role may view reports
+function showAccessDenied(message) {
+    document.querySelectorAll('body > div:not(.dashboard-header):not(#access-denied)').forEach(el => { el.style.display = 'none'; });
+    const notice = document.getElementById('access-denied');
+    notice.textContent = `🔒 ${message} Analytics open from the Admin Portal for roles that can view them.`;
+    notice.style.display = 'block';
+}
+
 // Initialize Dashboard
-function initClothifyDashboard() {
+async function initClothifyDashboard() {
+    try {
+        await clothifyStore.init();
+    } catch (err) {
+        alert(`Could not load inventory data from ${clothifyStore.adapter.name}.\n\n${err.message}`);
+        return;
+    }
+    const denied = new ClothifyUserManager(clothifyStore).permissionErrors('reports');
+    if (denied.length > 0) {
+        showAccessDenied(denied[0]);
+        return;
+    }
+    loadClothifyData();
     console.log('%c📊 Clothify Analytics Dashboard Initialized', 'color: #EC4899; font-size: 16px; font-weight: bold');
     
     updateMetrics();
+    initArchivedToggle();
+    initLocationFilter();
+    initSalesTrendControls();
+    initForecastControls();
+    initSizeCurveControls();
     
     if (clothifyData.length > 0) {
         createStockChart();
         createTopSellersChart();
         createSalesTrendChart();
         createForecastChart();
+        createSizeCurveChart();
     }
     
+    document.getElementById('sku-rank').addEventListener('change', populateSKUAnalysis);
     populateSKUAnalysis();
+    populatePromotionReport();
 }
 
 // Run initialization when page loads
 document.addEventListener('DOMContentLoaded', initClothifyDashboard);
 
 // Auto-refresh data every 30 seconds
-setInterval(() => {
-    const newData = JSON.parse(localStorage.getItem('clothify_inventory_data') || '[]');
-    if (JSON.stringify(newData) !== JSON.stringify(clothifyData)) {
-        location.reload();
+setInterval(async () => {
+    if (!clothifyLedger) return;
+    try {
+        const changed = await clothifyStore.reload(['clothify_inventory_data', clothifyLedger.storageKey]);
+        if (changed.length > 0) location.reload();
+    } catch (err) {
+        console.error('Clothify analytics: could not check for new data', err);
     }
 }, 30000);
\ No newline at end of file
@@ -0,0 +1,192 @@
+// Clothify Barcode Encoder
+// Version 1.0.0
+// Offline 1D barcodes for labels: Code 128 (subsets B and C) and EAN-13 / UPC-A, rendered to canvas, SVG or PNG data URLs
+
+// Bar and space widths of Code 128 symbol values 0-105; every symbol is 11 modules wide
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232'
+];
+const CODE128_STOP_PATTERN = '2331112';
+const CODE128_CODE_C = 99;
+const CODE128_CODE_B = 100;
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+
+// EAN-13: left-hand digits use the L or G set as picked by the first digit, right-hand digits the R set
+const EAN_L_PATTERNS = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_FIRST_DIGIT_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Barcode symbol: one row of modules, dark or light (immutable once constructed)
+class ClothifyBarcode {
+    constructor(format, text, modules) {
+        this.format = format;
+        this.text = text;
+        this.modules = modules;
+        this.width = modules.length;
+        this.quietZone = format === 'ean13' ? 11 : 10;
+    }
+
+    static encode(format, text) {
+        switch (format) {
+            case 'code128':
+                return ClothifyBarcode.encodeCode128(text);
+            case 'ean13':
+                return ClothifyBarcode.encodeEAN13(text);
+            default:
+                throw new Error(`Unknown barcode format: ${format}`);
+        }
+    }
+
+    // Runs of digits are packed two to a symbol in subset C; everything else uses subset B
+    static encodeCode128(text) {
+        text = String(text);
+        if (!/^[\x20-\x7E]+$/.test(text)) {
+            throw new Error('Code 128 labels support printable ASCII characters only');
+        }
+        const isDigit = (i) => i < text.length && text[i] >= '0' && text[i] <= '9';
+        const values = [];
+        let subset = null;
+        const switchTo = (next) => {
+            if (subset === next) return;
+            if (subset === null) {
+                values.push(next === 'C' ? CODE128_START_C : CODE128_START_B);
+            } else {
+                values.push(next === 'C' ? CODE128_CODE_C : CODE128_CODE_B);
+            }
+            subset = next;
+        };
+
+        let i = 0;
+        while (i < text.length) {
+            let run = 0;
+            while (isDigit(i + run)) run++;
+            // Switching costs a symbol, so short runs in the middle stay in subset B
+            const threshold = i === 0 || i + run === text.length ? 4 : 6;
+            if (run >= threshold || (run === text.length && run % 2 === 0)) {
+                if (run % 2 === 1) {
+                    switchTo('B');
+                    values.push(text.charCodeAt(i) - 32);
+                    i++;
+                    run--;
+                }
+                switchTo('C');
+                for (const end = i + run; i < end; i += 2) values.push(parseInt(text.substr(i, 2)));
+            } else {
+                switchTo('B');
+                values.push(text.charCodeAt(i) - 32);
+                i++;
+            }
+        }
+
+        const checksum = values.reduce((sum, value, index) => sum + value * Math.max(index, 1), 0) % 103;
+        const widths = [...values, checksum].map(value => CODE128_PATTERNS[value]).join('') + CODE128_STOP_PATTERN;
+        return new ClothifyBarcode('code128', text, ClothifyBarcode.widthsToModules(widths));
+    }
+
+    // Accepts 12 digits (the check digit is added) or 13 (the check digit must match)
+    static encodeEAN13(digits) {
+        const code = String(digits);
+        if (!/^\d{12,13}$/.test(code)) throw new Error('EAN-13 needs 12 or 13 digits');
+        const full = code.length === 12 ? code + ClothifyBarcode.ean13CheckDigit(code) : code;
+        if (!ClothifyBarcode.isValidEAN13(full)) throw new Error(`Check digit mismatch in EAN-13 ${full}`);
+
+        const parity = EAN_FIRST_DIGIT_PARITY[parseInt(full[0])];
+        const complement = (pattern) => pattern.replace(/[01]/g, bit => bit === '0' ? '1' : '0');
+        let bits = '101';
+        for (let i = 1; i <= 6; i++) {
+            const left = EAN_L_PATTERNS[parseInt(full[i])];
+            // G patterns are the R patterns read backwards
+            bits += parity[i - 1] === 'L' ? left : complement(left).split('').reverse().join('');
+        }
+        bits += '01010';
+        for (let i = 7; i <= 12; i++) bits += complement(EAN_L_PATTERNS[parseInt(full[i])]);
+        bits += '101';
+        return new ClothifyBarcode('ean13', full, bits.split('').map(bit => bit === '1'));
+    }
+
+    static ean13CheckDigit(first12) {
+        const sum = first12.split('').reduce((total, digit, i) => total + parseInt(digit) * (i % 2 === 0 ? 1 : 3), 0);
+        return String((10 - sum % 10) % 10);
+    }
+
+    static isValidEAN13(code) {
+        return /^\d{13}$/.test(code) && ClothifyBarcode.ean13CheckDigit(code.slice(0, 12)) === code[12];
+    }
+
+    // Supplier codes arrive as EAN-13 or UPC-A (a UPC-A is an EAN-13 starting with 0); null if neither
+    static normalizeRetailCode(code) {
+        const text = String(code).trim();
+        if (/^\d{12}$/.test(text) && ClothifyBarcode.isValidEAN13(`0${text}`)) return `0${text}`;
+        return ClothifyBarcode.isValidEAN13(text) ? text : null;
+    }
+
+    static widthsToModules(widths) {
+        const modules = [];
+        widths.split('').forEach((width, i) => {
+            for (let n = 0; n < parseInt(width); n++) modules.push(i % 2 === 0);
+        });
+        return modules;
+    }
+
+    getModule(x) {
+        return x >= 0 && x < this.width && this.modules[x];
+    }
+
+    // Dark runs as [start, length] in modules, for drawing one rectangle per bar
+    getBars() {
+        const bars = [];
+        this.modules.forEach((dark, x) => {
+            if (!dark) return;
+            if (x > 0 && this.modules[x - 1]) {
+                bars[bars.length - 1][1]++;
+            } else {
+                bars.push([x, 1]);
+            }
+        });
+        return bars;
+    }
+
+    // Rendering
+    drawToCanvas(canvas, pixelWidth, pixelHeight) {
+        const scale = Math.max(1, Math.floor(pixelWidth / (this.width + this.quietZone * 2)));
+        const offset = Math.floor((pixelWidth - scale * this.width) / 2);
+        canvas.width = pixelWidth;
+        canvas.height = pixelHeight;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, pixelWidth, pixelHeight);
+        ctx.fillStyle = '#000000';
+        this.getBars().forEach(([x, length]) => ctx.fillRect(offset + x * scale, 0, length * scale, pixelHeight));
+        return canvas;
+    }
+
+    toDataURL(pixelWidth = 600, pixelHeight = 150, canvas = null) {
+        const target = canvas || document.createElement('canvas');
+        return this.drawToCanvas(target, pixelWidth, pixelHeight).toDataURL('image/png');
+    }
+
+    // Stretches to whatever box it is drawn in, so the height is only the default aspect ratio
+    toSVGString(height = 40) {
+        const dimension = this.width + this.quietZone * 2;
+        const bars = this.getBars().map(([x, length]) => `M${x + this.quietZone},0h${length}v${height}h-${length}z`);
+        return `<svg xmlns="http://www.w3.org/2000/svg" version="1.1" viewBox="0 0 ${dimension} ${height}" preserveAspectRatio="none" shape-rendering="crispEdges">` +
+            `<rect width="100%" height="100%" fill="#FFFFFF"/>` +
+            `<path d="${bars.join('')}" fill="#000000"/>` +
+            `</svg>`;
+    }
+
+    toSVGDataURL(height = 40) {
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(this.toSVGString(height))}`;
+    }
+}
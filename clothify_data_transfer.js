@@ -0,0 +1,210 @@
+// Clothify Data Transfer
+// Version 1.3.0
+// CSV/JSON export of inventory and sales history, and bulk import with column mapping and a dry-run preview
+
+const IMPORT_FIELDS = [
+    { key: 'design', label: 'Design', required: true, aliases: ['design', 'style', 'name', 'product'] },
+    { key: 'size', label: 'Size', required: true, aliases: ['size'] },
+    { key: 'color', label: 'Color', required: true, aliases: ['color', 'colour'] },
+    { key: 'stock', label: 'Stock', required: true, aliases: ['stock', 'qty', 'quantity', 'units', 'onhand'] },
+    { key: 'price', label: 'Price', required: false, optional: 'optional for restocks', aliases: ['price', 'retail', 'retailprice', 'unitprice'] },
+    { key: 'cost', label: 'Cost per unit', required: false, optional: 'optional', aliases: ['cost', 'costprice', 'unitcost', 'wholesale'] },
+    { key: 'barcode', label: 'Barcodes (EAN/UPC)', required: false, optional: 'optional, several separated by |', aliases: ['barcode', 'barcodes', 'ean', 'upc', 'gtin'] }
+];
+
+const INVENTORY_EXPORT_COLUMNS = ['sku', 'design', 'size', 'color', 'stock', 'sold', 'price', 'costPrice', 'dateAdded', 'archived', 'aliases', 'barcodes'];
+const SALES_EXPORT_COLUMNS = ['id', 'timestamp', 'type', 'sku', 'quantity', 'unitPrice', 'unitCost', 'listPrice', 'discount', 'source', 'transactionId', 'note'];
+
+class ClothifyDataTransfer {
+    constructor(inventoryManager) {
+        this.inventoryManager = inventoryManager;
+    }
+
+    // CSV helpers (RFC 4180: quoted fields may contain commas, quotes and newlines).
+    // Text that a spreadsheet would run as a formula gets a leading ' on export, which parseCSV drops again.
+    toCSV(records, columns) {
+        const escape = (value) => {
+            if (value === undefined || value === null) return '';
+            let text = Array.isArray(value) ? value.join('|') : String(value);
+            if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns.join(','), ...records.map(r => columns.map(c => escape(r[c])).join(','))].join('\r\n');
+    }
+
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        const nonEmpty = rows.filter(r => r.some(cell => cell.trim() !== ''));
+        if (nonEmpty.length === 0) return { headers: [], records: [] };
+        const headers = nonEmpty[0].map(h => h.trim());
+        const records = nonEmpty.slice(1).map(r => {
+            const record = {};
+            headers.forEach((h, i) => { record[h] = (r[i] || '').trim().replace(/^'(?=[=+\-@\t\r])/, ''); });
+            return record;
+        });
+        return { headers, records };
+    }
+
+    // Export
+    exportInventoryCSV() {
+        return this.toCSV(this.inventoryManager.getAllProducts(true), INVENTORY_EXPORT_COLUMNS);
+    }
+
+    exportSalesCSV() {
+        return this.toCSV(this.inventoryManager.getSalesHistory(), SALES_EXPORT_COLUMNS);
+    }
+
+    exportJSON() {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            inventory: this.inventoryManager.getAllProducts(true),
+            salesHistory: this.inventoryManager.getSalesHistory()
+        }, null, 2);
+    }
+
+    // Import
+    // Accepts CSV, a JSON array of rows, or a JSON export ({ inventory: [...] })
+    parseImportFile(fileName, text) {
+        if (/\.json$/i.test(fileName)) {
+            const data = JSON.parse(text);
+            const records = Array.isArray(data) ? data : (data.inventory || []);
+            const headers = [...new Set(records.flatMap(r => Object.keys(r)))];
+            return { headers, records };
+        }
+        return this.parseCSV(text);
+    }
+
+    guessMapping(headers) {
+        const normalize = (text) => String(text).toLowerCase().replace(/[^a-z]/g, '');
+        const mapping = {};
+        IMPORT_FIELDS.forEach(field => {
+            mapping[field.key] = headers.find(h => field.aliases.includes(normalize(h))) || '';
+        });
+        return mapping;
+    }
+
+    // Dry run: classifies each row as new, restock, conflict or error without touching inventory.
+    // Rows merge on design/size/color exactly like addProduct, including rows earlier in the same file.
+    // A barcode can only go to one product, whether it's already in use or on an earlier row.
+    planImport(records, mapping) {
+        const pending = new Map();
+        const barcodeRows = new Map();
+        const keyOf = (v) => `${v.design.toLowerCase()}|${v.size}|${v.color.toLowerCase()}`;
+
+        return records.map((record, index) => {
+            const raw = (key) => mapping[key] ? record[mapping[key]] : undefined;
+            const values = {
+                design: String(raw('design') || '').trim(),
+                size: String(raw('size') || '').trim().toUpperCase(),
+                color: String(raw('color') || '').trim(),
+                stock: String(raw('stock') === undefined ? '' : raw('stock')).trim(),
+                price: String(raw('price') === undefined ? '' : raw('price')).trim().replace(/^\$/, ''),
+                cost: String(raw('cost') === undefined ? '' : raw('cost')).trim().replace(/^\$/, ''),
+                barcodes: String(raw('barcode') || '').split(/[|,]/).map(code => code.trim()).filter(Boolean)
+            };
+            const row = { index: index + 1, values, errors: [] };
+
+            const existing = this.inventoryManager.findMatchingProduct(values.design, values.size, values.color) ||
+                pending.get(keyOf(values));
+            const fieldsToCheck = { design: values.design, size: values.size, color: values.color, stock: values.stock, costPrice: values.cost };
+            if (!existing || values.price !== '') fieldsToCheck.price = values.price;
+            row.errors = this.inventoryManager.validateProductFields(fieldsToCheck);
+            if (values.barcodes.length > 0) {
+                const barcode = this.inventoryManager.normalizeBarcodes(values.barcodes, existing && existing.sku);
+                row.errors.push(...barcode.errors);
+                values.barcodes = barcode.barcodes;
+                values.barcodes.forEach(code => {
+                    const earlier = barcodeRows.get(code);
+                    if (earlier && earlier.key !== keyOf(values)) {
+                        row.errors.push(`${code} is already on row ${earlier.index} for ${earlier.design}`);
+                    }
+                });
+            }
+            if (row.errors.length > 0) {
+                row.status = 'error';
+                return row;
+            }
+
+            values.barcodes.filter(code => !barcodeRows.has(code)).forEach(code => {
+                barcodeRows.set(code, { key: keyOf(values), index: row.index, design: values.design });
+            });
+            values.stock = parseInt(values.stock);
+            values.price = values.price === '' ? null : parseFloat(values.price);
+            values.cost = values.cost === '' ? null : parseFloat(values.cost);
+            if (!existing) {
+                row.status = 'new';
+                pending.set(keyOf(values), values);
+            } else if (values.price !== null && values.price !== existing.price) {
+                row.status = 'conflict';
+                row.existing = existing;
+                row.errors.push(`Price ${values.price.toFixed(2)} differs from existing ${existing.price.toFixed(2)}`);
+            } else {
+                row.status = 'restock';
+                row.existing = existing;
+            }
+            return row;
+        });
+    }
+
+    // Conflicting rows are skipped unless includeConflicts is set, in which case they restock at the existing price.
+    // A barcode that can't be added doesn't undo its row; the reason is listed in summary.errors.
+    applyImport(plan, includeConflicts = false) {
+        const summary = { new: 0, restock: 0, skipped: 0, errors: [] };
+        plan.forEach(row => {
+            const apply = row.status === 'new' || row.status === 'restock' || (row.status === 'conflict' && includeConflicts);
+            if (!apply) {
+                summary.skipped++;
+                return;
+            }
+            const v = row.values;
+            const result = this.inventoryManager.addProduct(v.design, v.size, v.color, v.stock, v.price, 'import', v.cost);
+            if (result.errors) {
+                summary.errors.push(...result.errors.map(e => `Row ${row.index}: ${e}`));
+                summary.skipped++;
+                return;
+            }
+            if (v.barcodes.length > 0) {
+                const barcode = this.inventoryManager.addBarcodes(result.product.sku, v.barcodes, 'Imported');
+                if (!barcode.success) summary.errors.push(...barcode.errors.map(e => `Row ${row.index}: ${e}`));
+            }
+            summary[result.type]++;
+        });
+        return summary;
+    }
+}
@@ -0,0 +1,197 @@
+// Clothify Forecast Engine
+// Version 1.1.0
+// Per-SKU and per-design demand forecasting from the sales ledger (moving average, Holt-Winters, naive fallback)
+
+const FORECAST_SEASON_LENGTH = 7;
+const FORECAST_LOOKBACK_DAYS = 90;
+const FORECAST_Z_95 = 1.96;
+
+class ClothifyForecaster {
+    constructor(ledger) {
+        this.ledger = ledger;
+    }
+
+    // Daily net units sold (sales minus returns) for the given SKUs, oldest first, ending yesterday.
+    // History starts at the first recorded event for those SKUs, capped at the lookback window.
+    getDailySeries(skus, lookbackDays = FORECAST_LOOKBACK_DAYS) {
+        const skuSet = new Set(skus);
+        const events = this.ledger.getEvents().filter(e => skuSet.has(this.ledger.resolveSku(e.sku)));
+        if (events.length === 0) return [];
+
+        const today = new Date();
+        const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        const earliest = events.reduce((min, e) => {
+            const time = new Date(e.timestamp);
+            return time < min ? time : min;
+        }, todayStart);
+        const firstDay = new Date(earliest.getFullYear(), earliest.getMonth(), earliest.getDate());
+        const days = Math.min(lookbackDays, Math.round((todayStart - firstDay) / 86400000));
+        if (days <= 0) return [];
+
+        const series = new Array(days).fill(0);
+        const seriesStart = new Date(todayStart.getFullYear(), todayStart.getMonth(), todayStart.getDate() - days);
+        events.forEach(e => {
+            if (e.type !== 'sale' && e.type !== 'return') return;
+            const time = new Date(e.timestamp);
+            const dayStart = new Date(time.getFullYear(), time.getMonth(), time.getDate());
+            const index = Math.round((dayStart - seriesStart) / 86400000);
+            if (index >= 0 && index < days) {
+                series[index] += e.type === 'sale' ? e.quantity : -e.quantity;
+            }
+        });
+        return series;
+    }
+
+    // Models: each returns { forecast, residuals, spread(h) } where spread scales the residual
+    // standard deviation for an h-step-ahead prediction interval
+    naive(series, horizon) {
+        const mean = series.length > 0 ? series.reduce((a, b) => a + b, 0) / series.length : 0;
+        return {
+            model: 'Naive (mean)',
+            forecast: new Array(horizon).fill(mean),
+            residuals: series.map(v => v - mean),
+            spread: () => 1
+        };
+    }
+
+    movingAverage(series, horizon, window = FORECAST_SEASON_LENGTH) {
+        const residuals = [];
+        for (let i = window; i < series.length; i++) {
+            const mean = series.slice(i - window, i).reduce((a, b) => a + b, 0) / window;
+            residuals.push(series[i] - mean);
+        }
+        const recent = series.slice(-window);
+        const level = recent.reduce((a, b) => a + b, 0) / recent.length;
+        return {
+            model: `Moving average (${window}-day)`,
+            forecast: new Array(horizon).fill(level),
+            residuals: residuals,
+            spread: () => Math.sqrt(1 + 1 / window)
+        };
+    }
+
+    // Additive Holt-Winters with weekly seasonality; parameters picked by grid search on one-step SSE
+    holtWinters(series, horizon, season = FORECAST_SEASON_LENGTH) {
+        let best = null;
+        [0.2, 0.4, 0.6].forEach(alpha => {
+            [0.05, 0.15].forEach(beta => {
+                [0.1, 0.3].forEach(gamma => {
+                    const fit = this.fitHoltWinters(series, horizon, season, alpha, beta, gamma);
+                    if (!best || fit.sse < best.sse) best = fit;
+                });
+            });
+        });
+        return best;
+    }
+
+    fitHoltWinters(series, horizon, season, alpha, beta, gamma) {
+        const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+        let level = mean(series.slice(0, season));
+        let trend = (mean(series.slice(season, season * 2)) - level) / season;
+        const seasonals = series.slice(0, season).map(v => v - level);
+        const residuals = [];
+
+        for (let i = season; i < series.length; i++) {
+            const seasonal = seasonals[i % season];
+            const predicted = level + trend + seasonal;
+            residuals.push(series[i] - predicted);
+
+            const previousLevel = level;
+            level = alpha * (series[i] - seasonal) + (1 - alpha) * (level + trend);
+            trend = beta * (level - previousLevel) + (1 - beta) * trend;
+            seasonals[i % season] = gamma * (series[i] - level) + (1 - gamma) * seasonal;
+        }
+
+        const forecast = [];
+        for (let h = 1; h <= horizon; h++) {
+            forecast.push(level + h * trend + seasonals[(series.length + h - 1) % season]);
+        }
+        return {
+            model: 'Holt-Winters (weekly)',
+            forecast: forecast,
+            residuals: residuals,
+            sse: residuals.reduce((sum, r) => sum + r * r, 0),
+            spread: (h) => Math.sqrt(1 + (h - 1) * alpha * alpha * (1 + h * beta)),
+            parameters: { alpha, beta, gamma }
+        };
+    }
+
+    // Candidate models for a series of the given length; new SKUs only get the naive fallback
+    getCandidateModels(length) {
+        const models = [(series, horizon) => this.naive(series, horizon)];
+        if (length >= FORECAST_SEASON_LENGTH * 2) {
+            models.push((series, horizon) => this.movingAverage(series, horizon));
+        }
+        if (length >= FORECAST_SEASON_LENGTH * 3) {
+            models.push((series, horizon) => this.holtWinters(series, horizon));
+        }
+        return models;
+    }
+
+    // Mean absolute percentage error over days that had sales; null when nothing to compare against
+    calculateMAPE(actual, predicted) {
+        const errors = actual
+            .map((value, i) => value > 0 ? Math.abs(value - predicted[i]) / value : null)
+            .filter(e => e !== null);
+        if (errors.length === 0) return null;
+        return errors.reduce((a, b) => a + b, 0) / errors.length * 100;
+    }
+
+    // Holds out the last `horizon` days, fits each candidate on the rest and keeps the lowest-MAPE model
+    forecastSeries(series, horizon = 7) {
+        const holdout = Math.min(horizon, Math.floor(series.length / 3));
+        const training = series.slice(0, series.length - holdout);
+        const actual = series.slice(series.length - holdout);
+
+        let chosen = null;
+        let chosenMAPE = null;
+        this.getCandidateModels(training.length).forEach((fitModel, index) => {
+            const backtest = holdout > 0 && training.length > 0 ? fitModel(training, holdout) : null;
+            const mape = backtest ? this.calculateMAPE(actual, backtest.forecast) : null;
+            const better = chosen === null ||
+                (mape !== null && (chosenMAPE === null || mape < chosenMAPE));
+            if (better) {
+                chosen = index;
+                chosenMAPE = mape;
+            }
+        });
+
+        const candidates = this.getCandidateModels(series.length);
+        const result = candidates[chosen](series, horizon);
+        const residuals = result.residuals.length > 0 ? result.residuals : [0];
+        const sigma = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length);
+        const forecast = result.forecast.map(v => Math.max(0, v));
+
+        return {
+            model: result.model,
+            forecast: forecast,
+            lower: forecast.map((v, i) => Math.max(0, v - FORECAST_Z_95 * sigma * result.spread(i + 1))),
+            upper: forecast.map((v, i) => v + FORECAST_Z_95 * sigma * result.spread(i + 1)),
+            mape: chosenMAPE,
+            historyDays: series.length
+        };
+    }
+
+    forecastSkus(skus, horizon = 7) {
+        const result = this.forecastSeries(this.getDailySeries(skus), horizon);
+        const dates = [];
+        for (let i = 0; i < horizon; i++) {
+            const date = new Date();
+            date.setDate(date.getDate() + i);
+            dates.push(date.toLocaleDateString('en', { weekday: 'short' }));
+        }
+        result.dates = dates;
+        return result;
+    }
+
+    forecastSku(sku, horizon = 7) {
+        return this.forecastSkus([sku], horizon);
+    }
+
+    forecastDesign(inventory, design, horizon = 7) {
+        const skus = inventory
+            .filter(p => p.design.toLowerCase() === design.toLowerCase())
+            .map(p => p.sku);
+        return this.forecastSkus(skus, horizon);
+    }
+}
@@ -1,87 +1,695 @@
 // Clothify Inventory Management Engine
-// Version 1.3.0
-// Smart inventory system with QR code tracking, bulk printing, and QR viewer modal. Removed bulk button from main view.
+// Version 1.26.0
+// Smart inventory system with QR code tracking, bulk printing, and QR viewer modal. Scanner settings, manual entry and keyboard-wedge scanners.
 
-// QR Code Generation Library (Minimal QR Code Generator)
+// QR Code Generation (offline, backed by ClothifyQRCode from clothify_qr_encoder.js)
 const QRCodeGenerator = {
-    generateDataURL: function(text, size = 300) {
-        return `https://api.qrserver.com/v1/create-qr-code/?size=${size}x${size}&data=${encodeURIComponent(text)}`;
+    cache: new Map(),
+
+    generateDataURL: function(text, size = 300, errorCorrection = 'M') {
+        const key = `${errorCorrection}|${size}|${text}`;
+        if (!this.cache.has(key)) {
+            const canvas = document.getElementById('qr-canvas') || document.createElement('canvas');
+            this.cache.set(key, ClothifyQRCode.encodeText(text, errorCorrection).toDataURL(size, canvas));
+        }
+        return this.cache.get(key);
+    },
+
+    generateSVG: function(text, errorCorrection = 'M') {
+        return ClothifyQRCode.encodeText(text, errorCorrection).toSVGString();
     }
 };
 
+// Anything typed, imported or synced goes through this before it is put into innerHTML
+function escapeHTML(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// A value as a quoted string argument for an inline handler, e.g. onclick="editUser(${jsArg(u.id)})"
+function jsArg(value) {
+    return escapeHTML(JSON.stringify(String(value === undefined || value === null ? '' : value)));
+}
+
+// SKU Generator
+// Builds SKUs from a template such as {DESIGN}-{SIZE}-{COLOR}-{SEQ}, with an optional Luhn mod 36 check character
+const SKU_TEMPLATE_TOKENS = ['DESIGN', 'SIZE', 'COLOR', 'SEQ'];
+const SKU_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const DEFAULT_SKU_SETTINGS = {
+    template: '{DESIGN}-{SIZE}-{COLOR}-{SEQ}',
+    designLength: 4,
+    colorLength: 3,
+    seqLength: 3,
+    checkDigit: false,
+    sequences: {}
+};
+
+class ClothifySKUGenerator {
+    constructor(store) {
+        this.store = store;
+        this.storageKey = 'clothify_sku_settings';
+        this.settings = this.loadSettings();
+        this.deviceCode = ''; // set by ClothifySync once this device syncs
+    }
+
+    loadSettings() {
+        return { ...DEFAULT_SKU_SETTINGS, ...this.store.get(this.storageKey, {}) };
+    }
+
+    saveSettings() {
+        this.store.set(this.storageKey, this.settings);
+    }
+
+    validateTemplate(template) {
+        const errors = [];
+        const tokens = (template.match(/\{[^}]*\}/g) || []).map(t => t.slice(1, -1));
+        tokens.filter(t => !SKU_TEMPLATE_TOKENS.includes(t)).forEach(t => errors.push(`Unknown placeholder {${t}}`));
+        if (!tokens.includes('SEQ')) errors.push('Template must include {SEQ} so every SKU is unique');
+        if (!/^[A-Z0-9-]*$/.test(template.replace(/\{\w*\}/g, ''))) {
+            errors.push('Template may only contain capital letters, digits, hyphens and placeholders');
+        }
+        return errors;
+    }
+
+    updateSettings(changes) {
+        const errors = changes.template !== undefined ? this.validateTemplate(changes.template) : [];
+        if (errors.length > 0) return { success: false, errors };
+        Object.assign(this.settings, changes);
+        this.saveSettings();
+        return { success: true, settings: this.settings };
+    }
+
+    // Turns free text into an A-Z/0-9 code: accents are stripped and punctuation dropped.
+    // Text with no Latin letters (e.g. Devanagari) gets a stable hash-based code instead.
+    toCode(text, length) {
+        const latin = String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        if (latin.length > 0) {
+            return latin.substring(0, length);
+        }
+        let hash = 0;
+        for (const char of String(text)) {
+            hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+        }
+        return ('H' + hash.toString(36).toUpperCase()).substring(0, Math.max(length, 2));
+    }
+
+    computeCheckCharacter(body) {
+        const chars = body.replace(/-/g, '');
+        const n = SKU_CHARSET.length;
+        let factor = 2;
+        let sum = 0;
+        for (let i = chars.length - 1; i >= 0; i--) {
+            let addend = factor * SKU_CHARSET.indexOf(chars[i]);
+            factor = factor === 2 ? 1 : 2;
+            addend = Math.floor(addend / n) + addend % n;
+            sum += addend;
+        }
+        return SKU_CHARSET[(n - sum % n) % n];
+    }
+
+    // Codes without a check character (e.g. legacy labels) are the caller's concern; this only verifies the suffix
+    hasValidCheckCharacter(code) {
+        const match = String(code).toUpperCase().match(/^(.+)-([0-9A-Z])$/);
+        return !!match && this.computeCheckCharacter(match[1]) === match[2];
+    }
+
+    formatSKU(design, size, color, sequence, settings = this.settings) {
+        const parts = {
+            DESIGN: this.toCode(design, settings.designLength),
+            SIZE: this.toCode(size, 4),
+            COLOR: this.toCode(color, settings.colorLength),
+            SEQ: `${this.deviceCode ? `${this.deviceCode}-` : ''}${String(sequence).padStart(settings.seqLength, '0')}`
+        };
+        const body = settings.template.replace(/\{(\w+)\}/g, (match, token) => parts[token]);
+        return settings.checkDigit ? `${body}-${this.computeCheckCharacter(body)}` : body;
+    }
+
+    // takenCodes: every SKU and alias already in use
+    generate(design, size, color, takenCodes) {
+        const designCode = this.toCode(design, this.settings.designLength);
+        let sequence = this.settings.sequences[designCode] || 0;
+        let sku;
+        do {
+            sequence++;
+            sku = this.formatSKU(design, size, color, sequence);
+        } while (takenCodes.has(sku));
+
+        this.settings.sequences[designCode] = sequence;
+        this.saveSettings();
+        return sku;
+    }
+}
+
 // InventoryManager Class
+const EDITABLE_PRODUCT_FIELDS = ['design', 'size', 'color', 'price', 'description'];
+const PRODUCT_SIZES = ['XS', 'S', 'M', 'L', 'XL', 'XXL'];
+
 class ClothifyInventoryManager {
-    constructor() {
+    // users: the ClothifyUserManager whose signed-in role limits voids, deletions and price changes
+    constructor(store, ledger, skuGenerator, users = null) {
+        this.store = store;
         this.storageKey = 'clothify_inventory_data';
+        this.historyKey = 'clothify_product_history';
+        this.ledger = ledger;
+        this.skuGenerator = skuGenerator;
+        this.users = users;
+        this.currentLocation = DEFAULT_LOCATION_ID;
+        this.onProductCreated = null;
         this.inventory = this.loadInventory();
+        this.history = this.loadHistory();
+        this.reconcileWithLedger();
     }
 
     loadInventory() {
-        const data = localStorage.getItem(this.storageKey);
-        return data ? JSON.parse(data) : [];
+        return this.store.get(this.storageKey, []);
     }
 
     saveInventory() {
-        localStorage.setItem(this.storageKey, JSON.stringify(this.inventory));
+        this.store.set(this.storageKey, this.inventory);
+    }
+
+    loadHistory() {
+        return this.store.get(this.historyKey, []);
+    }
+
+    saveHistory() {
+        this.store.set(this.historyKey, this.history);
+    }
+
+    // Checked here as well as in the UI, so a role's limits hold whichever way a change is made
+    permissionErrors(permission) {
+        return this.users ? this.users.permissionErrors(permission) : [];
+    }
+
+    // Change history for product records (edits, archival, deletion); stock movements live in the ledger
+    recordChange(action, sku, details = {}) {
+        const entry = { action, sku, timestamp: new Date().toISOString(), ...details };
+        if (this.ledger.userId) entry.user = this.ledger.userId;
+        this.history.push(entry);
+        this.saveHistory();
+        return entry;
+    }
+
+    getProductHistory(sku) {
+        const product = this.getProduct(sku);
+        const codes = new Set([sku, ...((product && product.aliases) || [])]);
+        return this.history.filter(h => codes.has(h.sku)).reverse();
+    }
+
+    reconcileWithLedger() {
+        const discrepancies = this.ledger.reconcile(this.inventory);
+        if (discrepancies.length > 0) this.saveInventory();
+        return discrepancies;
+    }
+
+    // Records a ledger event and applies it to the product's stock/sold counters
+    // Movements happen at this device's current location unless details.location says otherwise
+    recordMovement(product, type, quantity, details = {}) {
+        const event = this.ledger.record(type, product.sku, quantity, { location: this.currentLocation, ...details });
+        this.ledger.applyEvent(product, event);
+        this.saveInventory();
+        return event;
+    }
+
+    // Every code a label might carry: current SKUs, aliases kept from renamed SKUs and barcodes
+    getTakenCodes() {
+        const codes = new Set();
+        this.inventory.forEach(p => {
+            codes.add(p.sku);
+            (p.aliases || []).forEach(alias => codes.add(alias));
+            (p.barcodes || []).forEach(barcode => codes.add(barcode));
+        });
+        Object.keys(this.ledger.aliases).forEach(alias => codes.add(alias));
+        return codes;
     }
 
     generateSKU(design, size, color) {
-        const designCode = design.substring(0, 4).toUpperCase().replace(/[^A-Z0-9]/g, 'X');
-        const sizeCode = size.substring(0, 3).toUpperCase();
-        const colorCode = color.substring(0, 3).toUpperCase();
-        const random = Math.random().toString(36).substring(2, 5).toUpperCase();
-        return `${designCode}-${sizeCode}-${colorCode}-${random}`;
+        return this.skuGenerator.generate(design, size, color, this.getTakenCodes());
+    }
+
+    // Products created before the configurable scheme (no skuVersion) get new SKUs; the old
+    // codes stay on the product as aliases so labels already printed still scan
+    planSKUMigration() {
+        const taken = this.getTakenCodes();
+        return this.inventory
+            .filter(p => !p.skuVersion)
+            .map(product => {
+                const newSku = this.skuGenerator.generate(product.design, product.size, product.color, taken);
+                taken.add(newSku);
+                return { product, oldSku: product.sku, newSku };
+            });
     }
 
-    addProduct(design, size, color, stock, price) {
-        const existingProduct = this.inventory.find(p =>
+    migrateLegacySKUs() {
+        const plan = this.planSKUMigration();
+        plan.forEach(({ product, oldSku, newSku }) => {
+            product.sku = newSku;
+            product.skuVersion = 2;
+            product.aliases = [...(product.aliases || []), oldSku];
+            this.ledger.registerAlias(oldSku, newSku);
+            this.recordChange('sku-migrate', newSku, { changes: { sku: { from: oldSku, to: newSku } } });
+        });
+        if (plan.length > 0) this.saveInventory();
+        return plan.map(({ oldSku, newSku }) => ({ oldSku, newSku }));
+    }
+
+    findMatchingProduct(design, size, color) {
+        return this.inventory.find(p =>
             p.design.toLowerCase() === design.toLowerCase() &&
             p.size === size &&
             p.color.toLowerCase() === color.toLowerCase()
         );
+    }
+
+    // unitCost is what this delivery cost per unit; left out, the product's cost price is used
+    addProduct(design, size, color, stock, price, source = 'manual', unitCost = null) {
+        const denied = this.permissionErrors('receive');
+        if (denied.length > 0) return { success: false, errors: denied };
+        const existingProduct = this.findMatchingProduct(design, size, color);
 
         if (existingProduct) {
-            existingProduct.stock += parseInt(stock);
-            this.saveInventory();
+            if (existingProduct.archived) {
+                this.restoreProduct(existingProduct.sku, 'Restocked');
+            }
+            this.recordMovement(existingProduct, 'restock', stock, {
+                unitPrice: existingProduct.price,
+                unitCost: this.getReceivingCost(existingProduct, unitCost),
+                source
+            });
             return { type: 'restock', product: existingProduct };
         } else {
             const newProduct = {
                 sku: this.generateSKU(design, size, color),
+                skuVersion: 2,
                 design: design,
                 size: size,
                 color: color,
-                stock: parseInt(stock),
+                stock: 0,
+                locationStock: {},
                 price: parseFloat(price),
+                costPrice: null,
                 sold: 0,
                 dateAdded: new Date().toISOString()
             };
             this.inventory.push(newProduct);
-            this.saveInventory();
+            if (this.onProductCreated) this.onProductCreated(newProduct);
+            this.recordChange('create', newProduct.sku);
+            this.recordMovement(newProduct, 'restock', stock, {
+                unitPrice: newProduct.price,
+                unitCost: this.getReceivingCost(newProduct, unitCost),
+                source
+            });
             return { type: 'new', product: newProduct };
         }
     }
 
-    sellProduct(sku) {
-        const product = this.inventory.find(p => p.sku === sku);
+    // pricing: the line as priced by the promotion manager ({ discount, promotions }), when promotions apply
+    sellProduct(sku, source = 'manual', pricing = null) {
+        const product = this.getProduct(sku);
+        const denied = this.permissionErrors('sell');
+        if (denied.length > 0) return { success: false, product, errors: denied };
+        if (product && product.archived) {
+            return { success: false, product: product, reason: 'archived' };
+        }
+        if (product && this.getLocationStock(product) > 0) {
+            const transactionId = this.ledger.generateTransactionId();
+            const event = this.recordMovement(product, 'sale', 1, { ...this.getSalePricing(product, 1, pricing), source, transactionId });
+            return { success: true, product: product, event: event, transactionId: transactionId };
+        }
         if (product && product.stock > 0) {
-            product.stock--;
-            product.sold++;
-            this.saveInventory();
-            return { success: true, product: product };
+            return { success: false, product: product, reason: 'location' };
+        }
+        return { success: false, product: product };
+    }
+
+    // Sells several lines as one transaction: either every line is recorded or none is.
+    // Lines priced by the promotion manager are recorded at their discounted price.
+    sellProducts(lines, source = 'manual') {
+        const errors = this.permissionErrors('sell');
+        const resolved = lines.map(line => ({ quantity: parseInt(line.quantity), product: this.getProduct(line.sku), sku: line.sku, pricing: line }));
+        resolved.forEach(({ sku, quantity, product }) => {
+            if (!product) {
+                errors.push(`SKU not found: ${sku}`);
+            } else if (product.archived) {
+                errors.push(`Archived product: ${product.design}`);
+            } else if (!(quantity > 0) || this.getLocationStock(product) < quantity) {
+                errors.push(`Only ${this.getLocationStock(product)} left here of ${product.design} (${product.size}/${product.color})`);
+            }
+        });
+        if (errors.length > 0) return { success: false, errors };
+
+        const transactionId = this.ledger.generateTransactionId();
+        const events = resolved.map(({ quantity, product, pricing }) =>
+            this.recordMovement(product, 'sale', quantity, { ...this.getSalePricing(product, quantity, pricing), source, transactionId })
+        );
+        return { success: true, transactionId, events, products: resolved.map(r => r.product) };
+    }
+
+    // Ledger price details of a sale: what the customer paid per unit, and the list price and promotions if discounted
+    getSalePricing(product, quantity, pricing = null) {
+        if (!pricing || !(pricing.discount > 0)) return { unitPrice: product.price };
+        return {
+            unitPrice: Math.round((product.price * quantity - pricing.discount) / quantity * 10000) / 10000,
+            listPrice: product.price,
+            discount: pricing.discount,
+            promotions: pricing.promotions
+        };
+    }
+
+    receiveStock(sku, quantity = 1, source = 'manual', unitCost = null, purchaseOrderId = null) {
+        const product = this.getProduct(sku);
+        const denied = this.permissionErrors('receive');
+        if (denied.length > 0) return { success: false, product, errors: denied };
+        if (product && product.archived) {
+            return { success: false, product: product, reason: 'archived' };
+        }
+        if (product && quantity > 0) {
+            const event = this.recordMovement(product, 'restock', quantity, {
+                unitPrice: product.price,
+                unitCost: this.getReceivingCost(product, unitCost),
+                source,
+                purchaseOrderId
+            });
+            return { success: true, product: product, event: event };
         }
         return { success: false, product: product };
     }
 
-    searchProducts(query) {
+    returnProduct(sku, quantity = 1, source = 'manual') {
+        const product = this.getProduct(sku);
+        const denied = this.permissionErrors('returns');
+        if (denied.length > 0) return { success: false, product, errors: denied };
+        if (product && product.sold >= quantity) {
+            // Refunded at what the last sale was paid, which is less than the list price if it was discounted
+            const lastSale = this.ledger.getEvents({ sku: product.sku, type: 'sale' }).pop();
+            const unitPrice = lastSale && lastSale.unitPrice !== null ? lastSale.unitPrice : product.price;
+            const event = this.recordMovement(product, 'return', quantity, { unitPrice, source });
+            return { success: true, product: product, event: event };
+        }
+        return { success: false, product: product };
+    }
+
+    // Manual stock correction at the current location (e.g. damaged or miscounted units); quantity may be negative
+    adjustStock(sku, quantity, note = '', source = 'manual') {
+        const product = this.getProduct(sku);
+        const denied = this.permissionErrors('stocktake');
+        if (denied.length > 0) return { success: false, product, errors: denied };
+        if (product && this.getLocationStock(product) + parseInt(quantity) >= 0) {
+            const event = this.recordMovement(product, 'adjustment', quantity, { note, source });
+            return { success: true, product: product, event: event };
+        }
+        return { success: false, product: product };
+    }
+
+    // Cancels sales, returns or deliveries recorded by mistake. Each gets a void event that undoes its effect
+    // on stock and sold; the original stays in the ledger but reports leave both out.
+    // Without the void permission, staff can only void what they recorded themselves (the scanner's undo).
+    voidEvents(eventIds, reason, source = 'manual') {
+        if (this.permissionErrors('void').length > 0) {
+            const user = this.users.getCurrentUser();
+            const recordedByOthers = eventIds.some(id => {
+                const event = this.ledger.events.find(e => e.id === id);
+                return event && (!user || event.user !== user.id);
+            });
+            if (recordedByOthers) return { success: false, errors: this.permissionErrors('void') };
+        }
+        const errors = [];
+        const note = String(reason || '').trim();
+        if (!note) errors.push('Give a reason for the void');
+        const voided = this.ledger.getVoidedIds();
+        const planned = [];
+        eventIds.forEach(id => {
+            const event = this.ledger.events.find(e => e.id === id);
+            const product = event && this.getProduct(event.sku);
+            if (!event) {
+                errors.push(`Transaction not found: ${id}`);
+            } else if (!VOIDABLE_EVENT_TYPES.includes(event.type)) {
+                errors.push(`${event.type} events can't be voided`);
+            } else if (voided.has(id)) {
+                errors.push(`${event.sku} has already been voided`);
+            } else if (!product) {
+                errors.push(`SKU not found: ${event.sku}`);
+            } else if (event.type === 'sale' && Math.min(product.sold, this.getUnitsKeptSince(event)) < event.quantity) {
+                // Units already taken back through Return mode can't be taken back again by voiding their sale
+                errors.push(`${product.design} (${product.size}/${product.color}) was returned after this sale; void the return first`);
+            } else if (event.type !== 'sale' && this.getLocationStock(product, this.ledger.getEventLocation(event)) < event.quantity) {
+                // Units taken in by a delivery or return can only be taken back while they're still there
+                errors.push(`Only ${this.getLocationStock(product, this.ledger.getEventLocation(event))} of ${product.design} (${product.size}/${product.color}) left where it was booked in`);
+            } else {
+                planned.push({ event, product });
+            }
+        });
+        if (planned.length === 0 && errors.length === 0) errors.push('Nothing to void');
+        if (errors.length > 0) return { success: false, errors };
+
+        const events = planned.map(({ event, product }) => this.recordMovement(product, 'void', event.quantity, {
+            voids: event.id,
+            voidedType: event.type,
+            location: this.ledger.getEventLocation(event),
+            transactionId: event.transactionId,
+            note,
+            source
+        }));
+        return { success: true, events };
+    }
+
+    // Units sold since a sale (itself included) less units returned since. Returns aren't tied to a
+    // receipt, so any later return of the SKU counts against the sale.
+    getUnitsKeptSince(event) {
+        const since = (type) => this.ledger.getEvents({ sku: event.sku, type, since: event.timestamp })
+            .reduce((sum, e) => sum + e.quantity, 0);
+        return since('sale') - since('return');
+    }
+
+    // A cost given with a delivery becomes the product's cost price for later deliveries that don't give one
+    getReceivingCost(product, unitCost) {
+        if (unitCost !== null && unitCost !== undefined && String(unitCost).trim() !== '') {
+            product.costPrice = parseFloat(unitCost);
+        }
+        return product.costPrice === undefined ? null : product.costPrice;
+    }
+
+    getLocationStock(product, location = this.currentLocation) {
+        return (product.locationStock || {})[location] || 0;
+    }
+
+    getSalesHistory(sku = null) {
+        return this.ledger.getEvents(sku ? { sku } : {});
+    }
+
+    // Units booked in by restocks since a date, per SKU
+    getReceivedSince(since) {
+        const received = new Map();
+        this.ledger.getEvents({ type: 'restock', since }).forEach(e => {
+            const sku = this.ledger.resolveSku(e.sku);
+            received.set(sku, (received.get(sku) || 0) + e.quantity);
+        });
+        return [...received]
+            .filter(([sku]) => this.getProduct(sku))
+            .map(([sku, quantity]) => ({ sku, quantity }));
+    }
+
+    // Size of the SKU's latest delivery: every restock on the day of its most recent one
+    getLastReceivedQuantity(sku) {
+        const restocks = this.ledger.getEvents({ sku, type: 'restock' });
+        if (restocks.length === 0) return 0;
+        const latest = restocks.reduce((a, b) => new Date(b.timestamp) > new Date(a.timestamp) ? b : a);
+        const day = new Date(latest.timestamp).toDateString();
+        return restocks.filter(e => new Date(e.timestamp).toDateString() === day).reduce((sum, e) => sum + e.quantity, 0);
+    }
+
+    validateProductFields(fields) {
+        const errors = [];
+        if (fields.design !== undefined && !String(fields.design).trim()) errors.push('Design is required');
+        if (fields.size !== undefined && !String(fields.size).trim()) {
+            errors.push('Size is required');
+        } else if (fields.size !== undefined && !PRODUCT_SIZES.includes(fields.size)) {
+            errors.push(`Size must be one of ${PRODUCT_SIZES.join(', ')}`);
+        }
+        if (fields.color !== undefined && !String(fields.color).trim()) errors.push('Color is required');
+        if (fields.price !== undefined && !(parseFloat(fields.price) > 0)) errors.push('Price must be greater than 0');
+        if (fields.costPrice !== undefined && String(fields.costPrice).trim() !== '' && !(parseFloat(fields.costPrice) >= 0)) {
+            errors.push('Cost price must be 0 or more');
+        }
+        if (fields.stock !== undefined && (String(fields.stock).trim() === '' || !(Number.isInteger(Number(fields.stock)) && Number(fields.stock) >= 0))) {
+            errors.push('Stock must be a whole number of 0 or more');
+        }
+        return errors;
+    }
+
+    // Edits descriptive fields; a changed stock count (at the current location) is booked as a ledger adjustment
+    updateProduct(sku, changes, note = '') {
+        const product = this.getProduct(sku);
+        if (!product) return { success: false, errors: [`SKU not found: ${sku}`] };
+
+        const errors = [...this.permissionErrors('products'), ...this.validateProductFields(changes)];
+        const next = { ...product };
+        EDITABLE_PRODUCT_FIELDS.forEach(field => {
+            if (changes[field] !== undefined) {
+                next[field] = field === 'price' ? parseFloat(changes[field]) : String(changes[field]).trim();
+            }
+        });
+        if (changes.supplierId !== undefined) {
+            next.supplierId = String(changes.supplierId).trim() || null;
+        }
+        if (changes.costPrice !== undefined) {
+            next.costPrice = String(changes.costPrice).trim() === '' ? null : parseFloat(changes.costPrice);
+        }
+        if (changes.barcodes !== undefined) {
+            const normalized = this.normalizeBarcodes(changes.barcodes, sku);
+            errors.push(...normalized.errors);
+            next.barcodes = normalized.barcodes;
+        }
+        const duplicate = this.findMatchingProduct(next.design, next.size, next.color);
+        if (duplicate && duplicate.sku !== sku) {
+            errors.push(`Another product already uses ${next.design} (${next.size}/${next.color}): ${duplicate.sku}`);
+        }
+        const costBefore = product.costPrice === undefined ? null : product.costPrice;
+        if (next.price !== product.price || (next.costPrice !== undefined && next.costPrice !== costBefore)) {
+            errors.push(...this.permissionErrors('prices'));
+        }
+        if (changes.stock !== undefined && parseInt(changes.stock) !== this.getLocationStock(product)) {
+            errors.push(...this.permissionErrors('stocktake'));
+        }
+        if (errors.length > 0) return { success: false, product, errors };
+
+        const diff = {};
+        EDITABLE_PRODUCT_FIELDS.forEach(field => {
+            if (next[field] !== product[field]) {
+                diff[field] = { from: product[field], to: next[field] };
+                product[field] = next[field];
+            }
+        });
+        if (next.costPrice !== undefined && next.costPrice !== costBefore) {
+            const format = (cost) => cost === null ? 'none' : cost.toFixed(2);
+            diff.costPrice = { from: format(costBefore), to: format(next.costPrice) };
+            product.costPrice = next.costPrice;
+        }
+        const supplierBefore = product.supplierId || null;
+        if (next.supplierId !== undefined && next.supplierId !== supplierBefore) {
+            diff.supplierId = { from: supplierBefore || 'none', to: next.supplierId || 'none' };
+            product.supplierId = next.supplierId;
+        }
+        const barcodesBefore = (product.barcodes || []).join(', ');
+        if (next.barcodes && next.barcodes.join(', ') !== barcodesBefore) {
+            diff.barcodes = { from: barcodesBefore || 'none', to: next.barcodes.join(', ') || 'none' };
+            product.barcodes = next.barcodes;
+        }
+
+        const locationStock = this.getLocationStock(product);
+        if (changes.stock !== undefined && parseInt(changes.stock) !== locationStock) {
+            diff.stock = { from: locationStock, to: parseInt(changes.stock), location: this.currentLocation };
+            this.recordMovement(product, 'adjustment', parseInt(changes.stock) - locationStock, { note: note || 'Stock correction' });
+        }
+
+        if (Object.keys(diff).length > 0) {
+            this.saveInventory();
+            this.recordChange('update', sku, { changes: diff, note });
+        }
+        return { success: true, product, changes: diff };
+    }
+
+    // Archived products keep their history but are hidden from scanning, listings and analytics
+    archiveProduct(sku, note = '') {
+        const errors = this.permissionErrors('delete');
+        if (errors.length > 0) return { success: false, errors };
+        const product = this.getProduct(sku);
+        if (!product || product.archived) return { success: false, product };
+        product.archived = true;
+        product.archivedAt = new Date().toISOString();
+        this.saveInventory();
+        this.recordChange('archive', sku, { note });
+        return { success: true, product };
+    }
+
+    restoreProduct(sku, note = '') {
+        const product = this.getProduct(sku);
+        if (!product || !product.archived) return { success: false, product };
+        delete product.archived;
+        delete product.archivedAt;
+        this.saveInventory();
+        this.recordChange('restore', sku, { note });
+        return { success: true, product };
+    }
+
+    // Removes the product record; its ledger events are kept
+    deleteProduct(sku, note = '') {
+        const errors = this.permissionErrors('delete');
+        if (errors.length > 0) return { success: false, errors };
+        const index = this.inventory.findIndex(p => p.sku === sku);
+        if (index === -1) return { success: false };
+        const [product] = this.inventory.splice(index, 1);
+        this.saveInventory();
+        this.recordChange('delete', sku, { snapshot: product, note });
+        return { success: true, product };
+    }
+
+    // Looks a product up by SKU, by any alias it has been given or by one of its barcodes
+    getProduct(code) {
+        return this.inventory.find(p => p.sku === code) ||
+            this.inventory.find(p => (p.aliases || []).includes(code)) ||
+            this.findByBarcode(code);
+    }
+
+    // Retail codes are stored as 13 digits, so a UPC-A read as 12 digits still finds its product
+    findByBarcode(code) {
+        const retail = ClothifyBarcode.normalizeRetailCode(code);
+        return this.inventory.find(p => (p.barcodes || []).some(barcode => barcode === code || barcode === retail));
+    }
+
+    resolveCode(code) {
+        const product = this.getProduct(code);
+        return product ? product.sku : null;
+    }
+
+    // Barcodes are extra codes a product scans as: a supplier's EAN-13 or UPC-A, or our own Code 128 value
+    normalizeBarcodes(input, sku = null) {
+        const values = Array.isArray(input) ? input : String(input).split(',');
+        const barcodes = [];
+        const errors = [];
+        values.map(value => String(value).trim()).filter(Boolean).forEach(value => {
+            let code = value;
+            if (/^\d{12,13}$/.test(value)) {
+                code = ClothifyBarcode.normalizeRetailCode(value);
+                if (!code) {
+                    errors.push(`${value} is not a valid EAN-13 or UPC-A barcode (check digit mismatch)`);
+                    return;
+                }
+            } else if (!/^[\x20-\x7E]{1,48}$/.test(value)) {
+                errors.push(`${value} can't be used as a Code 128 barcode (printable characters only, up to 48)`);
+                return;
+            }
+            const owner = this.getProduct(code);
+            if (owner && owner.sku !== sku) {
+                errors.push(`${value} is already used by ${owner.design} (${owner.sku})`);
+            } else if (code !== sku && !barcodes.includes(code)) {
+                barcodes.push(code);
+            }
+        });
+        return { barcodes, errors };
+    }
+
+    addBarcodes(sku, codes, note = '') {
+        const product = this.getProduct(sku);
+        if (!product) return { success: false, errors: [`SKU not found: ${sku}`] };
+        return this.updateProduct(product.sku, { barcodes: [...(product.barcodes || []), ...codes] }, note);
+    }
+
+    searchProducts(query, includeArchived = false) {
         const lowerQuery = query.toLowerCase();
-        return this.inventory.filter(p =>
+        return this.getAllProducts(includeArchived).filter(p =>
             p.design.toLowerCase().includes(lowerQuery) ||
-            p.sku.toLowerCase().includes(lowerQuery)
+            p.sku.toLowerCase().includes(lowerQuery) ||
+            (p.barcodes || []).some(barcode => barcode.toLowerCase().includes(lowerQuery))
         );
     }
 
-    sortProducts(criteria) {
-        const sorted = [...this.inventory];
+    sortProducts(criteria, includeArchived = false) {
+        const sorted = [...this.getAllProducts(includeArchived)];
         switch(criteria) {
             case 'design':
                 return sorted.sort((a, b) => a.design.localeCompare(b.design));
@@ -96,285 +704,4103 @@ class ClothifyInventoryManager {
         }
     }
 
-    getAllProducts() {
-        return this.inventory;
+    getAllProducts(includeArchived = false) {
+        return includeArchived ? this.inventory : this.inventory.filter(p => !p.archived);
     }
 }
 
-// Sound Manager for audio feedback
-class ClothifySoundManager {
-    constructor() {
-        this.audioContext = null;
+// Reorder Point Manager
+// Manual levels stored on the product win; otherwise levels are computed from recent sales velocity
+const DEFAULT_REORDER_POINT = 5;
+const DEFAULT_LEAD_TIME_DAYS = 7;
+const REORDER_VELOCITY_DAYS = 28;
+const REORDER_SERVICE_LEVEL_Z = 1.65; // ~95% chance of not running out during the lead time
+
+class ClothifyReorderManager {
+    constructor(inventoryManager, forecaster, purchaseOrders = null) {
+        this.inventoryManager = inventoryManager;
+        this.forecaster = forecaster;
+        this.purchaseOrders = purchaseOrders;
     }
 
-    initAudioContext() {
-        if (!this.audioContext && (window.AudioContext || window.webkitAudioContext)) {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        }
+    // A lead time set on the product wins over its supplier's
+    getLeadTime(product) {
+        const supplier = this.purchaseOrders && product.supplierId ? this.purchaseOrders.suppliers.getSupplier(product.supplierId) : null;
+        return product.leadTimeDays || (supplier && supplier.leadTimeDays) || DEFAULT_LEAD_TIME_DAYS;
     }
 
-    playBeep(frequency, duration, volume = 0.3) {
-        this.initAudioContext();
-        if (!this.audioContext) return;
+    // Units still to come on sent or partly received purchase orders
+    getIncoming(sku) {
+        return this.purchaseOrders ? this.purchaseOrders.getIncomingQuantity(sku) : 0;
+    }
 
-        if (this.audioContext.state === 'suspended') {
-            this.audioContext.resume();
-        }
+    // Mean and standard deviation of daily units sold over the velocity window
+    getSalesVelocity(sku) {
+        const series = this.forecaster.getDailySeries([sku]).slice(-REORDER_VELOCITY_DAYS);
+        if (series.length === 0) return { mean: 0, stdDev: 0 };
+        const mean = series.reduce((a, b) => a + b, 0) / series.length;
+        const variance = series.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / series.length;
+        return { mean: mean, stdDev: Math.sqrt(variance) };
+    }
 
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
+    computeReorderLevels(product) {
+        const leadTime = this.getLeadTime(product);
+        const velocity = this.getSalesVelocity(product.sku);
+        if (velocity.mean === 0) {
+            return { reorderPoint: DEFAULT_REORDER_POINT, safetyStock: 0, leadTimeDays: leadTime, velocity: 0 };
+        }
+        const safetyStock = Math.ceil(REORDER_SERVICE_LEVEL_Z * velocity.stdDev * Math.sqrt(leadTime));
+        return {
+            reorderPoint: Math.ceil(velocity.mean * leadTime) + safetyStock,
+            safetyStock: safetyStock,
+            leadTimeDays: leadTime,
+            velocity: velocity.mean
+        };
+    }
 
-        oscillator.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
+    getReorderLevels(product) {
+        const computed = this.computeReorderLevels(product);
+        if (product.reorderPoint === undefined || product.reorderPoint === null) {
+            return { ...computed, mode: 'auto' };
+        }
+        return {
+            reorderPoint: product.reorderPoint,
+            safetyStock: product.safetyStock || 0,
+            leadTimeDays: this.getLeadTime(product),
+            velocity: computed.velocity,
+            mode: 'manual'
+        };
+    }
 
-        oscillator.frequency.value = frequency;
-        oscillator.type = 'sine';
+    // Pass null for reorderPoint to go back to computed levels
+    setReorderLevels(sku, reorderPoint, safetyStock, leadTimeDays) {
+        const product = this.inventoryManager.getProduct(sku);
+        if (!product) return null;
 
-        gainNode.gain.setValueAtTime(volume, this.audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + duration / 1000);
+        if (reorderPoint === null || reorderPoint === '') {
+            delete product.reorderPoint;
+            delete product.safetyStock;
+        } else {
+            product.reorderPoint = Math.max(0, parseInt(reorderPoint));
+            product.safetyStock = Math.max(0, parseInt(safetyStock) || 0);
+        }
+        if (leadTimeDays) {
+            product.leadTimeDays = Math.max(1, parseInt(leadTimeDays));
+        }
+        this.inventoryManager.saveInventory();
+        return product;
+    }
 
-        oscillator.start(this.audioContext.currentTime);
-        oscillator.stop(this.audioContext.currentTime + duration / 1000);
+    getStockStatus(product) {
+        if (product.stock <= 0) return 'out';
+        if (product.stock <= this.getReorderLevels(product).reorderPoint) return 'low';
+        return 'ok';
     }
 
-    playSuccess() {
-        this.playBeep(800, 100);
-        setTimeout(() => this.playBeep(1000, 100), 150);
+    getAlerts() {
+        return this.inventoryManager.getAllProducts()
+            .map(product => ({ product, status: this.getStockStatus(product), levels: this.getReorderLevels(product), incoming: this.getIncoming(product.sku) }))
+            .filter(alert => alert.status !== 'ok')
+            .sort((a, b) => a.product.stock - b.product.stock);
     }
 
-    playError() {
-        this.playBeep(400, 300);
+    // Order enough to cover the lead time on top of the reorder point, less what's already on order, grouped by design
+    getSuggestedPurchaseOrder() {
+        const groups = {};
+        this.getAlerts().forEach(({ product, levels, incoming }) => {
+            const target = levels.reorderPoint + Math.ceil(levels.velocity * levels.leadTimeDays);
+            const quantity = Math.max(0, target - product.stock - incoming);
+            if (quantity <= 0) return;
+            if (!groups[product.design]) {
+                groups[product.design] = { design: product.design, lines: [], totalUnits: 0 };
+            }
+            groups[product.design].lines.push({ product, quantity, incoming });
+            groups[product.design].totalUnits += quantity;
+        });
+        return Object.values(groups).sort((a, b) => a.design.localeCompare(b.design));
     }
 }
 
-
-// QR Code Scanner Manager
-class ClothifyQRScanner {
-    constructor(inventoryManager, soundManager) {
+// Suppliers: who products are bought from, how long deliveries take and what they usually cost
+class ClothifySupplierManager {
+    constructor(store, inventoryManager) {
+        this.store = store;
+        this.storageKey = 'clothify_suppliers';
         this.inventoryManager = inventoryManager;
-        this.soundManager = soundManager;
-        this.scanner = null;
-        this.isScanning = false;
-        this.scanCooldown = false;
+        this.suppliers = this.store.get(this.storageKey, []);
     }
 
-    start() {
-        if (this.isScanning) return;
+    saveSuppliers() {
+        this.store.set(this.storageKey, this.suppliers);
+    }
 
-        this.scanner = new Html5Qrcode("reader");
-        const config = { fps: 10, qrbox: { width: 250, height: 250 } };
+    getAllSuppliers() {
+        return [...this.suppliers].sort((a, b) => a.name.localeCompare(b.name));
+    }
 
-        this.scanner.start(
-            { facingMode: "environment" },
-            config,
-            (decodedText) => this.onScanSuccess(decodedText),
-            (errorMessage) => {} // Ignore errors silently
-        ).then(() => {
-            this.isScanning = true;
-            document.getElementById('stop-scanner').style.display = 'block';
-            this.updateStatus('Ready to scan...', 'ready');
-        }).catch(err => {
-            console.error(`Unable to start scanning: ${err}`);
-            this.updateStatus('❌ Camera permission denied', 'error');
-        });
+    getSupplier(id) {
+        return this.suppliers.find(s => s.id === id);
     }
 
-    stop() {
-        if (this.scanner && this.isScanning) {
-            this.scanner.stop().then(() => {
-                this.isScanning = false;
-                document.getElementById('stop-scanner').style.display = 'none';
-                this.updateStatus('Scanner stopped', 'ready');
-            }).catch(console.error);
-        }
+    getSupplierName(id) {
+        const supplier = this.getSupplier(id);
+        return supplier ? supplier.name : id;
     }
 
-    onScanSuccess(sku) {
-        if (this.scanCooldown) return;
+    getProducts(supplierId) {
+        return this.inventoryManager.getAllProducts().filter(p => p.supplierId === supplierId);
+    }
 
-        const result = this.inventoryManager.sellProduct(sku);
+    validateSupplier(fields) {
+        const errors = [];
+        const name = String(fields.name || '').trim();
+        if (!name) errors.push('Supplier name is required');
+        if (this.suppliers.some(s => s.id !== fields.id && s.name.toLowerCase() === name.toLowerCase())) {
+            errors.push(`A supplier called ${name} already exists`);
+        }
+        if (fields.email && !/^[^\s@]+@[^\s@]+$/.test(String(fields.email).trim())) errors.push('Email address is not valid');
+        const leadTime = String(fields.leadTimeDays === undefined ? '' : fields.leadTimeDays).trim();
+        if (leadTime !== '' && !(Number.isInteger(Number(leadTime)) && Number(leadTime) >= 1)) {
+            errors.push('Lead time must be a whole number of days, 1 or more');
+        }
+        const cost = String(fields.defaultCost === undefined ? '' : fields.defaultCost).trim();
+        if (cost !== '' && !(parseFloat(cost) >= 0)) errors.push('Default cost must be 0 or more');
+        return errors;
+    }
 
-        if (result.success) {
-            this.soundManager.playSuccess();
-            this.updateStatus(
-                `✅ Sold 1 unit of ${result.product.design} (${result.product.stock} left)`,
-                'success'
-            );
-            this.startCooldown(2000);
+    // Creates a supplier, or updates the one with fields.id
+    saveSupplier(fields) {
+        const existing = fields.id ? this.getSupplier(fields.id) : null;
+        const errors = [...this.inventoryManager.permissionErrors('orders'), ...this.validateSupplier(fields)];
+        if (fields.id && !existing) errors.push('Supplier not found');
+        if (errors.length > 0) return { success: false, errors };
 
-            if (document.getElementById('inventory-section').classList.contains('active')) {
-                updateInventoryDisplay();
-            }
+        const name = String(fields.name).trim();
+        const optional = (value) => String(value || '').trim();
+        const supplier = {
+            id: existing ? existing.id : this.generateSupplierId(name),
+            name,
+            contactName: optional(fields.contactName),
+            email: optional(fields.email),
+            phone: optional(fields.phone),
+            leadTimeDays: optional(fields.leadTimeDays) === '' ? null : parseInt(fields.leadTimeDays),
+            defaultCost: optional(fields.defaultCost) === '' ? null : parseFloat(fields.defaultCost),
+            createdAt: existing ? existing.createdAt : new Date().toISOString()
+        };
+        if (existing) {
+            this.suppliers[this.suppliers.indexOf(existing)] = supplier;
         } else {
-            this.soundManager.playError();
-            if (result.product) {
-                this.updateStatus(`❌ Out of stock: ${result.product.design}`, 'error');
-            } else {
-                this.updateStatus(`❌ SKU not found: ${sku}`, 'error');
-            }
-            this.startCooldown(1000);
+            this.suppliers.push(supplier);
         }
+        this.saveSuppliers();
+        return { success: true, supplier };
+    }
+
+    generateSupplierId(name) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'supplier';
+        let id = slug;
+        for (let n = 2; this.getSupplier(id); n++) id = `${slug}-${n}`;
+        return id;
+    }
+
+    // What a unit is expected to cost: the product's own cost price, else the supplier's default
+    getExpectedCost(product, supplierId = product.supplierId) {
+        if (typeof product.costPrice === 'number') return product.costPrice;
+        const supplier = this.getSupplier(supplierId);
+        return supplier && supplier.defaultCost !== null ? supplier.defaultCost : null;
+    }
+}
+
+// Purchase Orders: draft → sent → partial (some units received) → closed (everything received, or closed short).
+// Receiving goes through the inventory manager, so each delivery is an ordinary restock at its actual cost.
+const PURCHASE_ORDER_STATUSES = { draft: 'Draft', sent: 'Sent', partial: 'Partially received', closed: 'Closed' };
+
+class ClothifyPurchaseOrderManager {
+    constructor(store, inventoryManager, suppliers, deviceId = '') {
+        this.store = store;
+        this.storageKey = 'clothify_purchase_orders';
+        this.inventoryManager = inventoryManager;
+        this.suppliers = suppliers;
+        this.deviceCode = deviceId.split('-').pop();
+        this.orders = this.store.get(this.storageKey, []);
+    }
+
+    saveOrders() {
+        this.store.set(this.storageKey, this.orders);
+    }
+
+    // Numbered per device (PO-K1A1-0001), so synced tills never hand out the same number
+    generateOrderId() {
+        const prefix = this.deviceCode ? `PO-${this.deviceCode}-` : 'PO-';
+        const numbers = this.orders.filter(o => o.id.startsWith(prefix)).map(o => parseInt(o.id.substring(prefix.length)) || 0);
+        return `${prefix}${String(Math.max(0, ...numbers) + 1).padStart(4, '0')}`;
+    }
+
+    getOrder(id) {
+        return this.orders.find(o => o.id === id);
+    }
+
+    getOrders(status = null) {
+        return this.orders
+            .filter(o => !status || o.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Sent and partly received orders are the ones stock is still expected from
+    getOpenOrders() {
+        return this.getOrders().filter(o => o.status === 'sent' || o.status === 'partial');
+    }
+
+    getIncomingQuantity(sku) {
+        return this.getOpenOrders().reduce((sum, order) =>
+            sum + order.lines.filter(l => l.sku === sku).reduce((units, l) => units + Math.max(0, l.quantity - l.received), 0), 0);
+    }
+
+    getOrderTotals(order) {
+        return order.lines.reduce((totals, line) => ({
+            ordered: totals.ordered + line.quantity,
+            received: totals.received + line.received,
+            cost: totals.cost + (line.unitCost === null ? 0 : line.unitCost * line.quantity)
+        }), { ordered: 0, received: 0, cost: 0 });
+    }
+
+    // lines: [{ sku, quantity, unitCost }]; a blank cost uses the product's or supplier's expected cost
+    normalizeLines(lines, supplierId) {
+        const errors = [];
+        const normalized = [];
+        lines.forEach(line => {
+            const product = this.inventoryManager.getProduct(line.sku);
+            const quantity = String(line.quantity).trim();
+            const cost = String(line.unitCost === undefined || line.unitCost === null ? '' : line.unitCost).trim();
+            if (!product) {
+                errors.push(`SKU not found: ${line.sku}`);
+                return;
+            }
+            if (!(Number.isInteger(Number(quantity)) && Number(quantity) > 0)) {
+                errors.push(`${product.sku}: quantity must be a whole number above 0`);
+            }
+            if (cost !== '' && !(parseFloat(cost) >= 0)) errors.push(`${product.sku}: unit cost must be 0 or more`);
+            if (normalized.some(l => l.sku === product.sku)) {
+                errors.push(`${product.sku} is on the order twice`);
+                return;
+            }
+            normalized.push({
+                sku: product.sku,
+                quantity: parseInt(quantity),
+                unitCost: cost === '' ? this.suppliers.getExpectedCost(product, supplierId) : parseFloat(cost),
+                received: 0
+            });
+        });
+        return { lines: normalized, errors };
+    }
+
+    createOrder(supplierId, lines = [], note = '') {
+        const errors = this.inventoryManager.permissionErrors('orders');
+        if (!this.suppliers.getSupplier(supplierId)) errors.push('Choose a supplier');
+        const normalized = this.normalizeLines(lines, supplierId);
+        errors.push(...normalized.errors);
+        if (errors.length > 0) return { success: false, errors };
+
+        const order = {
+            id: this.generateOrderId(),
+            supplierId,
+            status: 'draft',
+            lines: normalized.lines,
+            note: String(note).trim(),
+            receipts: [],
+            createdAt: new Date().toISOString()
+        };
+        this.orders.push(order);
+        this.saveOrders();
+        return { success: true, order };
+    }
+
+    // Only drafts can be edited; once sent, the supplier has the order as it was
+    updateDraft(id, changes) {
+        const denied = this.inventoryManager.permissionErrors('orders');
+        if (denied.length > 0) return { success: false, errors: denied };
+        const order = this.getOrder(id);
+        if (!order) return { success: false, errors: ['Purchase order not found'] };
+        if (order.status !== 'draft') return { success: false, errors: ['Only draft orders can be changed'] };
+        const supplierId = changes.supplierId !== undefined ? changes.supplierId : order.supplierId;
+        const errors = [];
+        if (!this.suppliers.getSupplier(supplierId)) errors.push('Choose a supplier');
+        const normalized = changes.lines !== undefined ? this.normalizeLines(changes.lines, supplierId) : { lines: order.lines, errors: [] };
+        errors.push(...normalized.errors);
+        if (errors.length > 0) return { success: false, errors };
+
+        order.supplierId = supplierId;
+        order.lines = normalized.lines;
+        if (changes.note !== undefined) order.note = String(changes.note).trim();
+        this.saveOrders();
+        return { success: true, order };
+    }
+
+    deleteDraft(id) {
+        const denied = this.inventoryManager.permissionErrors('orders');
+        if (denied.length > 0) return { success: false, errors: denied };
+        const order = this.getOrder(id);
+        if (!order || order.status !== 'draft') return { success: false, errors: ['Only draft orders can be deleted'] };
+        this.orders = this.orders.filter(o => o.id !== id);
+        this.saveOrders();
+        return { success: true, order };
+    }
+
+    sendOrder(id) {
+        const denied = this.inventoryManager.permissionErrors('orders');
+        if (denied.length > 0) return { success: false, errors: denied };
+        const order = this.getOrder(id);
+        if (!order || order.status !== 'draft') return { success: false, errors: ['Only draft orders can be sent'] };
+        if (order.lines.length === 0) return { success: false, errors: ['Add at least one line before sending'] };
+        const supplier = this.suppliers.getSupplier(order.supplierId);
+        const leadTime = (supplier && supplier.leadTimeDays) || DEFAULT_LEAD_TIME_DAYS;
+        const now = new Date();
+        order.status = 'sent';
+        order.sentAt = now.toISOString();
+        order.expectedDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + leadTime).toISOString();
+        this.saveOrders();
+        return { success: true, order };
+    }
+
+    // receipts: [{ sku, quantity, unitCost }]. All lines are checked before anything is booked in, with
+    // several receipts for the same line counted together; a blank cost uses the price on the order.
+    receive(id, receipts, source = 'manual') {
+        const denied = this.inventoryManager.permissionErrors('receive');
+        if (denied.length > 0) return { success: false, errors: denied };
+        const order = this.getOrder(id);
+        if (!order) return { success: false, errors: ['Purchase order not found'] };
+        if (order.status !== 'sent' && order.status !== 'partial') {
+            return { success: false, errors: [`${order.id} is ${PURCHASE_ORDER_STATUSES[order.status].toLowerCase()}, not open for receiving`] };
+        }
+
+        const errors = [];
+        const planned = [];
+        receipts.filter(r => String(r.quantity).trim() !== '' && Number(r.quantity) !== 0).forEach(receipt => {
+            const product = this.inventoryManager.getProduct(receipt.sku);
+            const line = product && order.lines.find(l => l.sku === product.sku);
+            const quantity = Number(receipt.quantity);
+            const cost = String(receipt.unitCost === undefined || receipt.unitCost === null ? '' : receipt.unitCost).trim();
+            if (!line) {
+                errors.push(`${product ? product.sku : receipt.sku} is not on ${order.id}`);
+            } else if (product.archived) {
+                errors.push(`Archived product: ${product.design}`);
+            } else if (!(Number.isInteger(quantity) && quantity > 0)) {
+                errors.push(`${line.sku}: quantity must be a whole number above 0`);
+            } else if (cost !== '' && !(parseFloat(cost) >= 0)) {
+                errors.push(`${line.sku}: unit cost must be 0 or more`);
+            } else {
+                planned.push({ line, quantity, unitCost: cost === '' ? line.unitCost : parseFloat(cost) });
+            }
+        });
+        new Set(planned.map(p => p.line)).forEach(line => {
+            const quantity = planned.filter(p => p.line === line).reduce((sum, p) => sum + p.quantity, 0);
+            if (quantity > line.quantity - line.received) {
+                errors.push(`${line.sku}: only ${line.quantity - line.received} of ${line.quantity} still to come`);
+            }
+        });
+        if (planned.length === 0 && errors.length === 0) errors.push('Enter a quantity for at least one line');
+        if (errors.length > 0) return { success: false, errors };
+
+        const events = planned.map(({ line, quantity, unitCost }) => {
+            const result = this.inventoryManager.receiveStock(line.sku, quantity, source, unitCost, order.id);
+            line.received += quantity;
+            order.receipts.push({ timestamp: result.event.timestamp, sku: line.sku, quantity, unitCost, eventId: result.event.id });
+            return result.event;
+        });
+        const complete = order.lines.every(l => l.received >= l.quantity);
+        order.status = complete ? 'closed' : 'partial';
+        if (complete) order.closedAt = new Date().toISOString();
+        this.saveOrders();
+        return { success: true, order, events, units: planned.reduce((sum, p) => sum + p.quantity, 0) };
+    }
+
+    // Closes an order the supplier won't deliver the rest of; what's outstanding stops counting as incoming
+    closeOrder(id, note = '') {
+        const denied = this.inventoryManager.permissionErrors('orders');
+        if (denied.length > 0) return { success: false, errors: denied };
+        const order = this.getOrder(id);
+        if (!order || (order.status !== 'sent' && order.status !== 'partial')) return { success: false, errors: ['Only open orders can be closed'] };
+        order.status = 'closed';
+        order.closedAt = new Date().toISOString();
+        order.closedShort = true;
+        if (note) order.note = [order.note, note].filter(Boolean).join(' · ');
+        this.saveOrders();
+        return { success: true, order };
+    }
+
+    getOrderForEvent(eventId) {
+        return this.orders.find(o => o.receipts.some(r => r.eventId === eventId));
+    }
+
+    // Takes back a delivery booked in against the order by mistake: its restock is voided and the
+    // units count as still to come, reopening the order if receiving them had closed it
+    voidDelivery(eventId, reason, source = 'manual') {
+        const order = this.getOrderForEvent(eventId);
+        if (!order) return { success: false, errors: ['Delivery not found on any purchase order'] };
+        const result = this.inventoryManager.voidEvents([eventId], reason, source);
+        if (!result.success) return result;
+
+        const delivery = order.receipts.find(r => r.eventId === eventId);
+        delivery.voidedAt = result.events[0].timestamp;
+        order.lines.find(l => l.sku === delivery.sku).received -= delivery.quantity;
+        if (!order.closedShort) {
+            order.status = order.lines.some(l => l.received > 0) ? 'partial' : 'sent';
+            delete order.closedAt;
+        }
+        this.saveOrders();
+        return { success: true, order, events: result.events };
+    }
+
+    // Sync merge: the deliveries on both devices' versions of an order are combined by event id, then what's
+    // been received and the order's status are worked out again from the deliveries that weren't voided
+    mergeReceipts(order, ours, theirs) {
+        const receipts = [];
+        [...(ours.receipts || []), ...(theirs.receipts || [])].forEach(delivery => {
+            const index = receipts.findIndex(r => r.eventId === delivery.eventId);
+            if (index === -1) {
+                receipts.push({ ...delivery });
+            } else if (delivery.voidedAt && !receipts[index].voidedAt) {
+                receipts[index] = { ...receipts[index], voidedAt: delivery.voidedAt };
+            }
+        });
+        order.receipts = receipts.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+        const voided = this.inventoryManager.ledger.getVoidedIds();
+        const kept = order.receipts.filter(r => !r.voidedAt && !voided.has(r.eventId));
+        order.lines.forEach(line => {
+            line.received = kept.filter(r => r.sku === line.sku).reduce((sum, r) => sum + r.quantity, 0);
+        });
+        if (order.status === 'draft' || order.closedShort) return;
+        if (order.lines.every(l => l.received >= l.quantity)) {
+            order.status = 'closed';
+            if (!order.closedAt) order.closedAt = kept[kept.length - 1].timestamp;
+        } else {
+            order.status = kept.length > 0 ? 'partial' : 'sent';
+            delete order.closedAt;
+        }
+    }
+}
+
+// Location Manager: where stock is kept, which location this device works at, and transfers between locations
+const DEFAULT_LOCATIONS = [
+    { id: 'shop-floor', name: 'Shop floor', type: 'shop' },
+    { id: 'backroom', name: 'Backroom', type: 'storage' },
+    { id: 'warehouse', name: 'Warehouse', type: 'storage' }
+];
+const LOCATION_TYPES = { shop: 'Shop', storage: 'Storage', popup: 'Pop-up stall' };
+const CURRENT_LOCATION_KEY = 'clothify_current_location';
+
+class ClothifyLocationManager {
+    constructor(store, inventoryManager, ledger) {
+        this.store = store;
+        this.storageKey = 'clothify_locations';
+        this.inventoryManager = inventoryManager;
+        this.ledger = ledger;
+        this.locations = this.loadLocations();
+        this.inventoryManager.currentLocation = this.loadCurrentLocation();
+    }
+
+    loadLocations() {
+        return this.store.get(this.storageKey, DEFAULT_LOCATIONS.map(location => ({ ...location })));
+    }
+
+    saveLocations() {
+        this.store.set(this.storageKey, this.locations);
+    }
+
+    // The current location is a per-device setting (each phone sells from where it is)
+    loadCurrentLocation() {
+        const id = localStorage.getItem(CURRENT_LOCATION_KEY);
+        return this.getLocation(id) ? id : DEFAULT_LOCATION_ID;
+    }
+
+    setCurrentLocation(id) {
+        const location = this.getLocation(id);
+        if (!location || location.closed) return { success: false };
+        localStorage.setItem(CURRENT_LOCATION_KEY, id);
+        this.inventoryManager.currentLocation = id;
+        return { success: true, location };
+    }
+
+    getCurrentLocation() {
+        return this.getLocation(this.inventoryManager.currentLocation);
+    }
+
+    getLocation(id) {
+        return this.locations.find(l => l.id === id);
+    }
+
+    getLocationName(id) {
+        const location = this.getLocation(id);
+        return location ? location.name : id;
+    }
+
+    getOpenLocations() {
+        return this.locations.filter(l => !l.closed);
+    }
+
+    getUnitsAt(id) {
+        return this.inventoryManager.inventory.reduce((sum, p) => sum + this.inventoryManager.getLocationStock(p, id), 0);
+    }
+
+    addLocation(name, type = 'popup') {
+        const trimmed = String(name).trim();
+        const errors = [];
+        if (!trimmed) errors.push('Location name is required');
+        if (!LOCATION_TYPES[type]) errors.push(`Unknown location type: ${type}`);
+        if (this.locations.some(l => l.name.toLowerCase() === trimmed.toLowerCase())) {
+            errors.push(`A location called ${trimmed} already exists`);
+        }
+        if (errors.length > 0) return { success: false, errors };
+
+        const slug = trimmed.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'location';
+        let id = slug;
+        for (let n = 2; this.getLocation(id); n++) id = `${slug}-${n}`;
+
+        const location = { id, name: trimmed, type, createdAt: new Date().toISOString() };
+        this.locations.push(location);
+        this.saveLocations();
+        return { success: true, location };
+    }
+
+    // Closing (e.g. when a pop-up stall packs up) needs the location to be empty and nothing on its way there
+    closeLocation(id) {
+        const location = this.getLocation(id);
+        if (!location || location.closed) return { success: false, errors: ['Location not found'] };
+        const errors = [];
+        if (id === DEFAULT_LOCATION_ID) errors.push(`${location.name} is the default location and can't be closed`);
+        if (id === this.inventoryManager.currentLocation) errors.push('This device is working at that location; switch first');
+        const units = this.getUnitsAt(id);
+        if (units > 0) errors.push(`${units} unit(s) are still there; transfer them out first`);
+        if (this.getTransfers('in-transit').some(t => t.to === id)) errors.push('Transfers to it are still in transit');
+        if (errors.length > 0) return { success: false, errors };
+
+        location.closed = true;
+        location.closedAt = new Date().toISOString();
+        this.saveLocations();
+        return { success: true, location };
+    }
+
+    // Stock leaves the source with a transfer-out event and is in transit until receiveTransfer
+    createTransfer(sku, quantity, from, to, note = '') {
+        const product = this.inventoryManager.getProduct(sku);
+        const qty = parseInt(quantity);
+        const errors = this.inventoryManager.permissionErrors('transfers');
+        if (!product) errors.push(`SKU not found: ${sku}`);
+        if (!this.getLocation(from) || !this.getLocation(to)) errors.push('Choose both locations');
+        if (from === to) errors.push('Source and destination must be different');
+        if (!(qty > 0)) errors.push('Quantity must be at least 1');
+        if (product && qty > this.inventoryManager.getLocationStock(product, from)) {
+            errors.push(`Only ${this.inventoryManager.getLocationStock(product, from)} at ${this.getLocationName(from)}`);
+        }
+        if (errors.length > 0) return { success: false, errors };
+
+        const transferId = this.ledger.generateTransferId();
+        this.inventoryManager.recordMovement(product, 'transfer-out', qty, {
+            location: from,
+            destination: to,
+            transferId,
+            note,
+            source: 'transfer'
+        });
+        return { success: true, transfer: this.getTransfer(transferId) };
+    }
+
+    receiveTransfer(transferId, source = 'manual') {
+        const transfer = this.getTransfer(transferId);
+        const denied = this.inventoryManager.permissionErrors('transfers');
+        if (denied.length > 0) return { success: false, transfer, errors: denied };
+        if (!transfer || transfer.status !== 'in-transit') return { success: false, transfer };
+        const product = this.inventoryManager.getProduct(transfer.sku);
+        if (!product) return { success: false, transfer };
+
+        this.inventoryManager.recordMovement(product, 'transfer-in', transfer.quantity, {
+            location: transfer.to,
+            transferId,
+            source
+        });
+        return { success: true, transfer: this.getTransfer(transferId), product };
+    }
+
+    // Transfers are read back from the ledger, so they sync between devices like any other movement
+    getTransfers(status = null) {
+        const received = new Map();
+        this.ledger.events.filter(e => e.type === 'transfer-in').forEach(e => received.set(e.transferId, e));
+        return this.ledger.events
+            .filter(e => e.type === 'transfer-out')
+            .map(e => {
+                const arrival = received.get(e.transferId);
+                return {
+                    id: e.transferId,
+                    sku: this.ledger.resolveSku(e.sku),
+                    quantity: e.quantity,
+                    from: e.location,
+                    to: e.destination,
+                    note: e.note || '',
+                    sentAt: e.timestamp,
+                    receivedAt: arrival ? arrival.timestamp : null,
+                    status: arrival ? 'received' : 'in-transit'
+                };
+            })
+            .filter(t => !status || t.status === status)
+            .reverse();
+    }
+
+    getTransfer(id) {
+        return this.getTransfers().find(t => t.id === id);
+    }
+
+    getInTransitQuantity(sku) {
+        return this.getTransfers('in-transit').filter(t => t.sku === sku).reduce((sum, t) => sum + t.quantity, 0);
+    }
+}
+
+// Design Manager: a design is the parent product (name, description, category, base price, images).
+// Its variants are the per size/colour product records; they carry a copy of every inherited field so
+// scanning, sync and analytics keep reading product.price, and list the fields they override in product.overrides.
+const DESIGN_INHERITED_FIELDS = { design: 'name', category: 'category', description: 'description', price: 'basePrice', images: 'images' };
+const DESIGN_IMAGE_PATTERN = /^(https?:\/\/|data:image\/)/i;
+const VARIANT_OVERRIDABLE_FIELDS = ['price', 'description'];
+
+class ClothifyDesignManager {
+    constructor(store, inventoryManager) {
+        this.store = store;
+        this.storageKey = 'clothify_designs';
+        this.inventoryManager = inventoryManager;
+        this.designs = this.loadDesigns();
+        this.inventoryManager.onProductCreated = (product) => this.attachVariant(product);
+        this.ensureDesigns();
+    }
+
+    loadDesigns() {
+        return this.store.get(this.storageKey, []);
+    }
+
+    saveDesigns() {
+        this.store.set(this.storageKey, this.designs);
+    }
+
+    getDesign(id) {
+        return this.designs.find(d => d.id === id);
+    }
+
+    findDesignByName(name) {
+        const lower = String(name).trim().toLowerCase();
+        return this.designs.find(d => d.name.toLowerCase() === lower);
+    }
+
+    getVariants(designId, includeArchived = false) {
+        return this.inventoryManager.getAllProducts(includeArchived).filter(p => p.designId === designId);
+    }
+
+    // Ids come from the name so two devices upgrading the same data end up with the same designs
+    generateDesignId(name) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'design';
+        let id = slug;
+        for (let n = 2; this.getDesign(id); n++) id = `${slug}-${n}`;
+        return id;
+    }
+
+    // Products without a design (created before designs existed, or by an older device) are grouped by name;
+    // a new design takes the price most of its variants already sell at
+    ensureDesigns() {
+        const orphans = this.inventoryManager.inventory.filter(p => !this.getDesign(p.designId));
+        orphans.forEach(product => {
+            if (!this.findDesignByName(product.design)) {
+                const prices = orphans.filter(p => p.design.toLowerCase() === product.design.toLowerCase()).map(p => p.price);
+                const basePrice = prices.sort((a, b) => prices.filter(p => p === b).length - prices.filter(p => p === a).length)[0];
+                this.addDesignRecord({ name: product.design, basePrice });
+            }
+            this.attachVariant(product);
+        });
+        if (orphans.length > 0) {
+            this.saveDesigns();
+            this.inventoryManager.saveInventory();
+        }
+        return orphans.length;
+    }
+
+    addDesignRecord(fields) {
+        const design = {
+            id: this.generateDesignId(fields.name),
+            name: fields.name,
+            category: fields.category || '',
+            description: fields.description || '',
+            basePrice: fields.basePrice,
+            images: fields.images || [],
+            createdAt: new Date().toISOString()
+        };
+        this.designs.push(design);
+        return design;
+    }
+
+    // Links a product to the design with its name (creating one from the product if needed)
+    attachVariant(product) {
+        let design = this.findDesignByName(product.design);
+        if (!design) {
+            design = this.addDesignRecord({ name: product.design, basePrice: product.price, description: product.description });
+            this.saveDesigns();
+        }
+        product.designId = design.id;
+        this.refreshOverrides(product, design);
+        this.applyInheritance(product, design);
+        return design;
+    }
+
+    // A field is overridden while the variant's value differs from the design's
+    refreshOverrides(product, design = this.getDesign(product.designId)) {
+        if (product.description === undefined) product.description = design.description;
+        product.overrides = VARIANT_OVERRIDABLE_FIELDS.filter(field =>
+            JSON.stringify(product[field]) !== JSON.stringify(design[DESIGN_INHERITED_FIELDS[field]])
+        );
+    }
+
+    // Copies the design's values onto the variant's inherited fields; returns what changed
+    applyInheritance(product, design) {
+        const changes = {};
+        Object.entries(DESIGN_INHERITED_FIELDS).forEach(([field, designField]) => {
+            if ((product.overrides || []).includes(field)) return;
+            if (JSON.stringify(product[field]) !== JSON.stringify(design[designField])) {
+                changes[field] = { from: product[field], to: design[designField] };
+                product[field] = Array.isArray(design[designField]) ? [...design[designField]] : design[designField];
+            }
+        });
+        return changes;
+    }
+
+    validateDesignFields(fields, designId = null) {
+        const errors = [];
+        if (fields.name !== undefined) {
+            const existing = this.findDesignByName(fields.name);
+            if (!String(fields.name).trim()) {
+                errors.push('Design name is required');
+            } else if (existing && existing.id !== designId) {
+                errors.push(`A design called ${existing.name} already exists`);
+            }
+        }
+        if (fields.basePrice !== undefined && !(parseFloat(fields.basePrice) > 0)) errors.push('Base price must be greater than 0');
+        if (fields.images !== undefined && fields.images.some(url => !DESIGN_IMAGE_PATTERN.test(url))) {
+            errors.push('Image URLs must start with http://, https:// or data:image/');
+        }
+        return errors;
+    }
+
+    normalizeDesignFields(fields) {
+        const normalized = {};
+        ['name', 'category', 'description'].forEach(field => {
+            if (fields[field] !== undefined) normalized[field] = String(fields[field]).trim();
+        });
+        if (fields.basePrice !== undefined) normalized.basePrice = parseFloat(fields.basePrice);
+        if (fields.images !== undefined) normalized.images = fields.images.map(url => String(url).trim()).filter(Boolean);
+        return normalized;
+    }
+
+    createDesign(fields) {
+        const normalized = this.normalizeDesignFields(fields);
+        const errors = [...this.inventoryManager.permissionErrors('products'), ...this.validateDesignFields({ name: '', basePrice: '', ...normalized })];
+        if (errors.length > 0) return { success: false, errors };
+        const design = this.addDesignRecord(normalized);
+        this.saveDesigns();
+        return { success: true, design };
+    }
+
+    // Changes reach every variant that doesn't override the field; each variant's history records it
+    updateDesign(id, changes, note = '') {
+        const design = this.getDesign(id);
+        if (!design) return { success: false, errors: ['Design not found'] };
+        const normalized = this.normalizeDesignFields(changes);
+        const errors = [...this.inventoryManager.permissionErrors('products'), ...this.validateDesignFields(normalized, id)];
+        if (normalized.basePrice !== undefined && normalized.basePrice !== design.basePrice) {
+            errors.push(...this.inventoryManager.permissionErrors('prices'));
+        }
+        if (errors.length > 0) return { success: false, design, errors };
+
+        Object.assign(design, normalized);
+        let updated = 0;
+        this.getVariants(id, true).forEach(product => {
+            const diff = this.applyInheritance(product, design);
+            if (Object.keys(diff).length > 0) {
+                updated++;
+                this.inventoryManager.recordChange('update', product.sku, { changes: diff, note: note || `Design ${design.name} updated` });
+            }
+        });
+        this.saveDesigns();
+        this.inventoryManager.saveInventory();
+        return { success: true, design, updated };
+    }
+
+    // Edits one variant; a price or description equal to the design's goes back to inheriting it,
+    // and a new design name moves the variant to that design
+    updateVariant(sku, changes, note = '') {
+        const product = this.inventoryManager.getProduct(sku);
+        const design = product && this.getDesign(product.designId);
+        const next = { ...changes };
+        if (design && changes.description !== undefined && !String(changes.description).trim()) {
+            next.description = design.description;
+        }
+        const result = this.inventoryManager.updateProduct(sku, next, note);
+        if (!result.success || !design) return result;
+
+        if (result.changes.design) {
+            this.attachVariant(product);
+        } else {
+            this.refreshOverrides(product, design);
+        }
+        this.inventoryManager.saveInventory();
+        return result;
+    }
+
+    // Colours that have at least one variant, in the order they were first added
+    getColors(designId) {
+        return [...new Set(this.getVariants(designId, true).map(p => p.color))];
+    }
+
+    getVariant(designId, size, color) {
+        return this.getVariants(designId, true).find(p => p.size === size && p.color.toLowerCase() === color.toLowerCase());
+    }
+
+    // cells: [{ size, color, quantity }]. Restocks existing variants and creates missing ones at the base price;
+    // nothing is recorded unless every cell is valid. unitCost, when given, is the delivery's cost per unit.
+    receiveGrid(designId, cells, source = 'manual', unitCost = null) {
+        const design = this.getDesign(designId);
+        if (!design) return { success: false, errors: ['Design not found'] };
+        const errors = [];
+        const lines = cells.filter(cell => String(cell.quantity).trim() !== '' && Number(cell.quantity) !== 0);
+        lines.forEach(cell => {
+            if (!String(cell.color).trim()) errors.push('Every row needs a colour');
+            if (!PRODUCT_SIZES.includes(cell.size)) errors.push(`Size must be one of ${PRODUCT_SIZES.join(', ')}`);
+            if (!(Number.isInteger(Number(cell.quantity)) && Number(cell.quantity) > 0)) {
+                errors.push(`${cell.size}/${cell.color}: quantity must be a whole number above 0`);
+            }
+        });
+        if (lines.length === 0) errors.push('Enter a quantity in at least one cell');
+        errors.push(...this.inventoryManager.permissionErrors('receive'));
+        errors.push(...this.inventoryManager.validateProductFields({ costPrice: unitCost === null ? '' : unitCost }));
+        if (errors.length > 0) return { success: false, errors: [...new Set(errors)] };
+
+        const results = lines.map(cell =>
+            this.inventoryManager.addProduct(design.name, cell.size, String(cell.color).trim(), parseInt(cell.quantity), design.basePrice, source, unitCost)
+        );
+        return {
+            success: true,
+            created: results.filter(r => r.type === 'new').map(r => r.product),
+            restocked: results.filter(r => r.type === 'restock').map(r => r.product),
+            received: results.map((r, i) => ({ sku: r.product.sku, quantity: parseInt(lines[i].quantity) })),
+            units: lines.reduce((sum, cell) => sum + parseInt(cell.quantity), 0)
+        };
+    }
+}
+
+// Sound Manager for audio feedback
+class ClothifySoundManager {
+    constructor() {
+        this.audioContext = null;
+    }
+
+    initAudioContext() {
+        if (!this.audioContext && (window.AudioContext || window.webkitAudioContext)) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+    }
+
+    playBeep(frequency, duration, volume = 0.3) {
+        this.initAudioContext();
+        if (!this.audioContext) return;
+
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+
+        oscillator.frequency.value = frequency;
+        oscillator.type = 'sine';
+
+        gainNode.gain.setValueAtTime(volume, this.audioContext.currentTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + duration / 1000);
+
+        oscillator.start(this.audioContext.currentTime);
+        oscillator.stop(this.audioContext.currentTime + duration / 1000);
+    }
+
+    playSuccess() {
+        this.playBeep(800, 100);
+        setTimeout(() => this.playBeep(1000, 100), 150);
+    }
+
+    playError() {
+        this.playBeep(400, 300);
+    }
+
+    playWarning() {
+        this.playBeep(600, 150);
+        setTimeout(() => this.playBeep(600, 150), 200);
+    }
+
+    // Scanner mode cues, distinct from the sale chirp so staff can tell modes apart by ear
+    playReceive() {
+        this.playBeep(600, 80);
+        setTimeout(() => this.playBeep(800, 80), 100);
+        setTimeout(() => this.playBeep(1000, 80), 200);
+    }
+
+    playReturn() {
+        this.playBeep(1000, 100);
+        setTimeout(() => this.playBeep(700, 100), 150);
+    }
+
+    playCount() {
+        this.playBeep(1200, 60, 0.2);
+    }
+
+    playLookup() {
+        this.playBeep(500, 120, 0.2);
+    }
+}
+
+
+// Checkout Cart
+// Holds scanned line items in memory; stock is only deducted when the cart is checked out
+class ClothifyCart {
+    constructor(inventoryManager, promotions) {
+        this.inventoryManager = inventoryManager;
+        this.promotions = promotions;
+        this.lines = [];
+    }
+
+    addItem(code) {
+        const product = this.inventoryManager.getProduct(code);
+        if (!product) return { success: false };
+        if (product.archived) return { success: false, product, reason: 'archived' };
+
+        let line = this.lines.find(l => l.sku === product.sku);
+        if (this.inventoryManager.getLocationStock(product) <= (line ? line.quantity : 0)) {
+            return { success: false, product, reason: 'stock' };
+        }
+        if (!line) {
+            line = { sku: product.sku, design: product.design, size: product.size, color: product.color, unitPrice: product.price, quantity: 0 };
+            this.lines.push(line);
+        }
+        line.quantity++;
+        return { success: true, product, line };
+    }
+
+    setQuantity(sku, quantity) {
+        const line = this.lines.find(l => l.sku === sku);
+        if (!line) return;
+        const product = this.inventoryManager.getProduct(sku);
+        line.quantity = Math.min(parseInt(quantity) || 0, product ? this.inventoryManager.getLocationStock(product) : 0);
+        if (line.quantity <= 0) this.removeLine(sku);
+    }
+
+    removeLine(sku) {
+        this.lines = this.lines.filter(l => l.sku !== sku);
+    }
+
+    getItemCount() {
+        return this.lines.reduce((sum, l) => sum + l.quantity, 0);
+    }
+
+    // Lines with the promotions running now applied
+    getPricing() {
+        return this.promotions.priceLines(this.lines);
+    }
+
+    getTotal() {
+        return this.getPricing().total;
+    }
+
+    isEmpty() {
+        return this.lines.length === 0;
+    }
+
+    clear() {
+        this.lines = [];
+    }
+
+    checkout(source = 'scanner') {
+        if (this.isEmpty()) return { success: false, errors: ['Cart is empty'] };
+        const pricing = this.getPricing();
+        const itemCount = this.getItemCount();
+        const result = this.inventoryManager.sellProducts(pricing.lines, source);
+        if (result.success) {
+            this.clear();
+        }
+        return { ...result, total: pricing.total, discount: pricing.discount, applied: pricing.applied, itemCount };
+    }
+}
+
+// Stock-Take Session
+// Counts scanned units per SKU and compares them with expected stock when the count is finished
+class ClothifyStockTake {
+    constructor(inventoryManager) {
+        this.inventoryManager = inventoryManager;
+        this.counts = {};
+        this.startedAt = null;
+    }
+
+    count(code) {
+        const product = this.inventoryManager.getProduct(code);
+        if (!product) return { success: false };
+        if (product.archived) return { success: false, product, reason: 'archived' };
+        if (!this.startedAt) this.startedAt = new Date().toISOString();
+        this.counts[product.sku] = (this.counts[product.sku] || 0) + 1;
+        return { success: true, product, counted: this.counts[product.sku] };
+    }
+
+    setCount(sku, quantity) {
+        this.counts[sku] = Math.max(0, parseInt(quantity) || 0);
+    }
+
+    getCountedUnits() {
+        return Object.values(this.counts).reduce((a, b) => a + b, 0);
+    }
+
+    // Counts are compared with stock at the current location.
+    // includeUnscanned: treat every active SKU as counted (full count) rather than only the ones scanned (cycle count)
+    getVarianceReport(includeUnscanned = false) {
+        const products = includeUnscanned
+            ? this.inventoryManager.getAllProducts()
+            : Object.keys(this.counts).map(sku => this.inventoryManager.getProduct(sku)).filter(Boolean);
+        return products.map(product => {
+            const counted = this.counts[product.sku] || 0;
+            const expected = this.inventoryManager.getLocationStock(product);
+            return { product, expected, counted, variance: counted - expected };
+        }).sort((a, b) => Math.abs(b.variance) - Math.abs(a.variance));
+    }
+
+    applyAdjustments(report) {
+        const denied = this.inventoryManager.permissionErrors('stocktake');
+        if (denied.length > 0) return { success: false, errors: denied };
+        const adjusted = report.filter(row => row.variance !== 0);
+        adjusted.forEach(row => {
+            this.inventoryManager.adjustStock(row.product.sku, row.variance, 'Stock-take', 'stocktake');
+        });
+        this.reset();
+        return adjusted;
+    }
+
+    reset() {
+        this.counts = {};
+        this.startedAt = null;
+    }
+}
+
+// QR Code Scanner Manager
+const SCANNER_MODES = ['sell', 'receive', 'stocktake', 'return', 'lookup'];
+const SCANNER_MODE_PERMISSIONS = { sell: 'sell', receive: 'receive', stocktake: 'stocktake', return: 'returns', lookup: null };
+const RECENT_SCAN_LIMIT = 10;
+const SCAN_UNDO_MS = 8000; // how long the undo toast stays up after a scan
+const SCAN_UNDO_REASON = 'Undone right after scanning';
+const SCANNER_SETTINGS_KEY = 'clothify_scanner_settings';
+const SCANNER_COOLDOWN_STRATEGIES = {
+    duplicate: 'Ignore the same SKU for a few seconds',
+    fixed: 'Pause after every scan'
+};
+const DEFAULT_SCANNER_SETTINGS = {
+    cameraId: '', // blank: the rear camera
+    fps: 10,
+    boxSize: 250,
+    cooldown: 'duplicate',
+    cooldownSeconds: 2,
+    duplicateSeconds: 3,
+    keyboardScanner: true
+};
+const WEDGE_KEY_GAP_MS = 50; // barcode scanners that type like a keyboard send each character well within this
+const WEDGE_MIN_LENGTH = 4;
+
+class ClothifyQRScanner {
+    constructor(inventoryManager, soundManager, reorderManager, cart, stockTake, promotions, purchaseOrders, receipts, users, readerId = 'reader') {
+        this.inventoryManager = inventoryManager;
+        this.readerId = readerId;
+        this.settings = this.loadSettings();
+        this.users = users;
+        this.promotions = promotions;
+        this.receipts = receipts;
+        this.paymentMethod = 'cash'; // sales are paid, and returns refunded, this way
+        this.purchaseOrders = purchaseOrders;
+        this.purchaseOrderId = null; // receive mode books scans against this order when set
+        this.soundManager = soundManager;
+        this.reorderManager = reorderManager;
+        this.cart = cart;
+        this.stockTake = stockTake;
+        this.mode = 'sell';
+        this.cartMode = false;
+        this.scanner = null;
+        this.isScanning = false;
+        this.scanCooldown = false;
+        this.recentScans = []; // this session's scans, newest first, so mistakes can be undone
+        this.nextScanId = 1;
+        this.lastSeen = {}; // when each SKU was last read by the camera, for duplicate suppression
+        this.wedge = { buffer: '', lastKeyAt: 0 };
+    }
+
+    // Per device, like the label printer: each till has its own camera
+    loadSettings() {
+        const data = localStorage.getItem(SCANNER_SETTINGS_KEY);
+        return { ...DEFAULT_SCANNER_SETTINGS, ...(data ? JSON.parse(data) : {}) };
+    }
+
+    saveSettings(fields) {
+        const settings = {
+            cameraId: String(fields.cameraId || ''),
+            fps: Number(fields.fps),
+            boxSize: Number(fields.boxSize),
+            cooldown: fields.cooldown,
+            cooldownSeconds: Number(fields.cooldownSeconds),
+            duplicateSeconds: Number(fields.duplicateSeconds),
+            keyboardScanner: !!fields.keyboardScanner
+        };
+        const whole = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+        const errors = [];
+        if (!whole(settings.fps, 1, 30)) errors.push('Scan rate must be a whole number from 1 to 30 per second');
+        if (!whole(settings.boxSize, 100, 600)) errors.push('Scan box must be from 100 to 600 pixels');
+        if (!SCANNER_COOLDOWN_STRATEGIES[settings.cooldown]) errors.push('Choose how repeated scans are handled');
+        if (!whole(settings.cooldownSeconds, 1, 10)) errors.push('Pause must be a whole number from 1 to 10 seconds');
+        if (!whole(settings.duplicateSeconds, 1, 60)) errors.push('Same-SKU window must be a whole number from 1 to 60 seconds');
+        if (errors.length > 0) return { success: false, errors };
+        this.settings = settings;
+        localStorage.setItem(SCANNER_SETTINGS_KEY, JSON.stringify(settings));
+        return { success: true, settings };
+    }
+
+    // The camera keeps reading a label for as long as it's in view. Under the duplicate strategy the same SKU
+    // is ignored until it has been out of view for duplicateSeconds, and other SKUs scan straight away;
+    // under the fixed strategy every scan pauses the camera instead.
+    onCameraScan(decodedText) {
+        if (this.scanCooldown) return;
+        if (this.settings.cooldown === 'duplicate') {
+            const sku = this.inventoryManager.resolveCode(decodedText) || decodedText;
+            const now = Date.now();
+            const lastSeen = this.lastSeen[sku];
+            this.lastSeen[sku] = now;
+            if (lastSeen && now - lastSeen < this.settings.duplicateSeconds * 1000) return;
+        }
+        this.onScanSuccess(decodedText);
+    }
+
+    // USB and Bluetooth barcode scanners type the code as a burst of keystrokes ending in Enter,
+    // far faster than anyone types by hand
+    handleWedgeKey(event) {
+        const now = Date.now();
+        if (now - this.wedge.lastKeyAt > WEDGE_KEY_GAP_MS) this.wedge.buffer = '';
+        this.wedge.lastKeyAt = now;
+        if (event.key === 'Enter') {
+            const code = this.wedge.buffer;
+            this.wedge.buffer = '';
+            if (code.length >= WEDGE_MIN_LENGTH) {
+                event.preventDefault();
+                this.onScanSuccess(code);
+            }
+        } else if (event.key.length === 1) {
+            this.wedge.buffer += event.key;
+        }
+    }
+
+    start() {
+        if (this.isScanning) return;
+
+        // Our labels carry QR codes, supplier tags EAN-13/UPC-A and our own barcodes Code 128
+        const formats = Html5QrcodeSupportedFormats;
+        this.scanner = new Html5Qrcode(this.readerId, {
+            formatsToSupport: [formats.QR_CODE, formats.CODE_128, formats.EAN_13, formats.UPC_A],
+            experimentalFeatures: { useBarCodeDetectorIfSupported: true },
+            verbose: false
+        });
+        const config = { fps: this.settings.fps, qrbox: { width: this.settings.boxSize, height: this.settings.boxSize } };
+        const camera = this.settings.cameraId ? { deviceId: { exact: this.settings.cameraId } } : { facingMode: "environment" };
+
+        this.scanner.start(
+            camera,
+            config,
+            (decodedText) => this.onCameraScan(decodedText),
+            (errorMessage) => {} // Ignore errors silently
+        ).then(() => {
+            this.isScanning = true;
+            document.getElementById('stop-scanner').style.display = 'block';
+            this.updateStatus('Ready to scan...', 'ready');
+        }).catch(err => {
+            console.error(`Unable to start scanning: ${err}`);
+            this.updateStatus('❌ Camera unavailable · type a SKU or use a barcode scanner', 'error');
+        });
+    }
+
+    // Picks up changed camera settings
+    restart() {
+        if (!this.scanner || !this.isScanning) return;
+        this.scanner.stop().then(() => {
+            this.isScanning = false;
+            this.start();
+        }).catch(console.error);
+    }
+
+    stop() {
+        if (this.scanner && this.isScanning) {
+            this.scanner.stop().then(() => {
+                this.isScanning = false;
+                document.getElementById('stop-scanner').style.display = 'none';
+                this.updateStatus('Scanner stopped', 'ready');
+            }).catch(console.error);
+        }
+    }
+
+    setMode(mode) {
+        if (!SCANNER_MODES.includes(mode)) return;
+        this.mode = mode;
+        this.updateStatus('Ready to scan...', 'ready');
+    }
+
+    // Nothing is recorded unless someone is signed in whose role allows the mode; lookups only need a sign-in
+    canScan(mode = this.mode) {
+        const permission = SCANNER_MODE_PERMISSIONS[mode];
+        return !!this.users.getCurrentUser() && (!permission || this.users.can(permission));
+    }
+
+    // Every scan ends up here, whether from the camera, a keyboard-wedge scanner or typed in by hand
+    onScanSuccess(decodedText) {
+        if (!this.canScan()) {
+            this.soundManager.playError();
+            this.updateStatus(this.users.getCurrentUser() ? `🔒 Your role can't use ${this.mode} mode` : '🔒 Sign in to scan', 'error');
+            this.startCooldown();
+            return;
+        }
+        // Barcodes and aliases are resolved to the product's SKU before anything is recorded
+        const sku = this.inventoryManager.resolveCode(decodedText) || decodedText;
+
+        switch (this.mode) {
+            case 'receive':
+                this.receiveItem(sku);
+                return;
+            case 'stocktake':
+                this.countItem(sku);
+                return;
+            case 'return':
+                this.returnItem(sku);
+                return;
+            case 'lookup':
+                this.lookupItem(sku);
+                return;
+        }
+
+        if (this.cartMode) {
+            this.addToCart(sku);
+            return;
+        }
+
+        const product = this.inventoryManager.getProduct(sku);
+        const pricing = product ? this.promotions.priceProduct(product) : null;
+        const result = this.inventoryManager.sellProduct(sku, 'scanner', pricing);
+
+        if (result.success) {
+            const receipt = this.receipts.recordTransaction('sale', [result.event], this.paymentMethod);
+            showLastReceipt(receipt);
+            this.rememberScan('sale', `Sold 1 × ${this.describeProduct(result.product)}`, { receipt: receipt.number });
+            const status = this.reorderManager.getStockStatus(result.product);
+            const left = this.inventoryManager.getLocationStock(result.product);
+            const price = pricing.discount > 0
+                ? ` at $${pricing.total.toFixed(2)} (${pricing.promotions.map(p => p.name).join(', ')})`
+                : '';
+            if (status === 'ok') {
+                this.soundManager.playSuccess();
+                this.updateStatus(
+                    `✅ Sold 1 unit of ${result.product.design}${price} (${left} left here)`,
+                    'success'
+                );
+            } else {
+                this.soundManager.playWarning();
+                this.updateStatus(
+                    `⚠️ Sold 1 unit of ${result.product.design}${price} — ${left} left here, ${result.product.stock} in total, below reorder point`,
+                    'warning'
+                );
+            }
+            this.startCooldown();
+
+            updateReorderAlerts();
+            if (document.getElementById('inventory-section').classList.contains('active')) {
+                updateInventoryDisplay();
+            }
+        } else {
+            this.reportScanError(result, sku);
+        }
+    }
+
+    addToCart(sku) {
+        const result = this.cart.addItem(sku);
+        if (result.success) {
+            this.soundManager.playSuccess();
+            this.updateStatus(
+                `🛒 Added ${result.product.design} (${result.product.size}/${result.product.color}) ×${result.line.quantity} · Total $${this.cart.getTotal().toFixed(2)}`,
+                'success'
+            );
+            this.startCooldown();
+            this.rememberScan('cart', `Added ${this.describeProduct(result.product)} to the cart`, { sku: result.product.sku });
+            updateCartDisplay();
+        } else if (result.reason === 'stock') {
+            this.soundManager.playError();
+            this.updateStatus(`❌ No more stock of ${result.product.design} to add (${this.inventoryManager.getLocationStock(result.product)} available here)`, 'error');
+            this.startCooldown();
+        } else {
+            this.reportScanError(result, sku);
+        }
+    }
+
+    checkoutCart() {
+        const result = this.cart.checkout('scanner');
+        if (!result.success) {
+            this.soundManager.playError();
+            this.updateStatus(`❌ ${result.errors.join('; ')}`, 'error');
+            return result;
+        }
+
+        result.receipt = this.receipts.recordTransaction('sale', result.events, this.paymentMethod);
+        showLastReceipt(result.receipt);
+        this.rememberScan('sale', `Checked out ${result.itemCount} item(s)`, { receipt: result.receipt.number });
+        const lowStock = result.products.filter(p => this.reorderManager.getStockStatus(p) !== 'ok');
+        const saved = result.discount > 0 ? ` (saved $${result.discount.toFixed(2)})` : '';
+        if (lowStock.length === 0) {
+            this.soundManager.playSuccess();
+            this.updateStatus(`✅ Sold ${result.itemCount} item(s) · $${result.total.toFixed(2)}${saved}`, 'success');
+        } else {
+            this.soundManager.playWarning();
+            this.updateStatus(
+                `⚠️ Sold ${result.itemCount} item(s) · $${result.total.toFixed(2)}${saved} — below reorder point: ${lowStock.map(p => p.design).join(', ')}`,
+                'warning'
+            );
+        }
+        updateReorderAlerts();
+        return result;
+    }
+
+    receiveItem(sku) {
+        if (this.purchaseOrderId) {
+            this.receiveAgainstOrder(sku);
+            return;
+        }
+        const result = this.inventoryManager.receiveStock(sku, 1, 'scanner');
+        if (!result.success) {
+            this.reportScanError(result, sku);
+            return;
+        }
+        this.soundManager.playReceive();
+        this.updateStatus(`📥 Received 1 × ${result.product.design} (${result.product.size}/${result.product.color}) · now ${this.inventoryManager.getLocationStock(result.product)} here`, 'success');
+        this.rememberScan('receive', `Received 1 × ${this.describeProduct(result.product)}`, { eventIds: [result.event.id] });
+        this.startCooldown();
+        updateReorderAlerts();
+    }
+
+    receiveAgainstOrder(sku) {
+        const result = this.purchaseOrders.receive(this.purchaseOrderId, [{ sku, quantity: 1 }], 'scanner');
+        if (!result.success) {
+            this.soundManager.playError();
+            this.updateStatus(`❌ ${result.errors.join('; ')}`, 'error');
+            this.startCooldown();
+            return;
+        }
+        const line = result.order.lines.find(l => l.sku === result.events[0].sku);
+        const product = this.inventoryManager.getProduct(line.sku);
+        this.soundManager.playReceive();
+        this.rememberScan('receive', `Received 1 × ${this.describeProduct(product)} on ${result.order.id}`, { eventIds: [result.events[0].id] });
+        if (result.order.status === 'closed') {
+            this.purchaseOrderId = null;
+            this.updateStatus(`✅ ${result.order.id} fully received · last item ${product.design} (${product.size}/${product.color})`, 'success');
+        } else {
+            this.updateStatus(`📥 ${result.order.id}: ${product.design} (${product.size}/${product.color}) · ${line.received} of ${line.quantity} received`, 'success');
+        }
+        this.startCooldown();
+        updateReorderAlerts();
+        updateReceivingOrderSelector();
+        updatePurchaseOrdersDisplay();
+    }
+
+    countItem(sku) {
+        const result = this.stockTake.count(sku);
+        if (!result.success) {
+            this.reportScanError(result, sku);
+            return;
+        }
+        this.soundManager.playCount();
+        this.updateStatus(`🔢 Counted ${result.product.design} (${result.product.size}/${result.product.color}) · ${result.counted} so far`, 'success');
+        this.rememberScan('count', `Counted ${this.describeProduct(result.product)}`, { sku: result.product.sku });
+        this.startCooldown();
+        updateStockTakeDisplay();
+    }
+
+    returnItem(sku) {
+        const result = this.inventoryManager.returnProduct(sku, 1, 'scanner');
+        if (!result.success) {
+            this.soundManager.playError();
+            this.updateStatus(result.errors ? `❌ ${result.errors.join('; ')}` : result.product
+                ? `❌ No recorded sales of ${result.product.design} to return`
+                : `❌ SKU not found: ${sku}`, 'error');
+            this.startCooldown();
+            return;
+        }
+        const receipt = this.receipts.recordTransaction('refund', [result.event], this.paymentMethod);
+        showLastReceipt(receipt);
+        this.rememberScan('return', `Returned 1 × ${this.describeProduct(result.product)}`, { receipt: receipt.number });
+        this.soundManager.playReturn();
+        this.updateStatus(`↩️ Returned 1 × ${result.product.design} (${result.product.size}/${result.product.color}) · now ${this.inventoryManager.getLocationStock(result.product)} here`, 'success');
+        this.startCooldown();
+        updateReorderAlerts();
+    }
+
+    lookupItem(sku) {
+        const product = this.inventoryManager.getProduct(sku);
+        if (!product) {
+            this.reportScanError({ success: false }, sku);
+            return;
+        }
+        this.soundManager.playLookup();
+        this.updateStatus(`🔍 ${product.design} (${product.size}/${product.color})`, 'ready');
+        this.startCooldown();
+        showLookupResult(product);
+    }
+
+    describeProduct(product) {
+        return `${product.design} (${product.size}/${product.color})`;
+    }
+
+    // details: the receipt of a sale or return, the ledger events of a delivery, or the SKU counted or added to the cart
+    rememberScan(type, description, details = {}) {
+        const scan = { id: this.nextScanId++, type, description, timestamp: new Date().toISOString(), ...details };
+        this.recentScans = [scan, ...this.recentScans].slice(0, RECENT_SCAN_LIMIT);
+        showScanUndo(scan);
+        updateRecentScansDisplay();
+        return scan;
+    }
+
+    // Sales and returns are voided through their receipt and deliveries against an order through the order,
+    // so the till and the order stay in step with the ledger; cart and stock-take scans are simply taken off again
+    undoScan(id, reason = SCAN_UNDO_REASON) {
+        const scan = this.recentScans.find(s => s.id === id);
+        if (!scan || scan.undoneAt) return { success: false, errors: ['This scan has already been undone'] };
+
+        let result = { success: true };
+        if (scan.receipt) {
+            result = this.receipts.voidReceipt(scan.receipt, reason, 'scanner');
+        } else if (scan.eventIds) {
+            result = this.purchaseOrders.getOrderForEvent(scan.eventIds[0])
+                ? this.purchaseOrders.voidDelivery(scan.eventIds[0], reason, 'scanner')
+                : this.inventoryManager.voidEvents(scan.eventIds, reason, 'scanner');
+        } else if (scan.type === 'cart') {
+            const line = this.cart.lines.find(l => l.sku === scan.sku);
+            if (!line) return { success: false, errors: ['That item is no longer in the cart'] };
+            this.cart.setQuantity(scan.sku, line.quantity - 1);
+        } else {
+            if (!(this.stockTake.counts[scan.sku] > 0)) return { success: false, errors: ['That item is no longer counted'] };
+            this.stockTake.setCount(scan.sku, this.stockTake.counts[scan.sku] - 1);
+        }
+        if (!result.success) return result;
+        scan.undoneAt = new Date().toISOString();
+        if (scan.receipt || scan.eventIds) scan.reason = String(reason).trim();
+        return { success: true, scan };
+    }
+
+    reportScanError(result, sku) {
+        this.soundManager.playError();
+        if (result.errors) {
+            this.updateStatus(`❌ ${result.errors.join('; ')}`, 'error');
+        } else if (result.reason === 'archived') {
+            this.updateStatus(`❌ Archived product: ${result.product.design}`, 'error');
+        } else if (result.reason === 'location') {
+            this.updateStatus(`❌ None left here: ${result.product.design} (${result.product.stock} at other locations, transfer some in)`, 'error');
+        } else if (result.product) {
+            this.updateStatus(`❌ Out of stock: ${result.product.design}`, 'error');
+        } else if (this.inventoryManager.skuGenerator.settings.checkDigit &&
+            !this.inventoryManager.skuGenerator.hasValidCheckCharacter(sku)) {
+            this.updateStatus(`❌ Unreadable code, check digit mismatch: ${sku}`, 'error');
+        } else {
+            this.updateStatus(`❌ SKU not found: ${sku}`, 'error');
+        }
+        this.startCooldown();
+    }
+
+    startCooldown() {
+        if (this.settings.cooldown !== 'fixed') return;
+        this.scanCooldown = true;
+        let timeLeft = this.settings.cooldownSeconds; // Leave the scan result on screen for the first tick
+
+        const countdownInterval = setInterval(() => {
+            timeLeft--;
+            if (timeLeft > 0) {
+                 this.updateStatus(`Cooldown... Next scan in ${timeLeft}s...`, 'ready');
+            } else {
+                clearInterval(countdownInterval);
+                this.scanCooldown = false;
+                this.updateStatus('Ready to scan...', 'ready');
+            }
+        }, 1000);
+    }
+
+    updateStatus(message, type) {
+        const statusElement = document.getElementById('scanner-status');
+        statusElement.textContent = message;
+        statusElement.className = `scanner-status ${type}`;
+    }
+}
+
+// Label Templates: paper, grid and label geometry in millimetres, plus which fields each label shows
+const LABEL_PAPER_SIZES = {
+    a4: { name: 'A4', width: 210, height: 297 },
+    letter: { name: 'US Letter', width: 215.9, height: 279.4 },
+    roll: { name: 'Roll (one label per page)' }
+};
+const LABEL_FIELDS = { design: 'Design', size: 'Size', color: 'Colour', price: 'Price', storeName: 'Store name', logo: 'Logo' };
+const LABEL_CODES = { qr: 'QR code', code128: 'Code 128', ean13: 'EAN-13', 'qr+code128': 'QR code + Code 128', 'qr+ean13': 'QR code + EAN-13' };
+const BUILT_IN_LABEL_TEMPLATES = [
+    { id: 'a4-4x5', name: 'A4 · 4 × 5', paper: 'a4', columns: 4, rows: 5, labelWidth: 43.75, labelHeight: 51.4, marginTop: 10, marginLeft: 10, gapX: 5, gapY: 5, fields: ['design', 'size', 'color'] },
+    { id: 'avery-5160', name: 'Avery 5160 · Letter 3 × 10', paper: 'letter', columns: 3, rows: 10, labelWidth: 66.7, labelHeight: 25.4, marginTop: 12.7, marginLeft: 4.8, gapX: 3.2, gapY: 0, fields: ['design', 'size', 'color', 'price'] },
+    { id: 'avery-5163', name: 'Avery 5163 · Letter 2 × 5', paper: 'letter', columns: 2, rows: 5, labelWidth: 101.6, labelHeight: 50.8, marginTop: 12.7, marginLeft: 4, gapX: 4.8, gapY: 0, fields: ['storeName', 'logo', 'design', 'size', 'color', 'price'] },
+    { id: 'roll-50x25', name: 'Roll · 50 × 25 mm', paper: 'roll', columns: 1, rows: 1, labelWidth: 50, labelHeight: 25, marginTop: 0, marginLeft: 0, gapX: 0, gapY: 0, fields: ['design', 'size', 'color', 'price'] }
+];
+const LABEL_TEMPLATE_NUMBER_FIELDS = ['columns', 'rows', 'labelWidth', 'labelHeight', 'marginTop', 'marginLeft', 'gapX', 'gapY'];
+const CURRENT_LABEL_TEMPLATE_KEY = 'clothify_label_template';
+const LABEL_PADDING_MM = 1.5;
+const LABEL_LOGO_HEIGHT_MM = 6;
+const LABEL_LINE_HEIGHT = 1.2;
+const MM_PER_POINT = 25.4 / 72;
+const BARCODE_MODULE_MM = 0.33; // EAN-13 nominal size; narrower labels scale the bars down to fit
+
+class ClothifyLabelTemplateManager {
+    constructor(store) {
+        this.store = store;
+        this.storageKey = 'clothify_label_settings';
+        this.settings = this.loadSettings();
+    }
+
+    // Custom templates and the store branding are shared; the selected template is per device (each has its own printer)
+    loadSettings() {
+        return { storeName: '', logo: '', templates: [], ...this.store.get(this.storageKey, {}) };
+    }
+
+    saveSettings() {
+        this.store.set(this.storageKey, this.settings);
+    }
+
+    getTemplates() {
+        return [...BUILT_IN_LABEL_TEMPLATES.map(t => ({ ...t, builtIn: true })), ...this.settings.templates];
+    }
+
+    getTemplate(id) {
+        return this.getTemplates().find(t => t.id === id);
+    }
+
+    getSelectedTemplate() {
+        return this.getTemplate(localStorage.getItem(CURRENT_LABEL_TEMPLATE_KEY)) || this.getTemplates()[0];
+    }
+
+    selectTemplate(id) {
+        if (!this.getTemplate(id)) return { success: false };
+        localStorage.setItem(CURRENT_LABEL_TEMPLATE_KEY, id);
+        return { success: true, template: this.getTemplate(id) };
+    }
+
+    // Page size in mm; a roll prints one label per page, so the page is the label
+    getPageSize(template) {
+        const paper = LABEL_PAPER_SIZES[template.paper];
+        return paper.width ? { width: paper.width, height: paper.height } : { width: template.labelWidth, height: template.labelHeight };
+    }
+
+    getLabelsPerPage(template) {
+        return template.columns * template.rows;
+    }
+
+    // What goes on one label, shared by the HTML preview, the PDF and ZPL so all three agree.
+    // A barcode runs across the bottom of the label; above it, wide labels put the QR code beside
+    // the text and tall ones above it. Sizes are in mm and points.
+    getLabelLayout(template, product) {
+        const { storeName, logo } = this.settings;
+        const show = (field) => template.fields.includes(field);
+        const code = template.code || 'qr';
+        const barcode = this.getLabelBarcode(code, product);
+        const innerWidth = template.labelWidth - 2 * LABEL_PADDING_MM;
+        const lines = [];
+        if (show('storeName') && storeName) lines.push({ text: storeName, size: 7, bold: true });
+        if (show('design')) lines.push({ text: product.design, size: 7 });
+        const variant = [show('size') ? product.size : '', show('color') ? product.color : ''].filter(Boolean).join(' / ');
+        if (variant) lines.push({ text: variant, size: 7, muted: true });
+        if (show('price')) lines.push({ text: `$${product.price.toFixed(2)}`, size: 9, bold: true });
+        lines.push({ text: product.sku, size: 6, bold: true, mono: true });
+        if (barcode && barcode.text !== product.sku) lines.push({ text: barcode.text, size: 6, mono: true });
+
+        let barcodeLayout = null;
+        let contentHeight = template.labelHeight;
+        if (barcode) {
+            const moduleWidth = Math.min(BARCODE_MODULE_MM, innerWidth / (barcode.width + 2 * barcode.quietZone));
+            const height = Math.min(12, Math.max(5, (template.labelHeight - 2 * LABEL_PADDING_MM) * 0.35));
+            barcodeLayout = { symbol: barcode, moduleWidth, height, width: (barcode.width + 2 * barcode.quietZone) * moduleWidth };
+            contentHeight -= height + LABEL_PADDING_MM;
+        }
+        const showQR = code.startsWith('qr');
+        const wide = showQR && template.labelWidth >= contentHeight * 1.5;
+        const qrSize = showQR ? Math.max(8, (wide ? contentHeight : Math.min(template.labelWidth, contentHeight * 0.6)) - 4) : 0;
+        return { wide, qrSize, contentHeight, barcode: barcodeLayout, logo: show('logo') ? logo : '', lines };
+    }
+
+    // EAN-13 needs a supplier code; without one the label falls back to Code 128 so it still scans
+    getLabelBarcode(code, product) {
+        if (!code.includes('code128') && !code.includes('ean13')) return null;
+        const barcodes = product.barcodes || [];
+        const ean = code.includes('ean13') && barcodes.find(barcode => ClothifyBarcode.isValidEAN13(barcode));
+        if (ean) return ClothifyBarcode.encodeEAN13(ean);
+        return ClothifyBarcode.encodeCode128(barcodes.find(barcode => !ClothifyBarcode.isValidEAN13(barcode)) || product.sku);
+    }
+
+    normalizeTemplate(fields) {
+        const template = {
+            name: String(fields.name || '').trim(),
+            paper: fields.paper,
+            code: LABEL_CODES[fields.code] ? fields.code : 'qr',
+            fields: (fields.fields || []).filter(field => LABEL_FIELDS[field])
+        };
+        LABEL_TEMPLATE_NUMBER_FIELDS.forEach(field => { template[field] = parseFloat(fields[field]); });
+        if (template.paper === 'roll') {
+            Object.assign(template, { columns: 1, rows: 1, marginTop: 0, marginLeft: 0, gapX: 0, gapY: 0 });
+        }
+        return template;
+    }
+
+    validateTemplate(template, id = null) {
+        const errors = [];
+        if (!template.name) errors.push('Template name is required');
+        if (this.getTemplates().some(t => t.id !== id && t.name.toLowerCase() === template.name.toLowerCase())) {
+            errors.push(`A template called ${template.name} already exists`);
+        }
+        if (!LABEL_PAPER_SIZES[template.paper]) errors.push('Choose a paper size');
+        ['columns', 'rows'].forEach(field => {
+            if (!(Number.isInteger(template[field]) && template[field] >= 1 && template[field] <= 20)) {
+                errors.push(`${field === 'columns' ? 'Columns' : 'Rows'} must be a whole number from 1 to 20`);
+            }
+        });
+        if (!(template.labelWidth > 0) || !(template.labelHeight > 0)) errors.push('Label width and height must be greater than 0');
+        if (['marginTop', 'marginLeft', 'gapX', 'gapY'].some(field => !(template[field] >= 0))) {
+            errors.push('Margins and gaps must be 0 or more');
+        }
+        if (errors.length === 0) {
+            // Allow half a millimetre for rounding in published sheet measurements
+            const page = this.getPageSize(template);
+            const usedWidth = template.marginLeft + template.columns * template.labelWidth + (template.columns - 1) * template.gapX;
+            const usedHeight = template.marginTop + template.rows * template.labelHeight + (template.rows - 1) * template.gapY;
+            if (usedWidth > page.width + 0.5) errors.push(`The labels need ${usedWidth.toFixed(1)} mm across but the page is ${page.width} mm wide`);
+            if (usedHeight > page.height + 0.5) errors.push(`The labels need ${usedHeight.toFixed(1)} mm down but the page is ${page.height} mm tall`);
+        }
+        return errors;
+    }
+
+    // Built-in templates are read-only; saving one stores a custom copy
+    saveTemplate(fields, id = null) {
+        const existing = this.settings.templates.find(t => t.id === id);
+        const template = this.normalizeTemplate(fields);
+        const errors = this.validateTemplate(template, existing ? id : null);
+        if (errors.length > 0) return { success: false, errors };
+
+        if (existing) {
+            Object.assign(existing, template);
+            this.saveSettings();
+            return { success: true, template: existing };
+        }
+        const slug = template.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'template';
+        let newId = `custom-${slug}`;
+        for (let n = 2; this.getTemplate(newId); n++) newId = `custom-${slug}-${n}`;
+        const created = { id: newId, ...template };
+        this.settings.templates.push(created);
+        this.saveSettings();
+        return { success: true, template: created };
+    }
+
+    deleteTemplate(id) {
+        const index = this.settings.templates.findIndex(t => t.id === id);
+        if (index === -1) return { success: false, errors: ['Built-in templates cannot be deleted'] };
+        this.settings.templates.splice(index, 1);
+        this.saveSettings();
+        return { success: true };
+    }
+
+    updateBranding(storeName, logo) {
+        this.settings.storeName = String(storeName).trim();
+        this.settings.logo = logo;
+        this.saveSettings();
+    }
+}
+
+// QR Bulk Page Generator Class
+// Labels are placed absolutely in mm so the print lines up with pre-cut sheets
+class ClothifyQRGenerator {
+    constructor(templates) {
+        this.templates = templates;
+    }
+
+    countPages(template, labelCount, startPosition = 1) {
+        return Math.ceil((labelCount + startPosition - 1) / this.templates.getLabelsPerPage(template));
+    }
+
+    // lines: [{ product, quantity }]; a separator takes one label before each product
+    countLabels(lines, separators = false) {
+        return lines.reduce((sum, line) => sum + line.quantity + (separators ? 1 : 0), 0);
+    }
+
+    renderLabel(product, template, qrImageUrl) {
+        const { wide, qrSize, barcode, logo, lines } = this.templates.getLabelLayout(template, product);
+        const content = lines.map(line => `<div style="font-size: ${line.size}pt;${line.bold ? ' font-weight: bold;' : ''}${line.muted ? ' color: #555;' : ''}${line.mono ? ' font-family: monospace; word-break: break-all;' : ''}">${escapeHTML(line.text)}</div>`);
+        if (logo) content.unshift(`<img src="${escapeHTML(logo)}" alt="" style="max-height: ${LABEL_LOGO_HEIGHT_MM}mm; max-width: 100%;">`);
+
+        return `
+            <div style="display: flex; flex-direction: column; gap: ${LABEL_PADDING_MM}mm; width: 100%; height: 100%; padding: ${LABEL_PADDING_MM}mm; box-sizing: border-box; overflow: hidden;">
+                <div style="flex: 1; min-height: 0; display: flex; flex-direction: ${wide ? 'row' : 'column'}; align-items: center; justify-content: center; gap: ${LABEL_PADDING_MM}mm; text-align: ${wide ? 'left' : 'center'}; line-height: ${LABEL_LINE_HEIGHT};">
+                    ${qrSize ? `<img src="${qrImageUrl}" alt="QR Code" style="width: ${qrSize}mm; height: ${qrSize}mm; flex-shrink: 0;">` : ''}
+                    <div style="min-width: 0;">${content.join('')}</div>
+                </div>
+                ${barcode ? `<img src="${barcode.symbol.toSVGDataURL()}" alt="Barcode" style="width: ${barcode.width}mm; height: ${barcode.height}mm; align-self: center; flex-shrink: 0;">` : ''}
+            </div>
+        `;
+    }
+
+    // A separator has no code, so it can't be scanned by mistake; it names the product whose labels follow
+    renderSeparatorLabel(product, quantity) {
+        return `
+            <div style="display: flex; flex-direction: column; align-items: center; justify-content: center; width: 100%; height: 100%; padding: 1.5mm; box-sizing: border-box; overflow: hidden; text-align: center; line-height: 1.2; border: 0.6mm solid #000;">
+                <div style="font-size: 7pt; letter-spacing: 0.5mm;">✂ NEXT ✂</div>
+                <div style="font-weight: bold; font-size: 8pt;">${escapeHTML(product.design)}</div>
+                <div style="font-size: 7pt;">${escapeHTML(product.size)} / ${escapeHTML(product.color)} · ${quantity} label${quantity > 1 ? 's' : ''}</div>
+            </div>
+        `;
+    }
+
+    buildLabelSequence(lines, template, separators = false) {
+        const sequence = [];
+        lines.forEach(({ product, quantity }) => {
+            if (separators) sequence.push(this.renderSeparatorLabel(product, quantity));
+            const label = this.renderLabel(product, template, QRCodeGenerator.generateDataURL(product.sku, 200));
+            for (let i = 0; i < quantity; i++) sequence.push(label);
+        });
+        return sequence;
+    }
+
+    // Returns one HTML string per page, filling slots across products in one continuous run;
+    // the first (startPosition - 1) slots are left empty for partly used sheets
+    renderPages(lines, template, startPosition = 1, options = {}) {
+        const page = this.templates.getPageSize(template);
+        const perPage = this.templates.getLabelsPerPage(template);
+        const sequence = this.buildLabelSequence(lines, template, options.separators);
+        const pageCount = options.maxPages || this.countPages(template, sequence.length, startPosition);
+        const pages = [];
+
+        for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+            let html = `<div class="label-page" style="position: relative; width: ${page.width}mm; height: ${page.height}mm; background: white; overflow: hidden;">`;
+            for (let i = 0; i < perPage; i++) {
+                const label = sequence[pageIndex * perPage + i - (startPosition - 1)];
+                if (!label && !options.outlineEmpty) continue;
+                const row = Math.floor(i / template.columns);
+                const column = i % template.columns;
+                html += `
+                    <div style="position: absolute; box-sizing: border-box; border: 1px ${label ? 'dashed #ccc' : 'dotted #e5e7eb'};
+                        top: ${template.marginTop + row * (template.labelHeight + template.gapY)}mm;
+                        left: ${template.marginLeft + column * (template.labelWidth + template.gapX)}mm;
+                        width: ${template.labelWidth}mm; height: ${template.labelHeight}mm;">
+                        ${label || ''}
+                    </div>
+                `;
+            }
+            pages.push(`${html}</div>`);
+        }
+        return pages;
+    }
+
+    // Draws one label straight into a jsPDF document, in mm from the sheet's top-left corner
+    drawPDFLabel(doc, product, template, x, y) {
+        const { wide, qrSize, contentHeight, barcode, logo, lines } = this.templates.getLabelLayout(template, product);
+        const innerWidth = template.labelWidth - 2 * LABEL_PADDING_MM;
+        const innerHeight = contentHeight - 2 * LABEL_PADDING_MM;
+        const qrSpace = qrSize ? qrSize + LABEL_PADDING_MM : 0;
+        const textWidth = wide ? innerWidth - qrSpace : innerWidth;
+        const textSpace = wide ? innerHeight : innerHeight - qrSpace;
+
+        // Lines that would run past the label are dropped, as the preview clips them
+        const rows = [];
+        let textHeight = 0;
+        let logoProperties = null;
+        if (logo) {
+            logoProperties = doc.getImageProperties(logo);
+            textHeight += LABEL_LOGO_HEIGHT_MM;
+        }
+        for (const line of lines) {
+            this.setPDFFont(doc, line);
+            const lineHeight = line.size * MM_PER_POINT * LABEL_LINE_HEIGHT;
+            const wrapped = doc.splitTextToSize(String(line.text), textWidth);
+            if (textHeight + wrapped.length * lineHeight > textSpace) break;
+            wrapped.forEach(text => rows.push({ ...line, text, lineHeight }));
+            textHeight += wrapped.length * lineHeight;
+        }
+
+        let qrX, qrY, textX, textY;
+        if (wide) {
+            qrX = x + LABEL_PADDING_MM;
+            qrY = y + (contentHeight - qrSize) / 2;
+            textX = qrX + qrSpace;
+            textY = y + (contentHeight - textHeight) / 2;
+        } else {
+            const top = y + Math.max(LABEL_PADDING_MM, (contentHeight - qrSpace - textHeight) / 2);
+            qrX = x + (template.labelWidth - qrSize) / 2;
+            qrY = top;
+            textX = x + template.labelWidth / 2;
+            textY = top + qrSpace;
+        }
+        // The alias lets jsPDF embed each product's code once however many labels repeat it
+        if (qrSize) {
+            doc.addImage(QRCodeGenerator.generateDataURL(product.sku, 300), 'PNG', qrX, qrY, qrSize, qrSize, `qr-${product.sku}`);
+        }
+        if (barcode) {
+            // Bars are drawn as rectangles, so they stay sharp at any printer resolution
+            const barsX = x + (template.labelWidth - barcode.width) / 2 + barcode.symbol.quietZone * barcode.moduleWidth;
+            const barsY = y + template.labelHeight - LABEL_PADDING_MM - barcode.height;
+            barcode.symbol.getBars().forEach(([start, length]) => {
+                doc.rect(barsX + start * barcode.moduleWidth, barsY, length * barcode.moduleWidth, barcode.height, 'F');
+            });
+        }
+
+        if (logoProperties) {
+            const logoWidth = Math.min(textWidth, LABEL_LOGO_HEIGHT_MM * logoProperties.width / logoProperties.height);
+            doc.addImage(logo, logoProperties.fileType, wide ? textX : textX - logoWidth / 2, textY, logoWidth, LABEL_LOGO_HEIGHT_MM, 'label-logo');
+            textY += LABEL_LOGO_HEIGHT_MM;
+        }
+        rows.forEach(row => {
+            this.setPDFFont(doc, row);
+            doc.setTextColor(row.muted ? 85 : 0);
+            doc.text(row.text, textX, textY, { align: wide ? 'left' : 'center', baseline: 'top' });
+            textY += row.lineHeight;
+        });
+        doc.setTextColor(0);
+    }
+
+    setPDFFont(doc, line) {
+        doc.setFont(line.mono ? 'courier' : 'helvetica', line.bold ? 'bold' : 'normal');
+        doc.setFontSize(line.size);
+    }
+
+    // The PDF's standard fonts have no scissors symbol, so the separator is marked with a border and dashes
+    drawPDFSeparator(doc, product, quantity, template, x, y) {
+        const centerX = x + template.labelWidth / 2;
+        const rows = [
+            { text: '- - NEXT - -', size: 7 },
+            { text: product.design, size: 8, bold: true },
+            { text: `${product.size} / ${product.color} · ${quantity} label${quantity > 1 ? 's' : ''}`, size: 7 }
+        ];
+        const height = rows.reduce((sum, row) => sum + row.size * MM_PER_POINT * LABEL_LINE_HEIGHT, 0);
+        let textY = y + (template.labelHeight - height) / 2;
+        doc.setLineWidth(0.6);
+        doc.rect(x + 0.3, y + 0.3, template.labelWidth - 0.6, template.labelHeight - 0.6, 'S');
+        rows.forEach(row => {
+            this.setPDFFont(doc, row);
+            doc.text(doc.splitTextToSize(row.text, template.labelWidth - 2 * LABEL_PADDING_MM)[0], centerX, textY, { align: 'center', baseline: 'top' });
+            textY += row.size * MM_PER_POINT * LABEL_LINE_HEIGHT;
+        });
+    }
+
+    // One continuous run across products, like renderPages, with the page sized exactly to the paper
+    createPDF(lines, template, startPosition = 1, separators = false) {
+        const page = this.templates.getPageSize(template);
+        const orientation = page.width > page.height ? 'landscape' : 'portrait';
+        const doc = new window.jspdf.jsPDF({ unit: 'mm', format: [page.width, page.height], orientation });
+        const perPage = this.templates.getLabelsPerPage(template);
+        let slot = startPosition - 1;
+
+        const place = (draw) => {
+            if (slot === perPage) {
+                doc.addPage([page.width, page.height], orientation);
+                slot = 0;
+            }
+            const row = Math.floor(slot / template.columns);
+            const column = slot % template.columns;
+            draw(template.marginLeft + column * (template.labelWidth + template.gapX), template.marginTop + row * (template.labelHeight + template.gapY));
+            slot++;
+        };
+        lines.forEach(({ product, quantity }) => {
+            if (separators) place((x, y) => this.drawPDFSeparator(doc, product, quantity, template, x, y));
+            for (let i = 0; i < quantity; i++) place((x, y) => this.drawPDFLabel(doc, product, template, x, y));
+        });
+        return doc;
+    }
+
+    generatePDF(lines, template = this.templates.getSelectedTemplate(), startPosition = 1, separators = false) {
+        if (!window.jspdf) {
+            return { success: false, errors: ['The PDF library has not loaded. Check the internet connection and reload the page, or use ZPL instead.'] };
+        }
+        const loadingOverlay = document.getElementById('loading-overlay');
+        loadingOverlay.classList.add('show');
+        document.getElementById('loading-progress').textContent = `Preparing ${this.countLabels(lines, separators)} label(s)...`;
+        try {
+            const doc = this.createPDF(lines, template, startPosition, separators);
+            const fileName = lines.length === 1
+                ? `clothify_labels_${lines[0].product.sku}.pdf`
+                : `clothify_labels_${new Date().toISOString().split('T')[0]}.pdf`;
+            downloadFile(fileName, doc.output('blob'), 'application/pdf');
+            return { success: true, fileName, pages: doc.getNumberOfPages() };
+        } finally {
+            loadingOverlay.classList.remove('show');
+        }
+    }
+}
+
+// ZPL for Zebra and other thermal printers. Each product becomes one label format printed `quantity`
+// times with ^PQ, sized to the template's label; sheet layout and start position don't apply to a roll.
+const ZPL_DPI_OPTIONS = [203, 300, 600];
+const LABEL_PRINTER_KEY = 'clothify_label_printer';
+const ZPL_HOST_PATTERN = /^[a-zA-Z0-9.-]+$/;
+
+class ClothifyZPLGenerator {
+    constructor(templates) {
+        this.templates = templates;
+        this.printer = this.loadPrinter();
+    }
+
+    // Per device, like the selected template: each till talks to the printer next to it
+    loadPrinter() {
+        const data = localStorage.getItem(LABEL_PRINTER_KEY);
+        return { host: '', port: 9100, dpi: 203, serverUrl: '', ...(data ? JSON.parse(data) : {}) };
+    }
+
+    savePrinter(fields) {
+        const printer = {
+            host: String(fields.host || '').trim(),
+            port: parseInt(fields.port),
+            dpi: parseInt(fields.dpi),
+            serverUrl: String(fields.serverUrl || '').trim()
+        };
+        const errors = [];
+        if (!ZPL_HOST_PATTERN.test(printer.host)) errors.push('Enter the printer\'s IP address or host name');
+        if (!(printer.port >= 1 && printer.port <= 65535)) errors.push('Printer port must be a number from 1 to 65535');
+        if (!ZPL_DPI_OPTIONS.includes(printer.dpi)) errors.push('Choose the printer\'s resolution');
+        if (!/^https?:\/\//.test(printer.serverUrl)) errors.push('Print server address must start with http:// or https://');
+        if (errors.length > 0) return { success: false, errors };
+        this.printer = printer;
+        localStorage.setItem(LABEL_PRINTER_KEY, JSON.stringify(printer));
+        return { success: true, printer };
+    }
+
+    // ^FH turns _XX into a hex byte, so ZPL's own command characters can appear in names
+    escape(text) {
+        return String(text).replace(/[\^~_\\]/g, c => `_${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    }
+
+    renderLabel(product, template, quantity, dpi) {
+        const dots = (mm) => Math.round(mm * dpi / 25.4);
+        const { wide, qrSize, contentHeight, barcode, lines } = this.templates.getLabelLayout(template, product);
+        const width = dots(template.labelWidth);
+        const height = dots(template.labelHeight);
+        const contentBottom = dots(contentHeight);
+        const padding = dots(LABEL_PADDING_MM);
+        // ^BQ scales by whole dots per module, so the code is the largest that fits the template's QR size
+        const modules = ClothifyQRCode.encodeText(product.sku, 'M').size;
+        const magnification = Math.min(Math.max(Math.floor(dots(qrSize) / modules), 1), 10);
+        const qrDots = qrSize ? modules * magnification : 0;
+        const rows = lines.map(line => ({ ...line, fontDots: Math.round(line.size * dpi / 72) }));
+        const textHeight = rows.reduce((sum, row) => sum + Math.round(row.fontDots * LABEL_LINE_HEIGHT), 0);
+
+        let qrX, qrY, textX, textY, textWidth;
+        if (wide) {
+            qrX = padding;
+            qrY = Math.round((contentBottom - qrDots) / 2);
+            textX = qrX + qrDots + padding;
+            textY = Math.max(padding, Math.round((contentBottom - textHeight) / 2));
+            textWidth = width - textX - padding;
+        } else {
+            qrX = Math.round((width - qrDots) / 2);
+            qrY = padding;
+            textX = padding;
+            textY = qrDots ? qrY + qrDots + padding : Math.max(padding, Math.round((contentBottom - textHeight) / 2));
+            textWidth = width - 2 * padding;
+        }
+
+        const zpl = ['^XA', '^CI28', `^PW${width}`, `^LL${height}`, '^LH0,0'];
+        if (qrDots) zpl.push(`^FO${qrX},${qrY}^BQN,2,${magnification}^FH^FDMA,${this.escape(product.sku)}^FS`);
+        rows.forEach(row => {
+            if (textY + row.fontDots > contentBottom - padding) return;
+            zpl.push(`^FO${textX},${textY}^A0N,${row.fontDots},${row.fontDots}^FB${textWidth},1,0,${wide ? 'L' : 'C'}^FH^FD${this.escape(row.text)}^FS`);
+            textY += Math.round(row.fontDots * LABEL_LINE_HEIGHT);
+        });
+        if (barcode) {
+            // The printer draws the bars itself; ^BY sets the narrowest bar in whole dots
+            const { symbol } = barcode;
+            const moduleDots = Math.max(1, Math.min(Math.floor((width - 2 * padding) / (symbol.width + 2 * symbol.quietZone)), dots(BARCODE_MODULE_MM)));
+            const barsX = Math.max(0, Math.round((width - symbol.width * moduleDots) / 2));
+            const barsY = height - padding - dots(barcode.height);
+            const command = symbol.format === 'ean13'
+                ? `^BEN,${dots(barcode.height)},N,N^FD${symbol.text.slice(0, 12)}^FS`
+                : `^BCN,${dots(barcode.height)},N,N,N,A^FH^FD${this.escape(symbol.text)}^FS`;
+            zpl.push(`^BY${moduleDots}^FO${barsX},${barsY}${command}`);
+        }
+        zpl.push(`^PQ${quantity}`, '^XZ');
+        return zpl.join('\n');
+    }
+
+    renderSeparatorLabel(product, quantity, template, dpi) {
+        const dots = (mm) => Math.round(mm * dpi / 25.4);
+        const width = dots(template.labelWidth);
+        const height = dots(template.labelHeight);
+        const border = dots(0.6);
+        const rows = [
+            { text: '- - NEXT - -', fontDots: Math.round(7 * dpi / 72) },
+            { text: product.design, fontDots: Math.round(8 * dpi / 72) },
+            { text: `${product.size} / ${product.color} · ${quantity} label${quantity > 1 ? 's' : ''}`, fontDots: Math.round(7 * dpi / 72) }
+        ];
+        let textY = Math.round((height - rows.reduce((sum, row) => sum + Math.round(row.fontDots * LABEL_LINE_HEIGHT), 0)) / 2);
+        const zpl = ['^XA', '^CI28', `^PW${width}`, `^LL${height}`, '^LH0,0', `^FO0,0^GB${width},${height},${border}^FS`];
+        rows.forEach(row => {
+            zpl.push(`^FO0,${textY}^A0N,${row.fontDots},${row.fontDots}^FB${width},1,0,C^FH^FD${this.escape(row.text)}^FS`);
+            textY += Math.round(row.fontDots * LABEL_LINE_HEIGHT);
+        });
+        zpl.push('^PQ1', '^XZ');
+        return zpl.join('\n');
+    }
+
+    // The logo is left out: it would need converting to a ^GF bitmap for each printer resolution
+    generateZPL(lines, template = this.templates.getSelectedTemplate(), separators = false, dpi = this.printer.dpi) {
+        const labels = [];
+        lines.forEach(({ product, quantity }) => {
+            if (separators) labels.push(this.renderSeparatorLabel(product, quantity, template, dpi));
+            labels.push(this.renderLabel(product, template, quantity, dpi));
+        });
+        return labels.join('\n') + '\n';
+    }
+
+    // Browsers can't open a raw socket, so the job goes through clothify_server.js, which relays it to port 9100
+    async sendToPrinter(zpl, printer = this.printer) {
+        const url = `${printer.serverUrl.replace(/\/+$/, '')}/api/print`;
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...ClothifyStore.authHeaders() },
+                body: JSON.stringify({ host: printer.host, port: printer.port, data: zpl })
+            });
+        } catch (err) {
+            return { success: false, errors: [`Could not reach the print server at ${printer.serverUrl}`] };
+        }
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) return { success: false, errors: [result.error || `Print server returned ${response.status}`] };
+        return { success: true, bytes: result.bytes };
+    }
+}
+
+
+// Clothify managers are created once the storage backend has loaded (see initClothifyManagers)
+let clothifyLedger = null;
+let clothifySKUGenerator = null;
+let clothifyInventory = null;
+let clothifyLocations = null;
+let clothifyDesigns = null;
+let clothifyReorder = null;
+let clothifySuppliers = null;
+let clothifyPurchaseOrders = null;
+let clothifyDataTransfer = null;
+let clothifyPromotions = null;
+let clothifyReceipts = null;
+let clothifyUsers = null;
+let clothifyCart = null;
+let clothifyStockTake = null;
+let clothifyScanner = null;
+let clothifySync = null;
+let clothifyLabelTemplates = null;
+let clothifyQRGenerator = null;
+let clothifyZPL = null;
+const clothifySound = new ClothifySoundManager();
+
+function initClothifyManagers() {
+    clothifyUsers = new ClothifyUserManager(clothifyStore);
+    clothifyLedger = new ClothifySalesLedger(clothifyStore);
+    clothifySKUGenerator = new ClothifySKUGenerator(clothifyStore);
+    clothifyInventory = new ClothifyInventoryManager(clothifyStore, clothifyLedger, clothifySKUGenerator, clothifyUsers);
+    clothifyLocations = new ClothifyLocationManager(clothifyStore, clothifyInventory, clothifyLedger);
+    clothifyDesigns = new ClothifyDesignManager(clothifyStore, clothifyInventory);
+    clothifyLabelTemplates = new ClothifyLabelTemplateManager(clothifyStore);
+    clothifyQRGenerator = new ClothifyQRGenerator(clothifyLabelTemplates);
+    clothifyZPL = new ClothifyZPLGenerator(clothifyLabelTemplates);
+    clothifySuppliers = new ClothifySupplierManager(clothifyStore, clothifyInventory);
+    clothifyPurchaseOrders = new ClothifyPurchaseOrderManager(clothifyStore, clothifyInventory, clothifySuppliers, ClothifySync.loadConfig().deviceId);
+    clothifyReorder = new ClothifyReorderManager(clothifyInventory, new ClothifyForecaster(clothifyLedger), clothifyPurchaseOrders);
+    clothifyDataTransfer = new ClothifyDataTransfer(clothifyInventory);
+    clothifyPromotions = new ClothifyPromotionManager(clothifyStore, clothifyInventory);
+    clothifyCart = new ClothifyCart(clothifyInventory, clothifyPromotions);
+    clothifyStockTake = new ClothifyStockTake(clothifyInventory);
+    clothifyReceipts = new ClothifyReceiptManager(clothifyStore, clothifyInventory, clothifyLocations, ClothifySync.loadConfig().deviceId);
+    clothifyScanner = new ClothifyQRScanner(clothifyInventory, clothifySound, clothifyReorder, clothifyCart, clothifyStockTake, clothifyPromotions, clothifyPurchaseOrders, clothifyReceipts, clothifyUsers);
+    clothifySync = new ClothifySync(clothifyStore, clothifyInventory, clothifyLedger, clothifyLocations, clothifyDesigns, {
+        clothify_receipts: { get: () => clothifyReceipts.receipts, save: () => clothifyReceipts.saveReceipts() },
+        clothify_z_reports: { get: () => clothifyReceipts.reports, save: () => clothifyReceipts.saveReports() },
+        clothify_users: { get: () => clothifyUsers.users, save: () => clothifyUsers.saveUsers() },
+        clothify_user_log: { get: () => clothifyUsers.log, save: () => clothifyUsers.saveLog() },
+        clothify_promotions: { get: () => clothifyPromotions.promotions, save: () => clothifyPromotions.savePromotions() },
+        clothify_suppliers: { get: () => clothifySuppliers.suppliers, save: () => clothifySuppliers.saveSuppliers() },
+        clothify_purchase_orders: {
+            get: () => clothifyPurchaseOrders.orders,
+            save: () => clothifyPurchaseOrders.saveOrders(),
+            merge: (order, ours, theirs) => clothifyPurchaseOrders.mergeReceipts(order, ours, theirs)
+        }
+    });
+    clothifySync.onStatusChange = updateSyncIndicator;
+    clothifySync.onRemoteChanges = () => {
+        clothifyUsers.refreshCurrentUser();
+        applyCurrentUser();
+        refreshInventoryView();
+        renderSyncConflicts();
+        loadLocationSelector();
+        updateLocationsDisplay();
+        loadDesignSelector();
+        updateReceiptsDisplay();
+        updateZReportPreview();
+        updateUsersDisplay();
+        updateAuditLog();
+        updatePromotionsDisplay();
+        updateCartDisplay();
+        updateSuppliersDisplay();
+        updatePurchaseOrdersDisplay();
+    };
+}
+
+// Global variables
+let labelBatch = [];
+let selectedSkus = new Set();
+let lastGridDelivery = [];
+let purchaseOrderLines = [];
+let importState = null;
+
+// Navigation
+document.querySelectorAll('.nav-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+        const section = btn.dataset.section;
+        document.querySelectorAll('.nav-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        document.querySelectorAll('.section').forEach(s => s.classList.remove('active'));
+        document.getElementById(`${section}-section`).classList.add('active');
+        if (section === 'scan') {
+            clothifyScanner.start();
+        } else {
+            clothifyScanner.stop();
+        }
+        if (section === 'inventory') {
+            updateInventoryDisplay();
+        }
+        if (section === 'till') {
+            updateReceiptsDisplay();
+            updateZReportPreview();
+        }
+        if (section === 'staff') {
+            updateUsersDisplay();
+            updateAuditLog();
+        }
+    });
+});
+
+// **MODIFIED** Inventory Display Functions
+function updateInventoryDisplay(products = null) {
+    const tbody = document.getElementById('inventory-tbody');
+    const emptyState = document.getElementById('inventory-empty');
+    const displayProducts = products || clothifyInventory.getAllProducts(showArchivedProducts());
+
+    if (displayProducts.length === 0) {
+        tbody.innerHTML = '';
+        emptyState.style.display = 'block';
+        document.querySelector('.table-wrapper').style.display = 'none';
+    } else {
+        emptyState.style.display = 'none';
+        document.querySelector('.table-wrapper').style.display = 'block';
+
+        const inTransit = clothifyLocations.getTransfers('in-transit');
+        tbody.innerHTML = displayProducts.map(product => {
+            const levels = clothifyReorder.getReorderLevels(product);
+            const transit = inTransit.filter(t => t.sku === product.sku).reduce((sum, t) => sum + t.quantity, 0);
+            return `
+            <tr class="${product.archived ? 'archived-row' : ''}">
+                <td><input type="checkbox" class="row-select" data-sku="${escapeHTML(product.sku)}" ${selectedSkus.has(product.sku) ? 'checked' : ''}
+                    onchange="toggleRowSelection(${jsArg(product.sku)}, this.checked)"></td>
+                <td style="font-family: monospace; font-size: 12px;">${escapeHTML(product.sku)}</td>
+                <td><strong>${escapeHTML(product.design)}</strong></td>
+                <td>${escapeHTML(product.size)}</td>
+                <td>${escapeHTML(product.color)}</td>
+                <td>
+                    <span class="stock-level stock-${clothifyReorder.getStockStatus(product)}">
+                        ${product.stock}
+                    </span>
+                    <div class="location-breakdown">${escapeHTML(describeLocationStock(product))}${transit > 0 ? ` · 🚚 ${transit} in transit` : ''}</div>
+                </td>
+                <td>${product.sold}</td>
+                <td>
+                    ${canUser('orders') ? `
+                    <button class="btn-reorder-edit" onclick="openReorderModal(${jsArg(product.sku)})" title="Edit reorder point">
+                        ${levels.reorderPoint}${levels.mode === 'auto' ? ' (auto)' : ''}
+                    </button>` : `${levels.reorderPoint}${levels.mode === 'auto' ? ' (auto)' : ''}`}
+                </td>
+                <td>
+                    <div class="qr-actions">
+                        <img src="${QRCodeGenerator.generateDataURL(product.sku, 150)}"
+                             class="qr-code-img"
+                             alt="QR Code"
+                             onclick="showQRModal(${jsArg(product.sku)})"
+                             title="Click to view QR code">
+                    </div>
+                </td>
+                <td>
+                    <div class="row-actions">
+                        ${canUser('products') ? `
+                        <button class="btn-row-action" onclick="openEditModal(${jsArg(product.sku)})" title="Edit product">✏️</button>
+                        <button class="btn-row-action" onclick="editDesignFromTable(${jsArg(product.sku)})" title="Edit design and all its variants">👕</button>` : ''}
+                        ${canUser('transfers') ? `<button class="btn-row-action" onclick="openTransferModal(${jsArg(product.sku)})" title="Transfer between locations">🚚</button>` : ''}
+                        ${!canUser('delete') ? '' : product.archived
+                            ? `<button class="btn-row-action" onclick="restoreProductFromTable(${jsArg(product.sku)})" title="Restore product">♻️</button>`
+                            : `<button class="btn-row-action" onclick="archiveProductFromTable(${jsArg(product.sku)})" title="Archive product">🗄️</button>`}
+                        ${canUser('delete') ? `<button class="btn-row-action" onclick="deleteProductFromTable(${jsArg(product.sku)})" title="Delete product">🗑️</button>` : ''}
+                    </div>
+                </td>
+            </tr>
+        `;
+        }).join('');
+    }
+    updateReorderAlerts();
+    updateTransfersDisplay();
+    updateSelectionControls();
+}
+
+function toggleRowSelection(sku, selected) {
+    if (selected) {
+        selectedSkus.add(sku);
+    } else {
+        selectedSkus.delete(sku);
+    }
+    updateSelectionControls();
+}
+
+// Selections survive searching and sorting; SKUs deleted meanwhile drop out
+function updateSelectionControls() {
+    selectedSkus = new Set([...selectedSkus].filter(sku => clothifyInventory.getProduct(sku)));
+    const button = document.getElementById('print-selected-btn');
+    button.textContent = `🏷️ Labels for Selected (${selectedSkus.size})`;
+    button.disabled = selectedSkus.size === 0;
+    const rows = [...document.querySelectorAll('#inventory-tbody .row-select')];
+    document.getElementById('select-all-rows').checked = rows.length > 0 && rows.every(input => input.checked);
+}
+
+function selectAllRows(selected) {
+    document.querySelectorAll('#inventory-tbody .row-select').forEach(input => {
+        input.checked = selected;
+        toggleRowSelection(input.dataset.sku, selected);
+    });
+}
+
+function showArchivedProducts() {
+    return document.getElementById('show-archived').checked;
+}
+
+// Re-applies the current search and sort after a change
+function refreshInventoryView() {
+    const includeArchived = showArchivedProducts();
+    const query = document.getElementById('search-input').value;
+    const criteria = document.getElementById('sort-select').value;
+    const visible = new Set(clothifyInventory.searchProducts(query, includeArchived).map(p => p.sku));
+    updateInventoryDisplay(clothifyInventory.sortProducts(criteria, includeArchived).filter(p => visible.has(p.sku)));
+}
+
+// Product Edit Modal Functions
+function openEditModal(sku) {
+    if (!requirePermission('products')) return;
+    const product = clothifyInventory.getProduct(sku);
+    if (!product) return;
+
+    document.getElementById('edit-sku').value = sku;
+    document.getElementById('edit-product-info').textContent = `SKU: ${product.sku}${product.archived ? ' (archived)' : ''}`;
+    document.getElementById('edit-design').value = product.design;
+    document.getElementById('edit-size').value = product.size;
+    document.getElementById('edit-color').value = product.color;
+    document.getElementById('edit-price').value = product.price;
+    document.getElementById('edit-supplier').innerHTML = supplierOptions(product.supplierId, 'No supplier');
+    document.getElementById('edit-cost-price').value = product.costPrice === undefined || product.costPrice === null ? '' : product.costPrice;
+    document.getElementById('edit-description').value = (product.overrides || []).includes('description') ? product.description : '';
+    document.getElementById('edit-barcodes').value = (product.barcodes || []).join(', ');
+    const design = clothifyDesigns.getDesign(product.designId);
+    document.getElementById('edit-price-hint').textContent = design
+        ? `Design price: $${design.basePrice.toFixed(2)}${(product.overrides || []).includes('price') ? ' · this variant sets its own' : ' · inherited'}`
+        : '';
+    document.getElementById('edit-stock').value = clothifyInventory.getLocationStock(product);
+    ['edit-price', 'edit-cost-price'].forEach(id => { document.getElementById(id).disabled = !canUser('prices'); });
+    document.getElementById('edit-stock').disabled = !canUser('stocktake');
+    document.getElementById('edit-stock-label').textContent = `Counted Stock at ${clothifyLocations.getCurrentLocation().name}`;
+    document.getElementById('edit-note').value = '';
+    document.getElementById('edit-errors').style.display = 'none';
+
+    const history = clothifyInventory.getProductHistory(sku);
+    document.getElementById('edit-history').innerHTML = history.length === 0
+        ? '<li>No changes recorded yet.</li>'
+        : history.map(entry => `<li><strong>${new Date(entry.timestamp).toLocaleString()}</strong> · ${escapeHTML(describeProductChange(entry))}</li>`).join('');
+
+    document.getElementById('edit-modal').classList.add('show');
+}
+
+function closeEditModal() {
+    document.getElementById('edit-modal').classList.remove('show');
+}
+
+function describeProductChange(entry) {
+    const note = entry.note ? ` — ${entry.note}` : '';
+    if (entry.action === 'update') {
+        const fields = Object.entries(entry.changes)
+            .map(([field, change]) => field === 'supplierId'
+                ? `supplier: ${clothifySuppliers.getSupplierName(change.from)} → ${clothifySuppliers.getSupplierName(change.to)}`
+                : `${field}: ${change.from} → ${change.to}`)
+            .join(', ');
+        return `Updated ${fields}${note}`;
+    }
+    const labels = { create: 'Created', archive: 'Archived', restore: 'Restored', delete: 'Deleted' };
+    if (entry.action === 'sku-migrate') {
+        return `SKU changed from ${entry.changes.sku.from} to ${entry.changes.sku.to}`;
+    }
+    return `${labels[entry.action] || entry.action}${note}`;
+}
+
+function saveProductEdits() {
+    if (!requirePermission('products')) return;
+    const sku = document.getElementById('edit-sku').value;
+    const changes = {
+        design: document.getElementById('edit-design').value,
+        size: document.getElementById('edit-size').value,
+        color: document.getElementById('edit-color').value,
+        price: document.getElementById('edit-price').value,
+        costPrice: document.getElementById('edit-cost-price').value,
+        supplierId: document.getElementById('edit-supplier').value,
+        description: document.getElementById('edit-description').value,
+        barcodes: document.getElementById('edit-barcodes').value,
+        stock: document.getElementById('edit-stock').value
+    };
+    // Fields the user may not change are left out rather than saved as they were shown
+    if (!canUser('prices')) {
+        delete changes.price;
+        delete changes.costPrice;
+    }
+    if (!canUser('stocktake')) delete changes.stock;
+    const result = clothifyDesigns.updateVariant(sku, changes, document.getElementById('edit-note').value.trim());
+
+    if (!result.success) {
+        const errorBox = document.getElementById('edit-errors');
+        errorBox.innerHTML = result.errors.map(e => `<div>❌ ${escapeHTML(e)}</div>`).join('');
+        errorBox.style.display = 'block';
+        return;
+    }
+    closeEditModal();
+    refreshInventoryView();
+}
+
+function archiveProductFromTable(sku) {
+    if (!requirePermission('delete')) return;
+    const product = clothifyInventory.getProduct(sku);
+    if (!product || !confirm(`Archive ${product.design} (${product.size}/${product.color})? It will no longer scan or appear in analytics.`)) return;
+    clothifyInventory.archiveProduct(sku);
+    refreshInventoryView();
+}
+
+function restoreProductFromTable(sku) {
+    if (!requirePermission('delete')) return;
+    clothifyInventory.restoreProduct(sku);
+    refreshInventoryView();
+}
+
+function deleteProductFromTable(sku) {
+    if (!requirePermission('delete')) return;
+    const product = clothifyInventory.getProduct(sku);
+    if (!product || !confirm(`Permanently delete ${product.design} (${product.size}/${product.color}) - ${sku}? Consider archiving instead.`)) return;
+    clothifyInventory.deleteProduct(sku);
+    refreshInventoryView();
+}
+
+// Scanner Mode Functions
+function setScannerMode(mode) {
+    if (!clothifyScanner.canScan(mode)) return;
+    clothifyScanner.setMode(mode);
+    document.querySelectorAll('.mode-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.mode === mode));
+    document.getElementById('cart-mode-toggle').style.display = mode === 'sell' ? 'inline-flex' : 'none';
+    document.getElementById('receive-po-toggle').style.display = mode === 'receive' ? 'inline-flex' : 'none';
+    document.getElementById('payment-method-toggle').style.display = mode === 'sell' || mode === 'return' ? 'inline-flex' : 'none';
+    document.getElementById('cart-panel').style.display = mode === 'sell' && clothifyScanner.cartMode ? 'block' : 'none';
+    document.getElementById('stocktake-panel').style.display = mode === 'stocktake' ? 'block' : 'none';
+    document.getElementById('lookup-panel').style.display = mode === 'lookup' ? 'block' : 'none';
+    if (mode === 'stocktake') updateStockTakeDisplay();
+    if (mode === 'receive') updateReceivingOrderSelector();
+}
+
+function showLookupResult(product) {
+    const levels = clothifyReorder.getReorderLevels(product);
+    const rows = [
+        ['SKU', `<span style="font-family: monospace;">${escapeHTML(product.sku)}</span>`],
+        ['Design', escapeHTML(product.design)],
+        ['Size / Color', `${escapeHTML(product.size)} / ${escapeHTML(product.color)}`],
+        ['Price', `$${product.price.toFixed(2)}`],
+        ['Cost Price', typeof product.costPrice === 'number' ? `$${product.costPrice.toFixed(2)}` : '—'],
+        ['In Stock', `<span class="stock-level stock-${clothifyReorder.getStockStatus(product)}">${product.stock}</span>`],
+        ['Here', clothifyInventory.getLocationStock(product)],
+        ['By Location', escapeHTML(describeLocationStock(product)) || '—'],
+        ['In Transit', clothifyLocations.getInTransitQuantity(product.sku)],
+        ['On Order', clothifyReorder.getIncoming(product.sku)],
+        ['Supplier', product.supplierId ? escapeHTML(clothifySuppliers.getSupplierName(product.supplierId)) : '—'],
+        ['Sold', product.sold],
+        ['Reorder Point', levels.reorderPoint]
+    ];
+    if (product.aliases && product.aliases.length > 0) {
+        rows.push(['Also Scans As', escapeHTML(product.aliases.join(', '))]);
+    }
+    if (product.barcodes && product.barcodes.length > 0) {
+        rows.push(['Barcodes', `<span style="font-family: monospace;">${escapeHTML(product.barcodes.join(', '))}</span>`]);
+    }
+    if (product.archived) {
+        rows.push(['Status', 'Archived']);
+    }
+    document.getElementById('lookup-result').innerHTML = rows
+        .map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`)
+        .join('');
+}
+
+// Stock-Take Functions
+function updateStockTakeDisplay() {
+    const counted = Object.entries(clothifyStockTake.counts);
+    document.getElementById('stocktake-units').textContent = clothifyStockTake.getCountedUnits();
+    document.getElementById('stocktake-tbody').innerHTML = counted.length === 0
+        ? '<tr><td colspan="3" style="text-align: center; color: var(--text-secondary);">Scan items to count them</td></tr>'
+        : counted.map(([sku, count]) => {
+            const product = clothifyInventory.getProduct(sku);
+            return `
+                <tr>
+                    <td><strong>${escapeHTML(product.design)}</strong> (${escapeHTML(product.size)}/${escapeHTML(product.color)})<div style="font-family: monospace; font-size: 12px;">${escapeHTML(sku)}</div></td>
+                    <td><input type="number" min="0" value="${count}" style="width: 80px;" onchange="setStockTakeCount(${jsArg(sku)}, this.value)"></td>
+                    <td>${clothifyInventory.getLocationStock(product)}</td>
+                </tr>
+            `;
+        }).join('');
+}
+
+function setStockTakeCount(sku, value) {
+    clothifyStockTake.setCount(sku, value);
+    updateStockTakeDisplay();
+}
+
+function finishStockTake() {
+    const includeUnscanned = document.getElementById('stocktake-full').checked;
+    const report = clothifyStockTake.getVarianceReport(includeUnscanned);
+    const container = document.getElementById('stocktake-report');
+    if (report.length === 0) {
+        container.innerHTML = '<p style="color: var(--text-secondary);">Nothing counted yet.</p>';
+        return;
+    }
+
+    const mismatches = report.filter(row => row.variance !== 0);
+    container.innerHTML = `
+        <h4 style="margin: 16px 0 8px;">Variance Report · ${mismatches.length} of ${report.length} SKU(s) differ</h4>
+        <div class="table-wrapper">
+            <table class="inventory-table">
+                <thead><tr><th>Product</th><th>Expected</th><th>Counted</th><th>Variance</th></tr></thead>
+                <tbody>
+                    ${report.map(row => `
+                        <tr>
+                            <td>${escapeHTML(row.product.design)} (${escapeHTML(row.product.size)}/${escapeHTML(row.product.color)})<div style="font-family: monospace; font-size: 12px;">${escapeHTML(row.product.sku)}</div></td>
+                            <td>${row.expected}</td>
+                            <td>${row.counted}</td>
+                            <td class="${row.variance === 0 ? 'stock-ok' : 'stock-out'}" style="font-weight: bold;">${row.variance > 0 ? '+' : ''}${row.variance}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        <div style="display: flex; gap: 8px; justify-content: flex-end; margin-top: 12px;">
+            <button class="btn btn-primary" onclick="applyStockTake()" ${mismatches.length === 0 ? 'disabled' : ''}>Apply ${mismatches.length} Adjustment(s)</button>
+        </div>
+    `;
+}
+
+function applyStockTake() {
+    if (!requirePermission('stocktake')) return;
+    const report = clothifyStockTake.getVarianceReport(document.getElementById('stocktake-full').checked);
+    const mismatches = report.filter(row => row.variance !== 0).length;
+    if (!confirm(`Set stock to the counted quantities for ${mismatches} SKU(s)?`)) return;
+    const adjusted = clothifyStockTake.applyAdjustments(report);
+    if (adjusted.errors) {
+        alert(adjusted.errors.join('\n'));
+        return;
+    }
+    document.getElementById('stocktake-report').innerHTML = `<p class="stock-ok" style="font-weight: 600;">✅ Stock updated for ${adjusted.length} SKU(s).</p>`;
+    updateStockTakeDisplay();
+    updateInventoryDisplay();
+}
+
+function resetStockTake() {
+    if (!confirm('Discard the current count?')) return;
+    clothifyStockTake.reset();
+    document.getElementById('stocktake-report').innerHTML = '';
+    updateStockTakeDisplay();
+}
+
+// Import / Export Functions
+function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportData(format) {
+    const date = new Date().toISOString().slice(0, 10);
+    switch (format) {
+        case 'inventory-csv':
+            downloadFile(`clothify_inventory_${date}.csv`, clothifyDataTransfer.exportInventoryCSV(), 'text/csv');
+            break;
+        case 'sales-csv':
+            downloadFile(`clothify_sales_${date}.csv`, clothifyDataTransfer.exportSalesCSV(), 'text/csv');
+            break;
+        case 'json':
+            downloadFile(`clothify_export_${date}.json`, clothifyDataTransfer.exportJSON(), 'application/json');
+            break;
+    }
+}
+
+function handleImportFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            importState = clothifyDataTransfer.parseImportFile(file.name, reader.result);
+        } catch (err) {
+            alert(`Could not read ${file.name}: ${err.message}`);
+            return;
+        }
+        if (importState.records.length === 0) {
+            alert('No rows found in the file.');
+            return;
+        }
+        renderImportMapping(clothifyDataTransfer.guessMapping(importState.headers));
+    };
+    reader.readAsText(file);
+}
+
+function renderImportMapping(mapping) {
+    const options = (selected) => ['<option value="">— not mapped —</option>',
+        ...importState.headers.map(h => `<option value="${escapeHTML(h)}" ${h === selected ? 'selected' : ''}>${escapeHTML(h)}</option>`)].join('');
+
+    document.getElementById('import-mapping').innerHTML = `
+        <h4 style="margin-bottom: 12px;">Map columns (${importState.records.length} row(s) found)</h4>
+        ${IMPORT_FIELDS.map(field => `
+            <div class="form-group">
+                <label for="import-map-${field.key}">${field.label}${field.required ? '' : ` (${field.optional})`}</label>
+                <select id="import-map-${field.key}">${options(mapping[field.key])}</select>
+            </div>
+        `).join('')}
+        <button class="btn btn-primary" onclick="previewImport()">Preview Import</button>
+    `;
+    document.getElementById('import-preview').innerHTML = '';
+}
+
+function getImportMapping() {
+    const mapping = {};
+    IMPORT_FIELDS.forEach(field => {
+        mapping[field.key] = document.getElementById(`import-map-${field.key}`).value;
+    });
+    return mapping;
+}
+
+function previewImport() {
+    const mapping = getImportMapping();
+    const missing = IMPORT_FIELDS.filter(f => f.required && !mapping[f.key]);
+    if (missing.length > 0) {
+        alert(`Please map: ${missing.map(f => f.label).join(', ')}`);
+        return;
+    }
+    importState.plan = clothifyDataTransfer.planImport(importState.records, mapping);
+
+    const count = (status) => importState.plan.filter(r => r.status === status).length;
+    const labels = { new: '🆕 New', restock: '📦 Restock', conflict: '⚠️ Conflict', error: '❌ Error' };
+    document.getElementById('import-preview').innerHTML = `
+        <h4 style="margin: 16px 0 8px;">Dry run: ${count('new')} new · ${count('restock')} restock · ${count('conflict')} conflict · ${count('error')} error</h4>
+        <div class="table-wrapper" style="max-height: 320px; overflow-y: auto;">
+            <table class="inventory-table">
+                <thead><tr><th>Row</th><th>Status</th><th>Product</th><th>Stock</th><th>Price</th><th>Cost</th><th>Notes</th></tr></thead>
+                <tbody>
+                    ${importState.plan.map(row => `
+                        <tr class="import-${row.status}">
+                            <td>${row.index}</td>
+                            <td>${labels[row.status]}</td>
+                            <td>${escapeHTML(row.values.design)} (${escapeHTML(row.values.size)}/${escapeHTML(row.values.color)})${row.values.barcodes.length > 0 ? `<div style="font-family: monospace; font-size: 12px;">${escapeHTML(row.values.barcodes.join(', '))}</div>` : ''}</td>
+                            <td>${escapeHTML(row.values.stock)}</td>
+                            <td>${escapeHTML(row.values.price)}</td>
+                            <td>${escapeHTML(row.values.cost)}</td>
+                            <td>${escapeHTML(row.errors.join('; '))}${row.existing ? ` <span style="font-family: monospace; font-size: 12px;">${escapeHTML(row.existing.sku)}</span>` : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        <label style="display: flex; gap: 6px; align-items: center; margin: 12px 0; font-size: 14px; color: var(--text-secondary);">
+            <input type="checkbox" id="import-include-conflicts">
+            Import conflicting rows as restocks (keeps existing prices)
+        </label>
+        <button class="btn btn-primary" onclick="applyImport()" ${count('new') + count('restock') + count('conflict') === 0 ? 'disabled' : ''}>Import</button>
+    `;
+}
+
+function applyImport() {
+    if (!requirePermission('settings')) return;
+    if (!importState || !importState.plan) return;
+    const summary = clothifyDataTransfer.applyImport(importState.plan, document.getElementById('import-include-conflicts').checked);
+    document.getElementById('import-mapping').innerHTML = '';
+    document.getElementById('import-preview').innerHTML =
+        `<p class="stock-ok" style="font-weight: 600;">✅ Imported ${summary.new} new product(s), restocked ${summary.restock}, skipped ${summary.skipped} row(s).</p>` +
+        summary.errors.map(e => `<div class="stock-out">❌ ${escapeHTML(e)}</div>`).join('');
+    document.getElementById('import-file').value = '';
+    importState = null;
+    updateInventoryDisplay();
+    loadDesignSelector();
+}
+
+// Storage Functions
+function loadStorageSettingsForm() {
+    document.getElementById('storage-backend').value = clothifyStore.config.backend;
+    document.getElementById('storage-server-url').value = clothifyStore.config.serverUrl || location.origin;
+    document.getElementById('storage-server-token').value = clothifyStore.config.serverToken || '';
+    toggleStorageServerUrl();
+}
+
+function toggleStorageServerUrl() {
+    document.getElementById('storage-server-group').style.display =
+        document.getElementById('storage-backend').value === 'server' ? 'block' : 'none';
+}
+
+function updateStorageStatus(message, type) {
+    const status = document.getElementById('storage-status');
+    status.textContent = message;
+    status.className = `storage-status ${type}`;
+}
+
+// Copies this device's data to the chosen backend (unless the user keeps what's already there) and reloads
+async function switchStorageBackend() {
+    if (!requirePermission('settings')) return;
+    const backend = document.getElementById('storage-backend').value;
+    const config = {
+        backend: backend,
+        serverUrl: backend === 'server' ? document.getElementById('storage-server-url').value.trim() : '',
+        serverToken: document.getElementById('storage-server-token').value.trim(),
+        migrated: true
+    };
+    if (!STORAGE_BACKENDS.includes(config.backend)) return;
+    if (config.backend === 'server' && !/^https?:\/\//.test(config.serverUrl)) {
+        alert('Please enter the server address, e.g. http://localhost:8787');
+        return;
+    }
+    if (config.backend === clothifyStore.config.backend && config.serverUrl === clothifyStore.config.serverUrl) {
+        if (config.serverToken === (clothifyStore.config.serverToken || '')) {
+            updateStorageStatus(`Already using ${clothifyStore.adapter.name}.`, 'ok');
+            return;
+        }
+        // Only the token changed: keep the data where it is
+        ClothifyStore.saveConfig({ ...clothifyStore.config, serverToken: config.serverToken });
+        location.reload();
+        return;
+    }
+
+    const target = ClothifyStore.createAdapter(config);
+    try {
+        updateStorageStatus(`Connecting to ${target.name}...`, 'warning');
+        const existing = await target.load('clothify_inventory_data');
+        const overwrite = existing === null ||
+            confirm(`${target.name} already holds ${existing.length} product(s).\n\nOK: replace it with the data on this device.\nCancel: switch and use the data already there.`);
+        if (overwrite) {
+            const copied = await clothifyStore.copyTo(target);
+            updateStorageStatus(`Copied ${copied} data set(s) to ${target.name}. Reloading...`, 'ok');
+        }
+    } catch (err) {
+        updateStorageStatus(`❌ Could not switch to ${target.name}: ${err.message}`, 'error');
+        return;
+    }
+
+    ClothifyStore.saveConfig(config);
+    location.reload();
+}
+
+// Location Functions
+function describeLocationStock(product) {
+    return clothifyLocations.locations
+        .filter(l => clothifyInventory.getLocationStock(product, l.id) !== 0)
+        .map(l => `${l.name} ${clothifyInventory.getLocationStock(product, l.id)}`)
+        .join(' · ');
+}
+
+function locationOptions(selected, locations = clothifyLocations.getOpenLocations()) {
+    return locations.map(l => `<option value="${escapeHTML(l.id)}" ${l.id === selected ? 'selected' : ''}>${escapeHTML(l.name)}</option>`).join('');
+}
+
+function loadLocationSelector() {
+    document.getElementById('current-location').innerHTML = locationOptions(clothifyInventory.currentLocation);
+}
+
+function changeCurrentLocation(id) {
+    if (!clothifyCart.isEmpty() && !confirm('The cart was started at another location. Clear it and switch?')) {
+        loadLocationSelector();
+        return;
+    }
+    clothifyCart.clear();
+    clothifyStockTake.reset();
+    clothifyLocations.setCurrentLocation(id);
+    updateCartDisplay();
+    updateStockTakeDisplay();
+    updateLocationsDisplay();
+    updateZReportPreview();
+    refreshInventoryView();
+}
+
+function updateLocationsDisplay() {
+    document.getElementById('locations-list').innerHTML = clothifyLocations.locations.map(l => `
+        <li class="alert-item">
+            <span>
+                <strong>${escapeHTML(l.name)}</strong> · ${LOCATION_TYPES[l.type] || escapeHTML(l.type)}${l.closed ? ' (closed)' : ''}
+                ${l.id === clothifyInventory.currentLocation ? ' · 📍 this device' : ''}
+            </span>
+            <span>
+                ${clothifyLocations.getUnitsAt(l.id)} units
+                ${l.closed ? '' : `<button class="btn-row-action" onclick="closeLocation(${jsArg(l.id)})" title="Close location">✖️</button>`}
+            </span>
+        </li>
+    `).join('');
+}
+
+function addLocation() {
+    if (!requirePermission('settings')) return;
+    const result = clothifyLocations.addLocation(
+        document.getElementById('location-name').value,
+        document.getElementById('location-type').value
+    );
+    const errorBox = document.getElementById('location-errors');
+    if (!result.success) {
+        errorBox.innerHTML = result.errors.map(e => `<div>❌ ${escapeHTML(e)}</div>`).join('');
+        errorBox.style.display = 'block';
+        return;
+    }
+    errorBox.style.display = 'none';
+    document.getElementById('location-name').value = '';
+    loadLocationSelector();
+    updateLocationsDisplay();
+}
+
+function closeLocation(id) {
+    if (!requirePermission('settings')) return;
+    if (!confirm(`Close ${clothifyLocations.getLocationName(id)}? It will no longer be offered for sales or transfers.`)) return;
+    const result = clothifyLocations.closeLocation(id);
+    if (!result.success) {
+        alert(result.errors.join('\n'));
+        return;
+    }
+    loadLocationSelector();
+    updateLocationsDisplay();
+}
+
+// Promotion Functions
+function updatePromotionsDisplay() {
+    const promotions = clothifyPromotions.getAllPromotions();
+    const statusLabels = { running: '🟢 Running', scheduled: '🕒 Scheduled', paused: '⏸️ Paused', ended: 'Ended' };
+    const dates = (p) => p.startDate || p.endDate ? ` · ${p.startDate || '…'} – ${p.endDate || '…'}` : '';
+    document.getElementById('promotions-list').innerHTML = promotions.length === 0
+        ? '<li class="alert-item">No promotions yet.</li>'
+        : promotions.map(p => {
+            const status = clothifyPromotions.getStatus(p);
+            return `
+                <li class="alert-item">
+                    <span>
+                        <strong>${escapeHTML(p.name)}</strong> · ${escapeHTML(clothifyPromotions.describeRule(p))} · ${escapeHTML(clothifyPromotions.describeScope(p))}${escapeHTML(dates(p))}
+                    </span>
+                    <span>
+                        ${statusLabels[status]}
+                        <button class="btn-row-action" onclick="editPromotion(${jsArg(p.id)})" title="Edit promotion">✏️</button>
+                        <button class="btn-row-action" onclick="togglePromotionPaused(${jsArg(p.id)})" title="${p.paused ? 'Resume' : 'Pause'} promotion">${p.paused ? '▶️' : '⏸️'}</button>
+                        <button class="btn-row-action" onclick="deletePromotion(${jsArg(p.id)})" title="Delete promotion">🗑️</button>
+                    </span>
+                </li>
+            `;
+        }).join('');
+
+    const designs = [...new Set(clothifyInventory.getAllProducts().map(p => p.design))].sort((a, b) => a.localeCompare(b));
+    document.getElementById('promotion-design-options').innerHTML = designs.map(d => `<option value="${escapeHTML(d)}">`).join('');
+}
+
+function togglePromotionFields() {
+    const type = document.getElementById('promotion-type').value;
+    document.querySelectorAll('.promotion-field').forEach(field => {
+        field.style.display = field.dataset.types.split(' ').includes(type) ? 'block' : 'none';
+    });
+    document.getElementById('promotion-value-label').textContent = type === 'fixed' ? 'Amount off each ($)' : 'Percent off';
+}
+
+function resetPromotionForm() {
+    ['promotion-id', 'promotion-name', 'promotion-value', 'promotion-buy', 'promotion-get', 'promotion-bundle-quantity',
+        'promotion-bundle-price', 'promotion-design', 'promotion-size', 'promotion-color', 'promotion-sku', 'promotion-start', 'promotion-end']
+        .forEach(id => { document.getElementById(id).value = ''; });
+    document.getElementById('promotion-type').value = 'percent';
+    document.getElementById('promotion-errors').style.display = 'none';
+    togglePromotionFields();
+}
+
+function editPromotion(id) {
+    const promotion = clothifyPromotions.getPromotion(id);
+    if (!promotion) return;
+    resetPromotionForm();
+    const scope = promotion.scope || {};
+    const values = {
+        'promotion-id': promotion.id,
+        'promotion-name': promotion.name,
+        'promotion-type': promotion.type,
+        'promotion-value': promotion.value,
+        'promotion-buy': promotion.buyQuantity,
+        'promotion-get': promotion.getQuantity,
+        'promotion-bundle-quantity': promotion.bundleQuantity,
+        'promotion-bundle-price': promotion.bundlePrice,
+        'promotion-design': scope.design,
+        'promotion-size': scope.size,
+        'promotion-color': scope.color,
+        'promotion-sku': scope.sku,
+        'promotion-start': promotion.startDate,
+        'promotion-end': promotion.endDate
+    };
+    Object.entries(values).forEach(([id, value]) => {
+        document.getElementById(id).value = value === undefined ? '' : value;
+    });
+    togglePromotionFields();
+}
+
+function savePromotion() {
+    if (!requirePermission('prices')) return;
+    const value = (id) => document.getElementById(id).value;
+    const result = clothifyPromotions.savePromotion({
+        id: value('promotion-id'),
+        name: value('promotion-name'),
+        type: value('promotion-type'),
+        value: value('promotion-value'),
+        buyQuantity: value('promotion-buy'),
+        getQuantity: value('promotion-get'),
+        bundleQuantity: value('promotion-bundle-quantity'),
+        bundlePrice: value('promotion-bundle-price'),
+        scope: { design: value('promotion-design'), size: value('promotion-size'), color: value('promotion-color'), sku: value('promotion-sku') },
+        startDate: value('promotion-start'),
+        endDate: value('promotion-end')
+    });
+    const errorBox = document.getElementById('promotion-errors');
+    if (!result.success) {
+        errorBox.innerHTML = result.errors.map(e => `<div>❌ ${escapeHTML(e)}</div>`).join('');
+        errorBox.style.display = 'block';
+        return;
+    }
+    resetPromotionForm();
+    updatePromotionsDisplay();
+    updateCartDisplay();
+}
+
+function togglePromotionPaused(id) {
+    if (!requirePermission('prices')) return;
+    const promotion = clothifyPromotions.getPromotion(id);
+    if (!promotion) return;
+    clothifyPromotions.setPaused(id, !promotion.paused);
+    updatePromotionsDisplay();
+    updateCartDisplay();
+}
+
+function deletePromotion(id) {
+    if (!requirePermission('prices')) return;
+    const promotion = clothifyPromotions.getPromotion(id);
+    if (!promotion || !confirm(`Delete the promotion "${promotion.name}"? Past sales keep the discount they were given.`)) return;
+    clothifyPromotions.deletePromotion(id);
+    if (document.getElementById('promotion-id').value === id) resetPromotionForm();
+    updatePromotionsDisplay();
+    updateCartDisplay();
+}
+
+// Supplier Functions
+function supplierOptions(selected, blankLabel) {
+    return `<option value="">${blankLabel}</option>` + clothifySuppliers.getAllSuppliers()
+        .map(s => `<option value="${escapeHTML(s.id)}" ${s.id === selected ? 'selected' : ''}>${escapeHTML(s.name)}</option>`).join('');
+}
+
+function updateSuppliersDisplay() {
+    const suppliers = clothifySuppliers.getAllSuppliers();
+    document.getElementById('suppliers-list').innerHTML = suppliers.length === 0
+        ? '<li class="alert-item">No suppliers yet.</li>'
+        : suppliers.map(s => {
+            const contact = [s.contactName, s.email, s.phone].filter(Boolean).join(' · ');
+            const terms = [
+                s.leadTimeDays ? `${s.leadTimeDays} day lead time` : null,
+                s.defaultCost !== null ? `$${s.defaultCost.toFixed(2)} default cost` : null
+            ].filter(Boolean).join(' · ');
+            return `
+                <li class="alert-item">
+                    <span>
+                        <strong>${escapeHTML(s.name)}</strong>${terms ? ` · ${terms}` : ''}
+                        ${contact ? `<div style="font-size: 13px; color: var(--text-secondary);">${escapeHTML(contact)}</div>` : ''}
+                    </span>
+                    <span>
+                        ${clothifySuppliers.getProducts(s.id).length} products
+                        <button class="btn-row-action" onclick="editSupplier(${jsArg(s.id)})" title="Edit supplier">✏️</button>
+                    </span>
+                </li>
+            `;
+        }).join('');
+}
+
+function resetSupplierForm() {
+    ['supplier-id', 'supplier-name', 'supplier-contact', 'supplier-email', 'supplier-phone', 'supplier-lead-time', 'supplier-default-cost']
+        .forEach(id => { document.getElementById(id).value = ''; });
+    document.getElementById('supplier-errors').style.display = 'none';
+}
+
+function editSupplier(id) {
+    const supplier = clothifySuppliers.getSupplier(id);
+    if (!supplier) return;
+    resetSupplierForm();
+    const values = {
+        'supplier-id': supplier.id,
+        'supplier-name': supplier.name,
+        'supplier-contact': supplier.contactName,
+        'supplier-email': supplier.email,
+        'supplier-phone': supplier.phone,
+        'supplier-lead-time': supplier.leadTimeDays,
+        'supplier-default-cost': supplier.defaultCost
+    };
+    Object.entries(values).forEach(([id, value]) => {
+        document.getElementById(id).value = value === undefined || value === null ? '' : value;
+    });
+}
+
+function saveSupplier() {
+    if (!requirePermission('orders')) return;
+    const value = (id) => document.getElementById(id).value;
+    const result = clothifySuppliers.saveSupplier({
+        id: value('supplier-id'),
+        name: value('supplier-name'),
+        contactName: value('supplier-contact'),
+        email: value('supplier-email'),
+        phone: value('supplier-phone'),
+        leadTimeDays: value('supplier-lead-time'),
+        defaultCost: value('supplier-default-cost')
+    });
+    const errorBox = document.getElementById('supplier-errors');
+    if (!result.success) {
+        errorBox.innerHTML = result.errors.map(e => `<div>❌ ${escapeHTML(e)}</div>`).join('');
+        errorBox.style.display = 'block';
+        return;
+    }
+    resetSupplierForm();
+    updateSuppliersDisplay();
+    updatePurchaseOrdersDisplay();
+    updateReorderAlerts();
+}
+
+// Purchase Order Functions
+function describePurchaseOrderLine(sku) {
+    const product = clothifyInventory.getProduct(sku);
+    return product
+        ? `${escapeHTML(product.design)} (${escapeHTML(product.size)}/${escapeHTML(product.color)}) <span style="font-family: monospace; font-size: 12px;">${escapeHTML(product.sku)}</span>`
+        : `<span style="font-family: monospace;">${escapeHTML(sku)}</span>`;
+}
+
+function updatePurchaseOrdersDisplay() {
+    const filter = document.getElementById('po-status-filter').value;
+    const orders = clothifyPurchaseOrders.getOrders().filter(o => filter === 'open' ? o.status !== 'closed' : !filter || o.status === filter);
+    document.getElementById('purchase-orders-list').innerHTML = orders.length === 0
+        ? '<li class="alert-item">No purchase orders to show.</li>'
+        : orders.map(o => {
+            const totals = clothifyPurchaseOrders.getOrderTotals(o);
+            const dates = o.status === 'closed'
+                ? `closed ${new Date(o.closedAt).toLocaleDateString()}${o.closedShort ? ' (short)' : ''}`
+                : o.expectedDate ? `expected ${new Date(o.expectedDate).toLocaleDateString()}` : `created ${new Date(o.createdAt).toLocaleDateString()}`;
+            return `
+                <li class="alert-item">
+                    <span>
+                        <strong>${o.id}</strong> · ${escapeHTML(clothifySuppliers.getSupplierName(o.supplierId))} · ${PURCHASE_ORDER_STATUSES[o.status]}
+                        <div style="font-size: 13px; color: var(--text-secondary);">
+                            ${totals.received} of ${totals.ordered} units received · $${totals.cost.toFixed(2)} · ${dates}${o.note ? ` · ${escapeHTML(o.note)}` : ''}
+                        </div>
+                    </span>
+                    <button class="btn-row-action" onclick="openPurchaseOrderModal(${jsArg(o.id)})">${o.status === 'draft' ? '✏️ Edit' : o.status === 'closed' ? '🔍 View' : '📥 Receive'}</button>
+                </li>
+            `;
+        }).join('');
+    updateReceivingOrderSelector();
+}
+
+// Receive mode can book scans against an open order; the choice is cleared once the order is closed
+function updateReceivingOrderSelector() {
+    const orders = clothifyPurchaseOrders.getOpenOrders();
+    if (!orders.some(o => o.id === clothifyScanner.purchaseOrderId)) clothifyScanner.purchaseOrderId = null;
+    document.getElementById('receive-po').innerHTML = '<option value="">No purchase order</option>' + orders.map(o => {
+        const totals = clothifyPurchaseOrders.getOrderTotals(o);
+        const selected = o.id === clothifyScanner.purchaseOrderId ? 'selected' : '';
+        return `<option value="${escapeHTML(o.id)}" ${selected}>${escapeHTML(o.id)} · ${escapeHTML(clothifySuppliers.getSupplierName(o.supplierId))} (${totals.received}/${totals.ordered})</option>`;
+    }).join('');
+}
+
+function setReceivingOrder(id) {
+    clothifyScanner.purchaseOrderId = id || null;
+}
+
+function openPurchaseOrderModal(id = null) {
+    if (!requirePermission('orders')) return;
+    const order = id ? clothifyPurchaseOrders.getOrder(id) : null;
+    if (id && !order) return;
+    purchaseOrderLines = order ? order.lines.map(line => ({ ...line })) : [];
+    document.getElementById('po-id').value = order ? order.id : '';
+    document.getElementById('po-note').value = order ? order.note : '';
+    document.getElementById('po-supplier').innerHTML = supplierOptions(order ? order.supplierId : '', 'Choose a supplier');
+    document.getElementById('po-line-options').innerHTML = clothifyInventory.getAllProducts()
+        .map(p => `<option value="${escapeHTML(p.sku)}">${escapeHTML(p.design)} (${escapeHTML(p.size)}/${escapeHTML(p.color)})</option>`).join('');
+    ['po-line-sku', 'po-line-cost'].forEach(field => { document.getElementById(field).value = ''; });
+    document.getElementById('po-line-quantity').value = 1;
+    document.getElementById('po-errors').style.display = 'none';
+    renderPurchaseOrderModal();
+    document.getElementById('po-modal').classList.add('show');
+}
+
+function closePurchaseOrderModal() {
+    document.getElementById('po-modal').classList.remove('show');
+}
+
+// Drafts are edited in place; sent orders take what arrived, with the cost actually charged
+function renderPurchaseOrderModal() {
+    const order = clothifyPurchaseOrders.getOrder(document.getElementById('po-id').value);
+    const status = order ? order.status : 'draft';
+    const editable = status === 'draft';
+    const receiving = status === 'sent' || status === 'partial';
+
+    document.getElementById('po-title').textContent = order ? `🧾 ${order.id}` : '🧾 New Purchase Order';
+    document.getElementById('po-info').textContent = order
+        ? `${PURCHASE_ORDER_STATUSES[status]}${order.expectedDate ? ` · expected ${new Date(order.expectedDate).toLocaleDateString()}` : ''}${order.closedShort ? ' · closed short' : ''}`
+        : 'Lines without a cost use the product\'s cost price or the supplier\'s default.';
+    document.getElementById('po-supplier').disabled = !editable;
+    document.getElementById('po-note').disabled = !editable;
+    document.getElementById('po-add-line').style.display = editable ? 'grid' : 'none';
+    document.getElementById('po-action-header').textContent = editable ? '' : receiving ? 'Receive Now' : '';
+
+    const cost = (value) => value === null || value === undefined || value === '' ? '' : value;
+    document.getElementById('po-lines').innerHTML = purchaseOrderLines.length === 0
+        ? '<tr><td colspan="5" style="text-align: center; color: var(--text-secondary);">Add products to the order below</td></tr>'
+        : purchaseOrderLines.map((line, index) => {
+            const outstanding = line.quantity - line.received;
+            if (editable) {
+                return `
+                    <tr>
+                        <td>${describePurchaseOrderLine(line.sku)}</td>
+                        <td><input type="number" class="grid-qty" min="1" step="1" value="${line.quantity}" onchange="purchaseOrderLines[${index}].quantity = this.value"></td>
+                        <td>—</td>
+                        <td><input type="number" class="grid-qty" min="0" step="0.01" value="${cost(line.unitCost)}" onchange="purchaseOrderLines[${index}].unitCost = this.value"></td>
+                        <td><button class="btn-row-action" onclick="removePurchaseOrderLine(${index})" title="Remove line">🗑️</button></td>
+                    </tr>
+                `;
+            }
+            return `
+                <tr>
+                    <td>${describePurchaseOrderLine(line.sku)}</td>
+                    <td>${line.quantity}</td>
+                    <td>${line.received}</td>
+                    <td>${receiving && outstanding > 0
+                        ? `<input type="number" class="grid-qty po-receive-cost" data-sku="${escapeHTML(line.sku)}" min="0" step="0.01" value="${cost(line.unitCost)}">`
+                        : line.unitCost === null ? '—' : `$${line.unitCost.toFixed(2)}`}</td>
+                    <td>${receiving && outstanding > 0
+                        ? `<input type="number" class="grid-qty po-receive-quantity" data-sku="${escapeHTML(line.sku)}" min="0" max="${outstanding}" step="1" placeholder="${outstanding} due">`
+                        : ''}</td>
+                </tr>
+            `;
+        }).join('');
+
+    const receipts = order ? order.receipts : [];
+    document.getElementById('po-receipts').innerHTML = receipts.map(r => `
+        <li class="alert-item">
+            <span>${new Date(r.timestamp).toLocaleString()} · ${r.quantity} × ${describePurchaseOrderLine(r.sku)}${r.voidedAt ? ' · voided' : ''}</span>
+            <span>${r.unitCost === null ? '' : `$${r.unitCost.toFixed(2)} each`}</span>
+        </li>
+    `).join('');
+
+    const buttons = ['<button class="btn-secondary" onclick="closePurchaseOrderModal()">Cancel</button>'];
+    if (editable) {
+        if (order) buttons.push('<button class="btn-secondary" onclick="deletePurchaseOrderDraft()">Delete Draft</button>');
+        buttons.push('<button class="btn-secondary" onclick="savePurchaseOrderDraft(false)">Save Draft</button>');
+        buttons.push('<button class="btn btn-primary" onclick="savePurchaseOrderDraft(true)">Mark as Sent</button>');
+    }
+    if (receiving) {
+        buttons.push('<button class="btn-secondary" onclick="closePurchaseOrderShort()">Close Short</button>');
+        buttons.push('<button class="btn btn-primary" onclick="receivePurchaseOrder()">Receive</button>');
+    }
+    document.getElementById('po-footer').innerHTML = buttons.join('');
+}
+
+function showPurchaseOrderErrors(errors) {
+    const errorBox = document.getElementById('po-errors');
+    errorBox.innerHTML = errors.map(e => `<div>❌ ${escapeHTML(e)}</div>`).join('');
+    errorBox.style.display = 'block';
+}
+
+function addPurchaseOrderLine() {
+    const code = document.getElementById('po-line-sku').value.trim();
+    const product = clothifyInventory.getProduct(code);
+    if (!product) {
+        showPurchaseOrderErrors([`SKU not found: ${code}`]);
+        return;
+    }
+    const existing = purchaseOrderLines.find(line => line.sku === product.sku);
+    const quantity = document.getElementById('po-line-quantity').value;
+    if (existing) {
+        existing.quantity = (parseInt(existing.quantity) || 0) + (parseInt(quantity) || 0);
+    } else {
+        purchaseOrderLines.push({ sku: product.sku, quantity, unitCost: document.getElementById('po-line-cost').value, received: 0 });
+    }
+    const supplierSelect = document.getElementById('po-supplier');
+    if (!supplierSelect.value && product.supplierId) supplierSelect.value = product.supplierId;
+    ['po-line-sku', 'po-line-cost'].forEach(field => { document.getElementById(field).value = ''; });
+    document.getElementById('po-line-quantity').value = 1;
+    document.getElementById('po-errors').style.display = 'none';
+    renderPurchaseOrderModal();
+}
+
+function removePurchaseOrderLine(index) {
+    purchaseOrderLines.splice(index, 1);
+    renderPurchaseOrderModal();
+}
+
+function savePurchaseOrderDraft(send) {
+    const id = document.getElementById('po-id').value;
+    const supplierId = document.getElementById('po-supplier').value;
+    const note = document.getElementById('po-note').value;
+    const result = id
+        ? clothifyPurchaseOrders.updateDraft(id, { supplierId, lines: purchaseOrderLines, note })
+        : clothifyPurchaseOrders.createOrder(supplierId, purchaseOrderLines, note);
+    if (!result.success) {
+        showPurchaseOrderErrors(result.errors);
+        return;
+    }
+    document.getElementById('po-id').value = result.order.id;
+    if (send) {
+        const sent = clothifyPurchaseOrders.sendOrder(result.order.id);
+        if (!sent.success) {
+            showPurchaseOrderErrors(sent.errors);
+            return;
+        }
+    }
+    document.getElementById('po-result').textContent = send
+        ? `✅ ${result.order.id} sent to ${clothifySuppliers.getSupplierName(result.order.supplierId)}.`
+        : `✅ ${result.order.id} saved as a draft.`;
+    closePurchaseOrderModal();
+    updatePurchaseOrdersDisplay();
+    updateReorderAlerts();
+}
+
+function deletePurchaseOrderDraft() {
+    const id = document.getElementById('po-id').value;
+    if (!confirm(`Delete the draft ${id}?`)) return;
+    clothifyPurchaseOrders.deleteDraft(id);
+    document.getElementById('po-result').textContent = '';
+    closePurchaseOrderModal();
+    updatePurchaseOrdersDisplay();
+}
+
+function receivePurchaseOrder() {
+    const id = document.getElementById('po-id').value;
+    const costs = [...document.querySelectorAll('#po-lines .po-receive-cost')];
+    const receipts = [...document.querySelectorAll('#po-lines .po-receive-quantity')].map(input => ({
+        sku: input.dataset.sku,
+        quantity: input.value,
+        unitCost: costs.find(cost => cost.dataset.sku === input.dataset.sku).value
+    }));
+    const result = clothifyPurchaseOrders.receive(id, receipts, 'manual');
+    if (!result.success) {
+        showPurchaseOrderErrors(result.errors);
+        return;
+    }
+    document.getElementById('po-result').textContent = result.order.status === 'closed'
+        ? `✅ Received ${result.units} unit(s). ${result.order.id} is complete.`
+        : `✅ Received ${result.units} unit(s) against ${result.order.id}.`;
+    closePurchaseOrderModal();
+    updatePurchaseOrdersDisplay();
+    refreshInventoryView();
+}
+
+function closePurchaseOrderShort() {
+    const id = document.getElementById('po-id').value;
+    if (!confirm(`Close ${id} without the remaining units? They will no longer count as on order.`)) return;
+    clothifyPurchaseOrders.closeOrder(id);
+    document.getElementById('po-result').textContent = `${id} closed short.`;
+    closePurchaseOrderModal();
+    updatePurchaseOrdersDisplay();
+    updateReorderAlerts();
+}
+
+// One draft per supplier from the suggested order; products without a supplier are left for a manual order
+function createSuggestedPurchaseOrders() {
+    if (!requirePermission('orders')) return;
+    const bySupplier = {};
+    const unassigned = [];
+    clothifyReorder.getSuggestedPurchaseOrder().forEach(group => group.lines.forEach(line => {
+        if (!clothifySuppliers.getSupplier(line.product.supplierId)) {
+            unassigned.push(line.product.sku);
+            return;
+        }
+        (bySupplier[line.product.supplierId] = bySupplier[line.product.supplierId] || [])
+            .push({ sku: line.product.sku, quantity: line.quantity });
+    }));
+    const created = Object.entries(bySupplier).map(([supplierId, lines]) => clothifyPurchaseOrders.createOrder(supplierId, lines, 'Suggested reorder').order);
+    const parts = [];
+    if (created.length > 0) parts.push(`✅ Created ${created.map(o => `${o.id} (${clothifySuppliers.getSupplierName(o.supplierId)})`).join(', ')} as draft(s) under Orders.`);
+    if (unassigned.length > 0) parts.push(`⚠️ No supplier set for ${unassigned.join(', ')}.`);
+    document.getElementById('suggested-po-result').textContent = parts.join(' ') || 'Nothing to order.';
+    updatePurchaseOrdersDisplay();
+}
+
+function updateTransfersDisplay() {
+    const transfers = clothifyLocations.getTransfers('in-transit');
+    document.getElementById('transfers-card').style.display = transfers.length > 0 ? 'block' : 'none';
+    document.getElementById('transfers-list').innerHTML = transfers.map(t => {
+        const product = clothifyInventory.getProduct(t.sku);
+        const name = product ? `${product.design} (${product.size}/${product.color})` : t.sku;
+        return `
+            <li class="alert-item">
+                <span>
+                    <strong>${t.quantity} × ${escapeHTML(name)}</strong>
+                    <div style="font-size: 13px; color: var(--text-secondary);">
+                        ${escapeHTML(clothifyLocations.getLocationName(t.from))} → ${escapeHTML(clothifyLocations.getLocationName(t.to))} · sent ${new Date(t.sentAt).toLocaleString()}${t.note ? ` · ${escapeHTML(t.note)}` : ''}
+                    </div>
+                </span>
+                ${canUser('transfers') ? `<button class="btn-row-action" onclick="receiveTransfer(${jsArg(t.id)})">📥 Receive</button>` : ''}
+            </li>
+        `;
+    }).join('');
+}
+
+function receiveTransfer(id) {
+    if (!requirePermission('transfers')) return;
+    const result = clothifyLocations.receiveTransfer(id);
+    if (!result.success) {
+        alert(result.errors ? result.errors.join('\n') : 'This transfer has already been received.');
+    }
+    refreshInventoryView();
+}
+
+function openTransferModal(sku) {
+    if (!requirePermission('transfers')) return;
+    const product = clothifyInventory.getProduct(sku);
+    if (!product) return;
+    const from = clothifyInventory.getLocationStock(product) > 0
+        ? clothifyInventory.currentLocation
+        : (clothifyLocations.getOpenLocations().find(l => clothifyInventory.getLocationStock(product, l.id) > 0) || {}).id;
+    const to = clothifyLocations.getOpenLocations().find(l => l.id !== from);
+
+    document.getElementById('transfer-sku').value = product.sku;
+    document.getElementById('transfer-product-info').textContent = `${product.design} (${product.size}/${product.color}) · ${describeLocationStock(product) || 'no stock'}`;
+    document.getElementById('transfer-from').innerHTML = locationOptions(from);
+    document.getElementById('transfer-to').innerHTML = locationOptions(to ? to.id : null);
+    document.getElementById('transfer-quantity').value = 1;
+    document.getElementById('transfer-note').value = '';
+    document.getElementById('transfer-errors').style.display = 'none';
+    document.getElementById('transfer-modal').classList.add('show');
+}
+
+function closeTransferModal() {
+    document.getElementById('transfer-modal').classList.remove('show');
+}
+
+function saveTransfer() {
+    if (!requirePermission('transfers')) return;
+    const result = clothifyLocations.createTransfer(
+        document.getElementById('transfer-sku').value,
+        document.getElementById('transfer-quantity').value,
+        document.getElementById('transfer-from').value,
+        document.getElementById('transfer-to').value,
+        document.getElementById('transfer-note').value.trim()
+    );
+    if (!result.success) {
+        const errorBox = document.getElementById('transfer-errors');
+        errorBox.innerHTML = result.errors.map(e => `<div>❌ ${escapeHTML(e)}</div>`).join('');
+        errorBox.style.display = 'block';
+        return;
+    }
+    closeTransferModal();
+    refreshInventoryView();
+}
+
+// Design Functions
+function loadDesignSelector(selectedId = document.getElementById('design-select').value) {
+    const select = document.getElementById('design-select');
+    const designs = [...clothifyDesigns.designs].sort((a, b) => a.name.localeCompare(b.name));
+    select.innerHTML = '<option value="">➕ New design</option>' +
+        designs.map(d => `<option value="${escapeHTML(d.id)}">${escapeHTML(d.name)}</option>`).join('');
+    select.value = clothifyDesigns.getDesign(selectedId) ? selectedId : '';
+    loadDesignForm();
+}
+
+function loadDesignForm() {
+    const design = clothifyDesigns.getDesign(document.getElementById('design-select').value);
+    document.getElementById('design-name').value = design ? design.name : '';
+    document.getElementById('design-category').value = design ? design.category : '';
+    document.getElementById('design-description').value = design ? design.description : '';
+    document.getElementById('design-base-price').value = design ? design.basePrice : '';
+    document.getElementById('design-base-price').disabled = !!design && !canUser('prices');
+    document.getElementById('design-images').value = design ? design.images.join('\n') : '';
+    renderDesignImages();
+    document.getElementById('design-errors').style.display = 'none';
+    document.getElementById('grid-errors').style.display = 'none';
+    document.getElementById('grid-result').innerHTML = '';
+
+    if (!design) {
+        document.getElementById('design-info').textContent = '';
+        document.getElementById('design-grid-panel').style.display = 'none';
+        return;
+    }
+    const variants = clothifyDesigns.getVariants(design.id);
+    const overridden = variants.filter(p => (p.overrides || []).includes('price')).length;
+    document.getElementById('design-info').textContent =
+        `${variants.length} variant(s)${overridden > 0 ? ` · ${overridden} with their own price` : ''}`;
+    document.getElementById('grid-colors').value = clothifyDesigns.getColors(design.id).join(', ');
+    document.getElementById('design-grid-panel').style.display = 'block';
+    renderDesignGrid();
+}
+
+function saveDesign() {
+    if (!requirePermission('products')) return;
+    const id = document.getElementById('design-select').value;
+    const fields = {
+        name: document.getElementById('design-name').value,
+        category: document.getElementById('design-category').value,
+        description: document.getElementById('design-description').value,
+        basePrice: document.getElementById('design-base-price').value,
+        images: document.getElementById('design-images').value.split('\n')
+    };
+    if (id && !canUser('prices')) fields.basePrice = clothifyDesigns.getDesign(id).basePrice;
+    const result = id ? clothifyDesigns.updateDesign(id, fields) : clothifyDesigns.createDesign(fields);
+    if (!result.success) {
+        const errorBox = document.getElementById('design-errors');
+        errorBox.innerHTML = result.errors.map(e => `<div>❌ ${escapeHTML(e)}</div>`).join('');
+        errorBox.style.display = 'block';
+        return;
+    }
+    loadDesignSelector(result.design.id);
+    if (result.updated > 0) {
+        document.getElementById('design-info').textContent += ` · ${result.updated} updated`;
+    }
+    refreshInventoryView();
+}
+
+// Thumbnails of the image URLs as typed; lines that wouldn't pass validation aren't loaded
+function renderDesignImages() {
+    const urls = document.getElementById('design-images').value.split('\n').map(url => url.trim()).filter(url => DESIGN_IMAGE_PATTERN.test(url));
+    document.getElementById('design-image-preview').innerHTML =
+        urls.map(url => `<img src="${escapeHTML(url)}" alt="" class="design-image">`).join('');
+}
+
+// One row per colour, one column per size; typed quantities survive a change to the colour list
+function renderDesignGrid() {
+    const designId = document.getElementById('design-select').value;
+    const entered = {};
+    document.querySelectorAll('#design-grid .grid-qty').forEach(input => {
+        if (input.value) entered[`${input.dataset.color.toLowerCase()}|${input.dataset.size}`] = input.value;
+    });
+    const colors = [...new Set(document.getElementById('grid-colors').value.split(',').map(c => c.trim()).filter(Boolean))];
+    const design = clothifyDesigns.getDesign(designId);
+    const image = design && design.images[0];
+
+    document.getElementById('design-grid').innerHTML = `
+        <tr><th>${image ? `<img src="${escapeHTML(image)}" alt="" class="design-image">` : 'Colour'}</th>${PRODUCT_SIZES.map(size => `<th>${size}</th>`).join('')}</tr>
+        ${colors.map(color => `
+            <tr>
+                <th>${escapeHTML(color)}</th>
+                ${PRODUCT_SIZES.map(size => {
+                    const variant = clothifyDesigns.getVariant(designId, size, color);
+                    const value = entered[`${color.toLowerCase()}|${size}`] || '';
+                    return `<td><input type="number" class="grid-qty" min="0" data-size="${size}" data-color="${escapeHTML(color)}"
+                        value="${escapeHTML(value)}" placeholder="${variant ? clothifyInventory.getLocationStock(variant) : 'new'}"></td>`;
+                }).join('')}
+            </tr>
+        `).join('')}
+    `;
+}
+
+function receiveDesignGrid() {
+    if (!requirePermission('receive')) return;
+    const cells = [...document.querySelectorAll('#design-grid .grid-qty')].map(input => ({
+        size: input.dataset.size,
+        color: input.dataset.color,
+        quantity: input.value
+    }));
+    const unitCost = document.getElementById('grid-unit-cost').value;
+    const result = clothifyDesigns.receiveGrid(document.getElementById('design-select').value, cells, 'manual', unitCost);
+    const errorBox = document.getElementById('grid-errors');
+    if (!result.success) {
+        errorBox.innerHTML = result.errors.map(e => `<div>❌ ${escapeHTML(e)}</div>`).join('');
+        errorBox.style.display = 'block';
+        return;
+    }
+    errorBox.style.display = 'none';
+    document.querySelectorAll('#design-grid .grid-qty').forEach(input => { input.value = ''; });
+    document.getElementById('grid-unit-cost').value = '';
+    loadDesignForm();
+    lastGridDelivery = result.received;
+    document.getElementById('grid-result').innerHTML = `
+        ✅ Added ${result.units} unit(s): ${result.created.length} new variant(s), ${result.restocked.length} restocked.
+        <button class="btn-secondary" onclick="openLabelBatchModal(lastGridDelivery)" style="margin-left: 8px;">🏷️ Print Labels</button>
+    `;
+    refreshInventoryView();
+}
+
+function editDesignFromTable(sku) {
+    if (!requirePermission('products')) return;
+    const product = clothifyInventory.getProduct(sku);
+    if (!product) return;
+    document.querySelector('.nav-btn[data-section="add"]').click();
+    loadDesignSelector(product.designId);
+    document.getElementById('design-select').scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// Sync Functions
+function loadSyncSettingsForm() {
+    const config = clothifySync.config;
+    const usesServerStorage = clothifyStore.config.backend === 'server';
+    document.getElementById('sync-server-url').value = config.serverUrl || location.origin;
+    document.getElementById('sync-device-name').value = config.deviceName;
+    document.getElementById('sync-server-storage-note').style.display = usesServerStorage ? 'block' : 'none';
+    document.getElementById('sync-connect-btn').style.display = config.enabled ? 'none' : 'inline-block';
+    document.getElementById('sync-connect-btn').disabled = usesServerStorage;
+    document.getElementById('sync-now-btn').style.display = config.enabled ? 'inline-block' : 'none';
+    document.getElementById('sync-disconnect-btn').style.display = config.enabled ? 'inline-block' : 'none';
+    updateSyncIndicator(clothifySync.getStatus());
+    renderSyncConflicts();
+}
+
+function updateSyncIndicator(status) {
+    const indicator = document.getElementById('sync-indicator');
+    if (status.status === 'disabled') {
+        indicator.style.display = 'none';
+        document.getElementById('sync-details').textContent = 'Sync is off. This device keeps its own copy of the inventory.';
+        return;
+    }
+
+    const lastSync = status.lastSync ? new Date(status.lastSync).toLocaleTimeString() : 'never';
+    const labels = {
+        idle: status.pending > 0 ? `🟡 ${status.pending} change(s) waiting` : `🟢 Synced ${lastSync}`,
+        syncing: '🔄 Syncing...',
+        offline: `🟠 Offline · ${status.pending} change(s) waiting`,
+        error: '🔴 Sync error'
+    };
+    indicator.textContent = labels[status.status] + (status.conflicts > 0 ? ` · ⚠️ ${status.conflicts} conflict(s)` : '');
+    indicator.className = `sync-indicator sync-${status.status}`;
+    indicator.style.display = 'inline-block';
+
+    document.getElementById('sync-details').textContent =
+        `Last synced: ${lastSync}. Waiting to send: ${status.pending}.` + (status.error ? ` Last error: ${status.error}` : '');
+}
+
+function showSyncSettings() {
+    document.querySelector('.nav-btn[data-section="add"]').click();
+    document.getElementById('sync-card').scrollIntoView({ behavior: 'smooth' });
+}
+
+async function connectSync() {
+    if (!requirePermission('settings')) return;
+    const serverUrl = document.getElementById('sync-server-url').value.trim();
+    const deviceName = document.getElementById('sync-device-name').value.trim();
+    if (!/^https?:\/\//.test(serverUrl)) {
+        alert('Please enter the server address, e.g. http://localhost:8787');
+        return;
+    }
+    if (!deviceName) {
+        alert('Please give this device a name (e.g. "Front counter phone")');
+        return;
+    }
+
+    clothifySync.config.serverUrl = serverUrl;
+    clothifySync.config.deviceName = deviceName;
+    try {
+        if (!clothifySync.state.joined) {
+            const joined = await clothifySync.join(count => confirm(
+                `The sync server already holds ${count} change(s) from other devices.\n\n` +
+                'This device will replace its own inventory and sales history with the shared data. Export a backup first if you need one.\n\nContinue?'
+            ));
+            if (!joined) return;
+        }
+    } catch (err) {
+        alert(`Could not reach the sync server: ${err.message}`);
+        return;
+    }
+    clothifySync.enable(serverUrl, deviceName);
+    loadSyncSettingsForm();
+    refreshInventoryView();
+}
+
+function disconnectSync() {
+    if (!requirePermission('settings')) return;
+    if (!confirm('Stop syncing this device? Changes made while disconnected are kept and sent when you reconnect.')) return;
+    clothifySync.disable();
+    loadSyncSettingsForm();
+}
+
+function syncNow() {
+    clothifySync.sync();
+}
+
+function renderSyncConflicts() {
+    const list = document.getElementById('sync-conflicts');
+    const conflicts = clothifySync.state.conflicts;
+    if (conflicts.length === 0) {
+        list.innerHTML = '';
+        return;
+    }
+    const describe = (value) => value === undefined || value === null ? '(empty)' : value;
+    list.innerHTML = `
+        <h4 style="margin: 16px 0 8px; color: var(--warning-color);">⚠️ Conflicting changes</h4>
+        ${conflicts.map(c => {
+            const product = clothifyInventory.getProduct(c.sku);
+            const name = product ? `${product.design} (${product.size}/${product.color})` : c.sku;
+            const detail = c.field === 'deleted'
+                ? `Deleted on ${c.deviceName} while edited here`
+                : c.field === 'duplicate'
+                    ? `Same SKU as ${describe(c.theirs)} on ${c.deviceName} (yours: ${describe(c.mine)}); relabel one of them`
+                    : `${c.field}: yours ${describe(c.mine)}, ${c.deviceName} ${describe(c.theirs)}`;
+            return `
+                <div class="alert-item">
+                    <div>
+                        <strong>${escapeHTML(name)}</strong>
+                        <div style="font-size: 13px; color: var(--text-secondary);">${escapeHTML(detail)}${c.field === 'duplicate' ? '' : ` · keeping ${c.kept === 'mine' ? 'yours' : 'theirs'}`}</div>
+                    </div>
+                    <div class="row-actions">
+                        ${c.field === 'duplicate' ? `
+                            <button class="btn-row-action" onclick="resolveSyncConflict(${jsArg(c.id)}, ${jsArg(c.kept)})">Dismiss</button>
+                        ` : `
+                            <button class="btn-row-action" onclick="resolveSyncConflict(${jsArg(c.id)}, 'mine')">Keep mine</button>
+                            <button class="btn-row-action" onclick="resolveSyncConflict(${jsArg(c.id)}, 'theirs')">${c.field === 'deleted' ? 'Delete' : 'Use theirs'}</button>
+                        `}
+                    </div>
+                </div>
+            `;
+        }).join('')}
+    `;
+}
+
+function resolveSyncConflict(id, choice) {
+    clothifySync.resolveConflict(id, choice);
+    renderSyncConflicts();
+    refreshInventoryView();
+}
+
+// Cart Functions
+function setCartMode(enabled) {
+    clothifyScanner.cartMode = enabled;
+    document.getElementById('cart-panel').style.display = enabled ? 'block' : 'none';
+    updateCartDisplay();
+}
+
+function updateCartDisplay() {
+    const tbody = document.getElementById('cart-tbody');
+    const pricing = clothifyCart.getPricing();
+    const lines = pricing.lines;
+
+    tbody.innerHTML = lines.length === 0
+        ? '<tr><td colspan="5" style="text-align: center; color: var(--text-secondary);">Scan items to add them to the cart</td></tr>'
+        : lines.map(line => `
+            <tr>
+                <td><strong>${escapeHTML(line.design)}</strong><div style="font-size: 12px; color: var(--text-secondary);">${escapeHTML(line.size)} / ${escapeHTML(line.color)} · <span style="font-family: monospace;">${escapeHTML(line.sku)}</span></div></td>
+                <td>
+                    <div class="qty-control">
+                        <button class="btn-row-action" onclick="changeCartQuantity(${jsArg(line.sku)}, -1)">−</button>
+                        <span>${line.quantity}</span>
+                        <button class="btn-row-action" onclick="changeCartQuantity(${jsArg(line.sku)}, 1)">+</button>
+                    </div>
+                </td>
+                <td>$${line.unitPrice.toFixed(2)}</td>
+                <td>
+                    ${line.discount > 0 ? `<div class="price-was">$${(line.unitPrice * line.quantity).toFixed(2)}</div>` : ''}
+                    $${line.total.toFixed(2)}
+                </td>
+                <td><button class="btn-row-action" onclick="removeCartLine(${jsArg(line.sku)})" title="Remove line">🗑️</button></td>
+            </tr>
+        `).join('');
+
+    document.getElementById('cart-promotions').innerHTML = pricing.applied.map(p => `
+        <li><span>🏷️ ${escapeHTML(p.name)} (${p.units} item(s))</span><span>−$${p.amount.toFixed(2)}</span></li>
+    `).join('');
+    document.getElementById('cart-count').textContent = clothifyCart.getItemCount();
+    document.getElementById('cart-total').textContent = `$${pricing.total.toFixed(2)}`;
+    document.getElementById('cart-checkout-btn').disabled = clothifyCart.isEmpty();
+}
+
+function changeCartQuantity(sku, delta) {
+    const line = clothifyCart.lines.find(l => l.sku === sku);
+    if (!line) return;
+    clothifyCart.setQuantity(sku, line.quantity + delta);
+    updateCartDisplay();
+}
+
+function removeCartLine(sku) {
+    clothifyCart.removeLine(sku);
+    updateCartDisplay();
+}
+
+function checkoutCart() {
+    if (!requirePermission('sell')) return;
+    const result = clothifyScanner.checkoutCart();
+    if (result.success) {
+        updateCartDisplay();
+        updateInventoryDisplay();
+    }
+}
+
+function abandonCart() {
+    if (clothifyCart.isEmpty() || !confirm('Clear the cart? Nothing will be sold.')) return;
+    clothifyCart.clear();
+    updateCartDisplay();
+    clothifyScanner.updateStatus('Cart cleared', 'ready');
+}
+
+// Receipt and Cash-up Functions
+function setPaymentMethod(method) {
+    clothifyScanner.paymentMethod = method;
+}
+
+// Scanner Settings Functions
+function loadScannerSettingsForm() {
+    const settings = clothifyScanner.settings;
+    document.getElementById('scanner-camera').innerHTML = `<option value="${escapeHTML(settings.cameraId)}">${settings.cameraId ? 'Saved camera' : 'Rear camera (default)'}</option>`;
+    document.getElementById('scanner-fps').value = settings.fps;
+    document.getElementById('scanner-box').value = settings.boxSize;
+    document.getElementById('scanner-cooldown').innerHTML = Object.entries(SCANNER_COOLDOWN_STRATEGIES)
+        .map(([value, label]) => `<option value="${value}" ${value === settings.cooldown ? 'selected' : ''}>${label}</option>`).join('');
+    document.getElementById('scanner-cooldown-seconds').value = settings.cooldownSeconds;
+    document.getElementById('scanner-duplicate-seconds').value = settings.duplicateSeconds;
+    document.getElementById('scanner-keyboard').checked = settings.keyboardScanner;
+    document.getElementById('scanner-settings-errors').style.display = 'none';
+    toggleScannerCooldownFields();
+}
+
+// Listing cameras asks for camera permission, so it waits until the settings are opened
+function loadScannerCameras() {
+    const selected = clothifyScanner.settings.cameraId;
+    Html5Qrcode.getCameras().then(cameras => {
+        document.getElementById('scanner-camera').innerHTML = '<option value="">Rear camera (default)</option>'
+            + cameras.map(c => `<option value="${escapeHTML(c.id)}" ${c.id === selected ? 'selected' : ''}>${escapeHTML(c.label || c.id)}</option>`).join('');
+    }).catch(err => console.error(`Unable to list cameras: ${err}`));
+}
+
+function toggleScannerCooldownFields() {
+    const fixed = document.getElementById('scanner-cooldown').value === 'fixed';
+    document.getElementById('scanner-cooldown-seconds-group').style.display = fixed ? 'block' : 'none';
+    document.getElementById('scanner-duplicate-seconds-group').style.display = fixed ? 'none' : 'block';
+}
+
+function saveScannerSettings() {
+    const result = clothifyScanner.saveSettings({
+        cameraId: document.getElementById('scanner-camera').value,
+        fps: document.getElementById('scanner-fps').value,
+        boxSize: document.getElementById('scanner-box').value,
+        cooldown: document.getElementById('scanner-cooldown').value,
+        cooldownSeconds: document.getElementById('scanner-cooldown-seconds').value,
+        duplicateSeconds: document.getElementById('scanner-duplicate-seconds').value,
+        keyboardScanner: document.getElementById('scanner-keyboard').checked
+    });
+    const errorBox = document.getElementById('scanner-settings-errors');
+    if (!result.success) {
+        errorBox.innerHTML = result.errors.map(e => `<div>❌ ${escapeHTML(e)}</div>`).join('');
+        errorBox.style.display = 'block';
+        return;
+    }
+    errorBox.style.display = 'none';
+    clothifyScanner.restart();
+    clothifyScanner.updateStatus('✅ Scanner settings saved', 'ready');
+}
+
+// Manual Entry Functions
+function updateManualCodeOptions() {
+    const query = document.getElementById('manual-code').value.trim();
+    document.getElementById('manual-code-options').innerHTML = query.length < 2 ? '' : clothifyInventory.searchProducts(query)
+        .slice(0, 10)
+        .map(p => `<option value="${escapeHTML(p.sku)}">${escapeHTML(p.design)} (${escapeHTML(p.size)}/${escapeHTML(p.color)})</option>`).join('');
+}
+
+function submitManualCode() {
+    const input = document.getElementById('manual-code');
+    const code = input.value.trim();
+    if (!code) return;
+    input.value = '';
+    updateManualCodeOptions();
+    clothifyScanner.onScanSuccess(code);
+}
+
+// Scan Undo Functions
+let scanUndoTimer = null;
+
+function showScanUndo(scan) {
+    const toast = document.getElementById('scan-undo-toast');
+    document.getElementById('scan-undo-text').textContent = scan.description;
+    toast.dataset.id = scan.id;
+    toast.classList.add('show');
+    clearTimeout(scanUndoTimer);
+    scanUndoTimer = setTimeout(hideScanUndo, SCAN_UNDO_MS);
+}
+
+function hideScanUndo() {
+    clearTimeout(scanUndoTimer);
+    document.getElementById('scan-undo-toast').classList.remove('show');
+}
+
+function undoLastScan() {
+    hideScanUndo();
+    finishScanUndo(clothifyScanner.undoScan(parseInt(document.getElementById('scan-undo-toast').dataset.id)));
+}
+
+// Sales, returns and deliveries are voided, which needs a reason; cart and stock-take scans just come off again
+function voidRecentScan(id) {
+    const scan = clothifyScanner.recentScans.find(s => s.id === id);
+    if (!scan) return;
+    let reason;
+    if (scan.receipt || scan.eventIds) {
+        reason = prompt(`Why void "${scan.description}"?`);
+        if (reason === null) return;
+    }
+    hideScanUndo();
+    finishScanUndo(clothifyScanner.undoScan(id, reason));
+}
+
+function finishScanUndo(result) {
+    if (!result.success) {
+        clothifyScanner.soundManager.playError();
+        clothifyScanner.updateStatus(`❌ ${result.errors.join('; ')}`, 'error');
+        return;
+    }
+    clothifyScanner.updateStatus(`↶ Undone: ${result.scan.description}`, 'ready');
+    updateRecentScansDisplay();
+    updateCartDisplay();
+    updateStockTakeDisplay();
+    updateReorderAlerts();
+    updateReceivingOrderSelector();
+    updatePurchaseOrdersDisplay();
+    if (document.getElementById('inventory-section').classList.contains('active')) {
+        updateInventoryDisplay();
+    }
+}
+
+function updateRecentScansDisplay() {
+    const scans = clothifyScanner.recentScans;
+    document.getElementById('recent-scans-list').innerHTML = scans.length === 0
+        ? '<li class="alert-item">Nothing scanned yet.</li>'
+        : scans.map(scan => `
+            <li class="alert-item">
+                <span>
+                    ${scan.undoneAt ? `<s>${escapeHTML(scan.description)}</s>` : escapeHTML(scan.description)}
+                    <div style="font-size: 13px; color: var(--text-secondary);">
+                        ${new Date(scan.timestamp).toLocaleTimeString()}${scan.receipt ? ` · ${escapeHTML(scan.receipt)}` : ''}${scan.undoneAt ? ` · ${scan.reason ? `voided: ${escapeHTML(scan.reason)}` : 'undone'}` : ''}
+                    </div>
+                </span>
+                ${scan.undoneAt ? '' : `<button class="btn-row-action" onclick="voidRecentScan(${scan.id})">${scan.receipt || scan.eventIds ? '🚫 Void' : '↶ Undo'}</button>`}
+            </li>
+        `).join('');
+}
+
+function showLastReceipt(receipt) {
+    document.getElementById('last-receipt').style.display = 'flex';
+    document.getElementById('last-receipt-info').textContent =
+        `🧾 ${receipt.number} · ${receipt.type === 'refund' ? 'refund ' : ''}${clothifyReceipts.formatMoney(receipt.total)} · ${PAYMENT_METHODS[receipt.paymentMethod]}`;
+    document.getElementById('last-receipt').dataset.number = receipt.number;
+}
+
+// Receipts are printed from a window of their own sized like the slip, so the page's styles don't get in the way
+function printReceiptLines(title, lines) {
+    const win = window.open('', '_blank', 'width=420,height=640');
+    if (!win) {
+        alert('The print window was blocked. Allow pop-ups for this page, or download the receipt instead.');
+        return;
+    }
+    win.document.write(`<!DOCTYPE html><html><head><title>${escapeHTML(title)}</title>
+        <style>@page { size: 80mm auto; margin: 4mm; } body { margin: 0; } pre { font: ${RECEIPT_FONT_SIZE + 2}pt 'Courier New', monospace; margin: 0; }</style>
+        </head><body><pre>${escapeHTML(lines.join('\n'))}</pre></body></html>`);
+    win.document.close();
+    win.focus();
+    win.print();
+}
+
+// PDF when the library has loaded, otherwise the same slip as plain text
+function downloadReceiptLines(fileName, lines) {
+    if (window.jspdf) {
+        downloadFile(`${fileName}.pdf`, clothifyReceipts.createPDF(lines).output('blob'), 'application/pdf');
+    } else {
+        downloadFile(`${fileName}.txt`, lines.join('\r\n'), 'text/plain');
+    }
+}
+
+function printReceipt(number) {
+    const receipt = clothifyReceipts.getReceipt(number);
+    if (receipt) printReceiptLines(`Receipt ${receipt.number}`, clothifyReceipts.formatReceipt(receipt));
+}
+
+function downloadReceipt(number) {
+    const receipt = clothifyReceipts.getReceipt(number);
+    if (receipt) downloadReceiptLines(`clothify_receipt_${receipt.number}`, clothifyReceipts.formatReceipt(receipt));
+}
+
+function updateReceiptsDisplay() {
+    const receipts = clothifyReceipts.searchReceipts(document.getElementById('receipt-search').value);
+    document.getElementById('receipts-list').innerHTML = receipts.length === 0
+        ? '<li class="alert-item">No receipts found.</li>'
+        : receipts.map(r => `
+            <li class="alert-item">
+                <span>
+                    <strong>${r.number}</strong> · ${r.type === 'refund' ? '↩️ Refund' : 'Sale'} · ${clothifyReceipts.formatMoney(r.total)} · ${PAYMENT_METHODS[r.paymentMethod]}${r.voidedAt ? ` · voided: ${escapeHTML(r.voidReason)}` : ''}
+                    <div style="font-size: 13px; color: var(--text-secondary);">
+                        ${new Date(r.timestamp).toLocaleString()} · ${escapeHTML(clothifyLocations.getLocationName(r.location))} · ${r.lines.reduce((n, line) => n + line.quantity, 0)} item(s)${r.zReport ? ` · ${r.zReport}` : ''}
+                    </div>
+                </span>
+                <span>
+                    <button class="btn-row-action" onclick="printReceipt(${jsArg(r.number)})" title="Print receipt">🖨️</button>
+                    <button class="btn-row-action" onclick="downloadReceipt(${jsArg(r.number)})" title="Download receipt">⬇️</button>
+                    ${!r.voidedAt && canUser('void') ? `<button class="btn-row-action" onclick="voidReceiptFromList(${jsArg(r.number)})" title="Void this transaction">🚫</button>` : ''}
+                </span>
+            </li>
+        `).join('');
+}
+
+// Older transactions than the scanner's recent list can only be voided by roles with the void permission
+function voidReceiptFromList(number) {
+    if (!requirePermission('void')) return;
+    const reason = prompt(`Why void ${number}? Its items go back into stock.`);
+    if (reason === null) return;
+    const result = clothifyReceipts.voidReceipt(number, reason);
+    if (!result.success) {
+        alert(result.errors.join('\n'));
+        return;
+    }
+    updateReceiptsDisplay();
+    updateZReportPreview();
+    updateReorderAlerts();
+    refreshInventoryView();
+}
+
+function updateZReportPreview() {
+    const totals = clothifyReceipts.getCurrentTotals(clothifyInventory.currentLocation);
+    const money = (amount) => clothifyReceipts.formatMoney(amount);
+    const rows = [
+        ['Open since', totals.openedAt ? new Date(totals.openedAt).toLocaleString() : '—'],
+        ['Receipts', totals.receiptCount],
+        ['Units sold', totals.unitsSold],
+        ['Net sales', `${money(totals.netSales)}${totals.discounts > 0 ? ` (after ${money(totals.discounts)} discounts)` : ''}`],
+        ['Returns', `${totals.returns.count} · ${money(-totals.returns.amount)}`],
+        ['Voids', `${totals.voids.count} · ${money(totals.voids.amount)}`],
+        ...(totals.lateVoids.count > 0 ? [['Earlier voided', `${totals.lateVoids.count} · ${money(-totals.lateVoids.amount)}`]] : []),
+        ...Object.entries(totals.payments).map(([method, payment]) => [PAYMENT_METHODS[method], money(payment.net)]),
+        ['Net takings', `<strong>${money(totals.net)}</strong>`]
+    ];
+    document.getElementById('z-location').textContent = clothifyLocations.getCurrentLocation().name;
+    document.getElementById('z-preview').innerHTML = rows.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('');
+    document.getElementById('z-reports-list').innerHTML = clothifyReceipts.reports.length === 0
+        ? '<li class="alert-item">No days closed yet.</li>'
+        : clothifyReceipts.getReports().map(z => `
+            <li class="alert-item">
+                <span>
+                    <strong>${z.number}</strong> · ${escapeHTML(clothifyLocations.getLocationName(z.location))} · ${money(z.net)}
+                    <div style="font-size: 13px; color: var(--text-secondary);">
+                        Closed ${new Date(z.closedAt).toLocaleString()} · ${z.receiptCount} receipt(s)${z.cashDifference ? ` · cash ${z.cashDifference < 0 ? 'short' : 'over'} ${money(Math.abs(z.cashDifference))}` : ''}
+                    </div>
+                </span>
+                <span>
+                    <button class="btn-row-action" onclick="printZReport(${jsArg(z.number)})" title="Reprint Z-report">🖨️</button>
+                    <button class="btn-row-action" onclick="downloadZReport(${jsArg(z.number)})" title="Download Z-report">⬇️</button>
+                </span>
+            </li>
+        `).join('');
+}
+
+function closeDay() {
+    if (!requirePermission('till')) return;
+    const location = clothifyLocations.getCurrentLocation();
+    const errorBox = document.getElementById('z-errors');
+    if (!confirm(`Close the day at ${location.name}? The Z-report can't be undone.`)) return;
+    const result = clothifyReceipts.closeDay(location.id, document.getElementById('z-counted-cash').value);
+    if (!result.success) {
+        errorBox.innerHTML = result.errors.map(e => `<div>❌ ${escapeHTML(e)}</div>`).join('');
+        errorBox.style.display = 'block';
+        return;
     }
+    errorBox.style.display = 'none';
+    document.getElementById('z-counted-cash').value = '';
+    updateZReportPreview();
+    updateReceiptsDisplay();
+    printZReport(result.report.number);
+}
 
-    startCooldown(duration) {
-        this.scanCooldown = true;
-        let timeLeft = duration / 1000;
-        this.updateStatus(`Cooldown... Next scan in ${timeLeft}s...`, 'ready');
+function printZReport(number) {
+    const report = clothifyReceipts.getReport(number);
+    if (report) printReceiptLines(`Z-report ${report.number}`, clothifyReceipts.formatZReport(report));
+}
 
-        const countdownInterval = setInterval(() => {
-            timeLeft--;
-            if (timeLeft > 0) {
-                 this.updateStatus(`Cooldown... Next scan in ${timeLeft}s...`, 'ready');
-            } else {
-                clearInterval(countdownInterval);
-                this.scanCooldown = false;
-                this.updateStatus('Ready to scan...', 'ready');
-            }
-        }, 1000);
-    }
+function downloadZReport(number) {
+    const report = clothifyReceipts.getReport(number);
+    if (report) downloadReceiptLines(`clothify_z_report_${report.number}`, clothifyReceipts.formatZReport(report));
+}
 
-    updateStatus(message, type) {
-        const statusElement = document.getElementById('scanner-status');
-        statusElement.textContent = message;
-        statusElement.className = `scanner-status ${type}`;
+function loadReceiptSettingsForm() {
+    const settings = clothifyReceipts.getSettings();
+    document.getElementById('receipt-store-name').value = settings.storeName;
+    document.getElementById('receipt-address').value = settings.address;
+    document.getElementById('receipt-phone').value = settings.phone;
+    document.getElementById('receipt-footer').value = settings.footer;
+    document.getElementById('receipt-preview').textContent = clothifyReceipts.formatHeader().join('\n');
+}
+
+function saveReceiptSettings() {
+    if (!requirePermission('settings')) return;
+    const result = clothifyReceipts.saveSettings({
+        storeName: document.getElementById('receipt-store-name').value,
+        address: document.getElementById('receipt-address').value,
+        phone: document.getElementById('receipt-phone').value,
+        footer: document.getElementById('receipt-footer').value
+    });
+    const errorBox = document.getElementById('receipt-settings-errors');
+    if (!result.success) {
+        errorBox.innerHTML = result.errors.map(e => `<div>❌ ${escapeHTML(e)}</div>`).join('');
+        errorBox.style.display = 'block';
+        return;
     }
+    errorBox.style.display = 'none';
+    document.getElementById('receipt-preview').textContent = clothifyReceipts.formatHeader().join('\n');
 }
 
-// QR Bulk Page Generator Class
-class ClothifyQRGenerator {
-    constructor() {
-        this.qrPerPage = 20;
+// SKU Settings Functions
+function loadSKUSettingsForm() {
+    const settings = clothifySKUGenerator.settings;
+    document.getElementById('sku-template').value = settings.template;
+    document.getElementById('sku-check-digit').checked = settings.checkDigit;
+    updateSKUPreview();
+    updateSKUMigrationInfo();
+}
+
+function updateSKUPreview() {
+    const template = document.getElementById('sku-template').value;
+    const errors = clothifySKUGenerator.validateTemplate(template);
+    const preview = document.getElementById('sku-preview');
+    if (errors.length > 0) {
+        preview.textContent = `❌ ${errors.join('; ')}`;
+        return;
     }
-    generatePrintablePages(product, quantity) {
-        const loadingOverlay = document.getElementById('loading-overlay');
-        const loadingProgress = document.getElementById('loading-progress');
-        loadingOverlay.classList.add('show');
-        loadingProgress.textContent = `Preparing ${quantity} QR code(s)...`;
-        let printContent = `
-            <!DOCTYPE html>
-            <html lang="en">
-            <head>
-                <meta charset="UTF-8">
-                <title>Print QR Codes - ${product.sku}</title>
-                <style>
-                    @media print {
-                        body { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
-                        .page-break { page-break-before: always; }
-                        .no-print { display: none; }
-                    }
-                    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; }
-                    .page { width: 210mm; height: 297mm; padding: 10mm; box-sizing: border-box; margin: 0 auto; display: grid; grid-template-columns: repeat(4, 1fr); grid-template-rows: repeat(5, 1fr); gap: 5mm; }
-                    .qr-item { text-align: center; border: 1px dashed #ccc; padding: 2mm; display: flex; flex-direction: column; align-items: center; justify-content: center; overflow: hidden; }
-                    .qr-item img { width: 30mm; height: 30mm; }
-                    .qr-item .sku { font-family: monospace; font-weight: bold; font-size: 8pt; margin-top: 2mm; word-break: break-all; }
-                    .qr-item .details { font-size: 7pt; color: #555; }
-                    .print-header { padding: 20px; text-align: center; background-color: #f3f4f6; }
-                </style>
-            </head>
-            <body>
-                <div class="print-header no-print">
-                    <h1>Printing QR Code Labels</h1>
-                    <p><strong>Product:</strong> ${product.design} (${product.size}/${product.color}) - ${product.sku}</p>
-                    <p><strong>Press Ctrl+P or Cmd+P to print.</strong> For best results, enable "Background graphics" and set margins to "Default" in your browser's print settings.</p>
-                </div>
-        `;
-        let qrCount = 0;
-        while(qrCount < quantity) {
-            printContent += `<div class="page">`;
-            const itemsOnThisPage = Math.min(this.qrPerPage, quantity - qrCount);
-            for (let i = 0; i < itemsOnThisPage; i++) {
-                const qrImageUrl = `https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${encodeURIComponent(product.sku)}`;
-                printContent += `
-                    <div class="qr-item">
-                        <img src="${qrImageUrl}" alt="QR Code">
-                        <div class="sku">${product.sku}</div>
-                        <div class="details">${product.design}</div>
-                        <div class="details">${product.size} / ${product.color}</div>
-                    </div>
-                `;
-            }
-            printContent += `</div>`;
-            if(qrCount + itemsOnThisPage < quantity) {
-                 printContent += `<div class="page-break"></div>`;
-            }
-            qrCount += itemsOnThisPage;
-        }
-        printContent += `</body></html>`;
-        const printWindow = window.open('', '_blank');
-        printWindow.document.write(printContent);
-        printWindow.document.close();
-        printWindow.focus();
-        loadingOverlay.classList.remove('show');
+    const settings = { ...clothifySKUGenerator.settings, template, checkDigit: document.getElementById('sku-check-digit').checked };
+    preview.textContent = `Example: ${clothifySKUGenerator.formatSKU('Sunset Tee', 'M', 'Red', 1, settings)}`;
+}
+
+function saveSKUSettings() {
+    if (!requirePermission('settings')) return;
+    const result = clothifySKUGenerator.updateSettings({
+        template: document.getElementById('sku-template').value.trim(),
+        checkDigit: document.getElementById('sku-check-digit').checked
+    });
+    if (!result.success) {
+        alert(result.errors.join('\n'));
+        return;
     }
+    updateSKUPreview();
+    alert('SKU format saved. New products will use it.');
 }
 
+function updateSKUMigrationInfo() {
+    const legacyCount = clothifyInventory.getAllProducts(true).filter(p => !p.skuVersion).length;
+    document.getElementById('sku-migration-info').textContent = legacyCount > 0
+        ? `${legacyCount} product(s) still use legacy random SKUs.`
+        : 'All products use the current SKU scheme.';
+    document.getElementById('sku-migrate-btn').style.display = legacyCount > 0 ? 'inline-block' : 'none';
+}
 
-// Initialize Clothify managers
-const clothifyInventory = new ClothifyInventoryManager();
-const clothifySound = new ClothifySoundManager();
-const clothifyScanner = new ClothifyQRScanner(clothifyInventory, clothifySound);
-const clothifyQRGenerator = new ClothifyQRGenerator();
+function migrateLegacySKUs() {
+    if (!requirePermission('settings')) return;
+    const count = clothifyInventory.getAllProducts(true).filter(p => !p.skuVersion).length;
+    if (!confirm(`Assign new SKUs to ${count} product(s)? Old codes stay valid as aliases, so printed labels keep scanning.`)) return;
+    const mapping = clothifyInventory.migrateLegacySKUs();
+    document.getElementById('sku-migration-result').innerHTML = mapping
+        .map(m => `<div><span style="font-family: monospace;">${escapeHTML(m.oldSku)}</span> → <span style="font-family: monospace;">${escapeHTML(m.newSku)}</span></div>`)
+        .join('');
+    updateSKUMigrationInfo();
+    updateInventoryDisplay();
+}
 
-// Global variables
-let currentModalProduct = null;
+// Reorder Alerts Panel
+function updateReorderAlerts() {
+    const alerts = clothifyReorder.getAlerts();
+    const badge = document.getElementById('inventory-alert-badge');
+    const panel = document.getElementById('reorder-alerts');
 
-// Navigation
-document.querySelectorAll('.nav-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-        const section = btn.dataset.section;
-        document.querySelectorAll('.nav-btn').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        document.querySelectorAll('.section').forEach(s => s.classList.remove('active'));
-        document.getElementById(`${section}-section`).classList.add('active');
-        if (section === 'scan') {
-            clothifyScanner.start();
-        } else {
-            clothifyScanner.stop();
-        }
-        if (section === 'inventory') {
-            updateInventoryDisplay();
-        }
-    });
-});
+    badge.textContent = alerts.length;
+    badge.style.display = alerts.length > 0 ? 'inline-block' : 'none';
+    panel.style.display = alerts.length > 0 ? 'block' : 'none';
+    if (alerts.length === 0) return;
 
-// **MODIFIED** Inventory Display Functions
-function updateInventoryDisplay(products = null) {
-    const tbody = document.getElementById('inventory-tbody');
-    const emptyState = document.getElementById('inventory-empty');
-    const displayProducts = products || clothifyInventory.getAllProducts();
+    document.getElementById('reorder-alerts-list').innerHTML = alerts.map(({ product, status, levels, incoming }) => `
+        <li class="alert-item alert-${status}">
+            <span><strong>${escapeHTML(product.design)}</strong> (${escapeHTML(product.size)}/${escapeHTML(product.color)}) <span style="font-family: monospace; font-size: 12px;">${escapeHTML(product.sku)}</span></span>
+            <span>${status === 'out' ? 'Out of stock' : `${product.stock} left`} · reorder at ${levels.reorderPoint}${incoming > 0 ? ` · ${incoming} on order` : ''}</span>
+        </li>
+    `).join('');
 
-    if (displayProducts.length === 0) {
-        tbody.innerHTML = '';
-        emptyState.style.display = 'block';
-        document.querySelector('.table-wrapper').style.display = 'none';
-    } else {
-        emptyState.style.display = 'none';
-        document.querySelector('.table-wrapper').style.display = 'block';
+    const suggestions = clothifyReorder.getSuggestedPurchaseOrder();
+    document.getElementById('suggested-po-btn').style.display = suggestions.length > 0 ? 'inline-block' : 'none';
+    document.getElementById('suggested-po').innerHTML = suggestions.length === 0
+        ? '<p style="color: var(--text-secondary);">Everything low is already on order.</p>'
+        : suggestions.map(group => `
+        <div class="po-group">
+            <div class="po-group-header"><strong>${escapeHTML(group.design)}</strong><span>${group.totalUnits} units</span></div>
+            ${group.lines.map(line => `
+                <div class="po-line">
+                    <span>${escapeHTML(line.product.size)} / ${escapeHTML(line.product.color)} <span style="font-family: monospace; font-size: 12px;">${escapeHTML(line.product.sku)}</span></span>
+                    <span>${line.quantity}${line.incoming > 0 ? ` <span style="color: var(--text-secondary); font-size: 12px;">(+${line.incoming} on order)</span>` : ''}</span>
+                </div>
+            `).join('')}
+        </div>
+    `).join('');
+}
 
-        tbody.innerHTML = displayProducts.map(product => `
-            <tr>
-                <td style="font-family: monospace; font-size: 12px;">${product.sku}</td>
-                <td><strong>${product.design}</strong></td>
-                <td>${product.size}</td>
-                <td>${product.color}</td>
-                <td>
-                    <span style="font-weight: bold; color: ${product.stock > 5 ? '#10B981' : product.stock > 0 ? '#F59E0B' : '#EF4444'};">
-                        ${product.stock}
-                    </span>
-                </td>
-                <td>${product.sold}</td>
-                <td>
-                    <div class="qr-actions">
-                        <img src="https://api.qrserver.com/v1/create-qr-code/?size=150x150&data=${product.sku}"
-                             class="qr-code-img"
-                             alt="QR Code"
-                             onclick="showQRModal('${product.sku}')"
-                             title="Click to view QR code">
-                    </div>
-                </td>
-            </tr>
-        `).join('');
+// Reorder Settings Modal Functions
+function openReorderModal(sku) {
+    if (!requirePermission('orders')) return;
+    const product = clothifyInventory.getProduct(sku);
+    if (!product) return;
+    const levels = clothifyReorder.getReorderLevels(product);
+    const computed = clothifyReorder.computeReorderLevels(product);
+
+    document.getElementById('reorder-sku').value = sku;
+    document.getElementById('reorder-product-info').textContent = `${product.design} (${product.size}/${product.color}) - SKU: ${product.sku}`;
+    document.getElementById('reorder-auto').checked = levels.mode === 'auto';
+    document.getElementById('reorder-point').value = levels.reorderPoint;
+    document.getElementById('reorder-safety-stock').value = levels.safetyStock;
+    document.getElementById('reorder-lead-time').value = levels.leadTimeDays;
+    document.getElementById('reorder-computed').textContent =
+        `Selling ${computed.velocity.toFixed(2)} units/day → suggested reorder point ${computed.reorderPoint} (safety stock ${computed.safetyStock})`;
+    toggleReorderInputs();
+    document.getElementById('reorder-modal').classList.add('show');
+}
+
+function closeReorderModal() {
+    document.getElementById('reorder-modal').classList.remove('show');
+}
+
+function toggleReorderInputs() {
+    const auto = document.getElementById('reorder-auto').checked;
+    document.getElementById('reorder-point').disabled = auto;
+    document.getElementById('reorder-safety-stock').disabled = auto;
+}
+
+function saveReorderSettings() {
+    const sku = document.getElementById('reorder-sku').value;
+    const auto = document.getElementById('reorder-auto').checked;
+    const reorderPoint = document.getElementById('reorder-point').value;
+    if (!auto && (reorderPoint === '' || parseInt(reorderPoint) < 0)) {
+        alert('Please enter a reorder point of 0 or more');
+        return;
     }
+    clothifyReorder.setReorderLevels(
+        sku,
+        auto ? null : reorderPoint,
+        document.getElementById('reorder-safety-stock').value,
+        document.getElementById('reorder-lead-time').value
+    );
+    closeReorderModal();
+    updateInventoryDisplay();
 }
 
 // QR Code Viewer Modal Functions
@@ -383,7 +4809,7 @@ function showQRModal(sku) {
     const img = document.getElementById('qr-viewer-img');
     const downloadBtn = document.getElementById('qr-viewer-download-btn');
 
-    img.src = `https://api.qrserver.com/v1/create-qr-code/?size=500x500&data=${encodeURIComponent(sku)}`;
+    img.src = QRCodeGenerator.generateDataURL(sku, 500);
     
     downloadBtn.onclick = () => downloadSingleQR(sku);
 
@@ -398,76 +4824,620 @@ function hideQRModal() {
 // Single QR download (called from modal)
 function downloadSingleQR(sku) {
     const link = document.createElement('a');
-    link.href = `https://api.qrserver.com/v1/create-qr-code/?size=500x500&data=${encodeURIComponent(sku)}`;
+    link.href = QRCodeGenerator.generateDataURL(sku, 500);
     link.download = `Clothify_QR_${sku}.png`;
     link.click();
 }
 
 // QR Bulk Modal Functions
-function openQRModal(sku) {
-    const product = clothifyInventory.getAllProducts().find(p => p.sku === sku);
+const MAX_LABELS_PER_JOB = 2000;
+
+function openQRModal(sku, quantity = null) {
+    const product = clothifyInventory.getProduct(sku);
     if (!product) return;
-    currentModalProduct = product;
-    const modal = document.getElementById('qr-modal');
-    const productInfo = document.getElementById('modal-product-info');
-    const quantityInput = document.getElementById('qr-quantity');
-    productInfo.textContent = `Product: ${product.design} (${product.size}/${product.color}) - SKU: ${product.sku}`;
-    quantityInput.value = product.stock || 1;
-    quantityInput.max = 500;
-    updatePageCalculation();
-    modal.classList.add('show');
+    openLabelBatchModal([{ sku, quantity: quantity || clothifyInventory.getLastReceivedQuantity(sku) || product.stock || 1 }]);
+}
+
+// lines: [{ sku, quantity }], e.g. a delivery that just came in
+function openLabelBatchModal(lines) {
+    labelBatch = lines.filter(line => clothifyInventory.getProduct(line.sku)).map(line => ({ ...line }));
+    if (labelBatch.length === 0) return;
+    const units = labelBatch.reduce((sum, line) => sum + line.quantity, 0);
+    document.getElementById('modal-product-info').textContent = labelBatch.length === 1
+        ? `Product: ${describeLabelLine(labelBatch[0])} - SKU: ${labelBatch[0].sku}`
+        : `${labelBatch.length} products · ${units} labels`;
+    document.getElementById('qr-template').innerHTML = labelTemplateOptions(clothifyLabelTemplates.getSelectedTemplate().id);
+    document.getElementById('qr-start-position').value = 1;
+    document.getElementById('qr-separators').checked = false;
+    loadLabelPrinterForm();
+    updateLabelBatchDisplay();
+    document.getElementById('qr-modal').classList.add('show');
 }
 
 function closeQRModal() {
     document.getElementById('qr-modal').classList.remove('show');
-    currentModalProduct = null;
+    labelBatch = [];
+}
+
+function describeLabelLine(line) {
+    const product = clothifyInventory.getProduct(line.sku);
+    return `${product.design} (${product.size}/${product.color})`;
+}
+
+function updateLabelBatchDisplay() {
+    document.getElementById('label-batch-tbody').innerHTML = labelBatch.map(line => `
+        <tr>
+            <td><strong>${escapeHTML(describeLabelLine(line))}</strong><div style="font-family: monospace; font-size: 12px;">${escapeHTML(line.sku)}</div></td>
+            <td><input type="number" min="0" value="${line.quantity}" style="width: 80px;" oninput="setLabelBatchQuantity(${jsArg(line.sku)}, this.value)"></td>
+            <td>${labelBatch.length > 1 ? `<button class="btn-row-action" onclick="removeLabelBatchLine(${jsArg(line.sku)})" title="Remove">🗑️</button>` : ''}</td>
+        </tr>
+    `).join('');
+    updatePageCalculation();
+}
+
+function setLabelBatchQuantity(sku, value) {
+    const line = labelBatch.find(l => l.sku === sku);
+    if (line) line.quantity = Math.max(parseInt(value) || 0, 0);
+    updatePageCalculation();
+}
+
+function removeLabelBatchLine(sku) {
+    labelBatch = labelBatch.filter(line => line.sku !== sku);
+    updateLabelBatchDisplay();
+}
+
+function getLabelBatchLines() {
+    return labelBatch
+        .filter(line => line.quantity > 0)
+        .map(line => ({ product: clothifyInventory.getProduct(line.sku), quantity: line.quantity }));
+}
+
+function printSelectedLabels() {
+    openLabelBatchModal([...selectedSkus].map(sku => ({ sku, quantity: clothifyInventory.getLastReceivedQuantity(sku) || 1 })));
+}
+
+function printTodaysDeliveryLabels() {
+    const today = new Date();
+    const lines = clothifyInventory.getReceivedSince(new Date(today.getFullYear(), today.getMonth(), today.getDate()));
+    if (lines.length === 0) {
+        alert('No stock has been received today.');
+        return;
+    }
+    openLabelBatchModal(lines);
+}
+
+function describeLabelTemplate(template) {
+    const perPage = clothifyLabelTemplates.getLabelsPerPage(template);
+    if (template.paper === 'roll') {
+        return `ℹ️ One ${template.labelWidth} × ${template.labelHeight} mm label per roll page`;
+    }
+    return `ℹ️ ${perPage} label${perPage > 1 ? 's' : ''} per ${LABEL_PAPER_SIZES[template.paper].name} page (${template.rows} rows × ${template.columns} columns)`;
 }
 
 function updatePageCalculation() {
-    const quantity = parseInt(document.getElementById('qr-quantity').value) || 0;
-    const pages = Math.ceil(quantity / 20);
+    const template = clothifyLabelTemplates.getTemplate(document.getElementById('qr-template').value);
+    const perPage = clothifyLabelTemplates.getLabelsPerPage(template);
+    const startInput = document.getElementById('qr-start-position');
+    startInput.max = perPage;
+    const startPosition = Math.min(Math.max(parseInt(startInput.value) || 1, 1), perPage);
+    const separators = document.getElementById('qr-separators').checked;
+    const lines = getLabelBatchLines();
+    const quantity = clothifyQRGenerator.countLabels(lines, separators);
+    const pages = clothifyQRGenerator.countPages(template, quantity, startPosition);
     const pageCalc = document.getElementById('page-calculation');
+    document.getElementById('qr-template-info').textContent = describeLabelTemplate(template);
     if (quantity > 0) {
-        pageCalc.textContent = `This will generate ${pages} page${pages > 1 ? 's' : ''} (${quantity} label${quantity > 1 ? 's' : ''})`;
+        pageCalc.textContent = `This will generate ${pages} page${pages > 1 ? 's' : ''} (${quantity} label${quantity > 1 ? 's' : ''}${separators ? ' including separators' : ''})`;
     } else {
         pageCalc.textContent = 'Enter a quantity greater than 0.';
     }
+    renderLabelPreview('qr-label-preview', lines, template, startPosition, separators);
 }
 
-// Main function to generate bulk QR labels
-function generateBulkQR() {
-    if (!currentModalProduct) return;
-    const quantity = parseInt(document.getElementById('qr-quantity').value) || 0;
+// Checks the job in the label modal, telling the user what's wrong; returns null if it can't be printed
+function readLabelJob() {
+    const lines = getLabelBatchLines();
+    const separators = document.getElementById('qr-separators').checked;
+    const quantity = clothifyQRGenerator.countLabels(lines, separators);
     if (quantity < 1) {
         alert('Please enter a valid quantity (minimum 1)');
-        return;
+        return null;
+    }
+    if (quantity > MAX_LABELS_PER_JOB) {
+        alert(`Maximum ${MAX_LABELS_PER_JOB} labels in one print job for performance reasons. Please print the delivery in parts.`);
+        return null;
+    }
+    const template = clothifyLabelTemplates.getTemplate(document.getElementById('qr-template').value);
+    const startPosition = parseInt(document.getElementById('qr-start-position').value) || 1;
+    if (startPosition < 1 || startPosition > clothifyLabelTemplates.getLabelsPerPage(template)) {
+        alert(`Start position must be between 1 and ${clothifyLabelTemplates.getLabelsPerPage(template)} for ${template.name}.`);
+        return null;
     }
-    if (quantity > 500) {
-        alert('Maximum 500 QR codes at once for performance reasons. Please enter a smaller quantity.');
+    clothifyLabelTemplates.selectTemplate(template.id);
+    return { lines, template, startPosition, separators, quantity };
+}
+
+// Main function to generate bulk QR labels
+function generateBulkQR() {
+    const job = readLabelJob();
+    if (!job) return;
+    const result = clothifyQRGenerator.generatePDF(job.lines, job.template, job.startPosition, job.separators);
+    if (!result.success) {
+        alert(result.errors.join('\n'));
         return;
     }
     closeQRModal();
-    clothifyQRGenerator.generatePrintablePages(currentModalProduct, quantity);
+}
+
+function loadLabelPrinterForm() {
+    const printer = clothifyZPL.printer;
+    document.getElementById('zpl-host').value = printer.host;
+    document.getElementById('zpl-port').value = printer.port;
+    document.getElementById('zpl-dpi').innerHTML = ZPL_DPI_OPTIONS.map(dpi =>
+        `<option value="${dpi}" ${dpi === printer.dpi ? 'selected' : ''}>${dpi} dpi</option>`
+    ).join('');
+    document.getElementById('zpl-server-url').value = printer.serverUrl || clothifySync.config.serverUrl || clothifyStore.config.serverUrl || location.origin;
+    document.getElementById('zpl-errors').style.display = 'none';
+    document.getElementById('zpl-status').textContent = '';
+}
+
+function readLabelPrinterForm() {
+    return {
+        host: document.getElementById('zpl-host').value,
+        port: document.getElementById('zpl-port').value,
+        dpi: document.getElementById('zpl-dpi').value,
+        serverUrl: document.getElementById('zpl-server-url').value
+    };
+}
+
+function saveLabelsZPL() {
+    const job = readLabelJob();
+    if (!job) return;
+    const dpi = parseInt(document.getElementById('zpl-dpi').value);
+    const fileName = job.lines.length === 1
+        ? `clothify_labels_${job.lines[0].product.sku}.zpl`
+        : `clothify_labels_${new Date().toISOString().split('T')[0]}.zpl`;
+    downloadFile(fileName, clothifyZPL.generateZPL(job.lines, job.template, job.separators, dpi), 'text/plain');
+    closeQRModal();
+}
+
+async function sendLabelsToPrinter() {
+    const job = readLabelJob();
+    if (!job) return;
+    const errorBox = document.getElementById('zpl-errors');
+    const status = document.getElementById('zpl-status');
+    const showErrors = (errors) => {
+        errorBox.innerHTML = errors.map(e => `<div>❌ ${escapeHTML(e)}</div>`).join('');
+        errorBox.style.display = 'block';
+        status.textContent = '';
+    };
+    const saved = clothifyZPL.savePrinter(readLabelPrinterForm());
+    if (!saved.success) {
+        showErrors(saved.errors);
+        return;
+    }
+    errorBox.style.display = 'none';
+    status.textContent = `Sending ${job.quantity} label(s) to ${saved.printer.host}...`;
+    const result = await clothifyZPL.sendToPrinter(clothifyZPL.generateZPL(job.lines, job.template, job.separators));
+    if (!result.success) {
+        showErrors(result.errors);
+        return;
+    }
+    status.textContent = `✅ Sent ${job.quantity} label(s) to ${saved.printer.host}:${saved.printer.port}`;
+}
+
+// Label Template Functions
+const LABEL_PREVIEW_WIDTH_PX = 260;
+const PX_PER_MM = 96 / 25.4;
+const LABEL_PREVIEW_PRODUCT = { sku: 'SAMP-M-RED-001', design: 'Sample Tee', size: 'M', color: 'Red', price: 29.99 };
+
+function labelTemplateOptions(selectedId) {
+    return clothifyLabelTemplates.getTemplates().map(t =>
+        `<option value="${escapeHTML(t.id)}" ${t.id === selectedId ? 'selected' : ''}>${escapeHTML(t.name)}${t.builtIn ? '' : ' (custom)'}</option>`
+    ).join('');
+}
+
+// Shows the first page scaled down; empty slots are outlined so the start position is visible
+function renderLabelPreview(containerId, lines, template, startPosition = 1, separators = false) {
+    const page = clothifyLabelTemplates.getPageSize(template);
+    const scale = Math.min(1, LABEL_PREVIEW_WIDTH_PX / (page.width * PX_PER_MM));
+    const [firstPage] = clothifyQRGenerator.renderPages(lines, template, startPosition, { separators, outlineEmpty: true, maxPages: 1 });
+    document.getElementById(containerId).innerHTML = `
+        <div style="width: ${page.width * PX_PER_MM * scale}px; height: ${page.height * PX_PER_MM * scale}px; overflow: hidden;">
+            <div style="transform: scale(${scale}); transform-origin: top left;">${firstPage}</div>
+        </div>
+    `;
+}
+
+function loadLabelTemplateForm(selectedId = clothifyLabelTemplates.getSelectedTemplate().id) {
+    const select = document.getElementById('label-template-select');
+    select.innerHTML = labelTemplateOptions(selectedId);
+    const template = clothifyLabelTemplates.getTemplate(select.value);
+
+    document.getElementById('label-template-name').value = template.name;
+    document.getElementById('label-template-paper').value = template.paper;
+    document.getElementById('label-template-code').value = template.code || 'qr';
+    LABEL_TEMPLATE_NUMBER_FIELDS.forEach(field => {
+        document.getElementById(`label-template-${field}`).value = template[field];
+    });
+    document.getElementById('label-template-fields').innerHTML = Object.entries(LABEL_FIELDS).map(([field, name]) => `
+        <label style="display: flex; gap: 6px; align-items: center; font-weight: normal;">
+            <input type="checkbox" class="label-field" value="${field}" ${template.fields.includes(field) ? 'checked' : ''} style="width: auto;">
+            ${name}
+        </label>
+    `).join('');
+    document.getElementById('label-template-note').textContent = template.builtIn
+        ? 'Built-in template: saving stores your changes as a new custom template.'
+        : '';
+    document.getElementById('label-template-delete-btn').style.display = template.builtIn ? 'none' : '';
+    document.getElementById('label-store-name').value = clothifyLabelTemplates.settings.storeName;
+    document.getElementById('label-logo-current').innerHTML = clothifyLabelTemplates.settings.logo
+        ? `<img src="${escapeHTML(clothifyLabelTemplates.settings.logo)}" alt="Logo" style="max-height: 40px;">
+           <button class="btn-secondary" onclick="clearLabelLogo()">Remove logo</button>`
+        : '';
+    updateLabelTemplatePreview();
+}
+
+function readLabelTemplateForm() {
+    const fields = {
+        name: document.getElementById('label-template-name').value,
+        paper: document.getElementById('label-template-paper').value,
+        code: document.getElementById('label-template-code').value,
+        fields: [...document.querySelectorAll('#label-template-fields .label-field:checked')].map(input => input.value)
+    };
+    LABEL_TEMPLATE_NUMBER_FIELDS.forEach(field => {
+        fields[field] = document.getElementById(`label-template-${field}`).value;
+    });
+    return fields;
+}
+
+function updateLabelTemplatePreview() {
+    const id = document.getElementById('label-template-select').value;
+    const template = clothifyLabelTemplates.normalizeTemplate(readLabelTemplateForm());
+    const errors = clothifyLabelTemplates.validateTemplate({ ...template, name: template.name || 'Preview' }, id);
+    const errorBox = document.getElementById('label-template-errors');
+    if (errors.length > 0) {
+        errorBox.innerHTML = errors.map(e => `<div>❌ ${escapeHTML(e)}</div>`).join('');
+        errorBox.style.display = 'block';
+        document.getElementById('label-template-preview').innerHTML = '';
+        return;
+    }
+    errorBox.style.display = 'none';
+    const product = clothifyInventory.getAllProducts()[0] || LABEL_PREVIEW_PRODUCT;
+    renderLabelPreview('label-template-preview', [{ product, quantity: clothifyLabelTemplates.getLabelsPerPage(template) }], template);
+}
+
+function saveLabelTemplate() {
+    if (!requirePermission('settings')) return;
+    const current = clothifyLabelTemplates.getTemplate(document.getElementById('label-template-select').value);
+    const fields = readLabelTemplateForm();
+    if (current.builtIn && fields.name.trim() === current.name) fields.name = `${current.name} (copy)`;
+    const result = clothifyLabelTemplates.saveTemplate(fields, current.builtIn ? null : current.id);
+    if (!result.success) {
+        const errorBox = document.getElementById('label-template-errors');
+        errorBox.innerHTML = result.errors.map(e => `<div>❌ ${escapeHTML(e)}</div>`).join('');
+        errorBox.style.display = 'block';
+        return;
+    }
+    clothifyLabelTemplates.selectTemplate(result.template.id);
+    loadLabelTemplateForm(result.template.id);
+}
+
+function deleteLabelTemplate() {
+    if (!requirePermission('settings')) return;
+    const template = clothifyLabelTemplates.getTemplate(document.getElementById('label-template-select').value);
+    if (!template || template.builtIn || !confirm(`Delete the label template ${template.name}?`)) return;
+    clothifyLabelTemplates.deleteTemplate(template.id);
+    loadLabelTemplateForm();
+}
+
+function saveLabelStoreName() {
+    if (!requirePermission('settings')) return;
+    clothifyLabelTemplates.updateBranding(document.getElementById('label-store-name').value, clothifyLabelTemplates.settings.logo);
+    updateLabelTemplatePreview();
+}
+
+// The logo is stored with the settings as a data URL, so it is kept small
+function handleLabelLogoFile(file) {
+    if (!requirePermission('settings')) return;
+    if (file.size > 200 * 1024) {
+        alert('Please choose a logo under 200 KB.');
+        document.getElementById('label-logo').value = '';
+        return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+        clothifyLabelTemplates.updateBranding(clothifyLabelTemplates.settings.storeName, reader.result);
+        document.getElementById('label-logo').value = '';
+        loadLabelTemplateForm(document.getElementById('label-template-select').value);
+    };
+    reader.readAsDataURL(file);
+}
+
+function clearLabelLogo() {
+    if (!requirePermission('settings')) return;
+    clothifyLabelTemplates.updateBranding(clothifyLabelTemplates.settings.storeName, '');
+    loadLabelTemplateForm(document.getElementById('label-template-select').value);
+}
+// User Functions
+function canUser(permission) {
+    return clothifyUsers.can(permission);
+}
+
+function requirePermission(permission) {
+    const errors = clothifyUsers.permissionErrors(permission);
+    if (errors.length === 0) return true;
+    alert(errors[0]);
+    return false;
+}
+
+// Hides whatever the signed-in role can't use; data-permission lists permissions of which any one is enough
+function applyPermissions() {
+    document.querySelectorAll('[data-permission]').forEach(el => {
+        const allowed = el.dataset.permission.split(' ').some(permission => canUser(permission));
+        el.classList.toggle('no-permission', !allowed);
+    });
+
+    const activeNav = document.querySelector('.nav-btn.active');
+    if (activeNav && activeNav.classList.contains('no-permission')) {
+        const firstAllowed = document.querySelector('.nav-btn:not(.no-permission)');
+        if (firstAllowed) firstAllowed.click();
+    }
+    if (!clothifyScanner.canScan()) {
+        const mode = SCANNER_MODES.find(m => clothifyScanner.canScan(m));
+        if (mode) setScannerMode(mode);
+    }
+}
+
+function applyCurrentUser() {
+    const user = clothifyUsers.getCurrentUser();
+    clothifyLedger.userId = user ? user.id : null;
+    document.getElementById('current-user').textContent = user ? `👤 ${user.name} · ${USER_ROLES[user.role]}` : '';
+    applyPermissions();
+    updateInventoryDisplay();
+    if (!user) {
+        clothifyScanner.stop();
+        showLoginScreen();
+    }
+}
+
+function showLoginScreen() {
+    const setup = !clothifyUsers.hasUsers();
+    document.getElementById('login-info').textContent = setup
+        ? 'Welcome! Create the owner account to get started.'
+        : 'Sign in to continue.';
+    document.getElementById('login-panel').style.display = setup ? 'none' : 'block';
+    document.getElementById('setup-panel').style.display = setup ? 'block' : 'none';
+    document.getElementById('login-btn').style.display = setup ? 'none' : 'inline-block';
+    document.getElementById('setup-btn').style.display = setup ? 'inline-block' : 'none';
+    document.getElementById('login-user').innerHTML = clothifyUsers.getActiveUsers()
+        .map(u => `<option value="${escapeHTML(u.id)}">${escapeHTML(u.name)}</option>`).join('');
+    document.getElementById('login-pin').value = '';
+    document.getElementById('login-errors').style.display = 'none';
+    document.getElementById('login-modal').classList.add('show');
+}
+
+function showLoginErrors(errors) {
+    const errorBox = document.getElementById('login-errors');
+    errorBox.innerHTML = errors.map(e => `<div>❌ ${escapeHTML(e)}</div>`).join('');
+    errorBox.style.display = 'block';
+}
+
+async function signIn() {
+    const result = await clothifyUsers.signIn(document.getElementById('login-user').value, document.getElementById('login-pin').value);
+    if (!result.success) {
+        document.getElementById('login-pin').value = '';
+        showLoginErrors(result.errors);
+        return;
+    }
+    document.getElementById('login-modal').classList.remove('show');
+    applyCurrentUser();
+}
+
+async function createOwnerAccount() {
+    const pin = document.getElementById('setup-pin').value;
+    if (pin !== document.getElementById('setup-pin-confirm').value) {
+        showLoginErrors(['The PINs don\'t match']);
+        return;
+    }
+    const result = await clothifyUsers.saveUser({ name: document.getElementById('setup-name').value, role: 'owner', pin });
+    if (!result.success) {
+        showLoginErrors(result.errors);
+        return;
+    }
+    await clothifyUsers.signIn(result.user.id, pin);
+    document.getElementById('login-modal').classList.remove('show');
+    applyCurrentUser();
+}
+
+function lockPortal() {
+    clothifyUsers.signOut();
+    // The next person shouldn't be able to undo someone else's scans
+    clothifyScanner.recentScans = [];
+    hideScanUndo();
+    updateRecentScansDisplay();
+    applyCurrentUser();
+}
+
+function describeRolePermissions() {
+    const role = document.getElementById('user-role').value;
+    document.getElementById('user-role-permissions').textContent = `${USER_ROLES[role]}s can: ${ROLE_PERMISSIONS[role].map(p => USER_PERMISSIONS[p].toLowerCase()).join('; ')}.`;
+}
+
+function updateUsersDisplay() {
+    const current = clothifyUsers.getCurrentUser();
+    document.getElementById('users-list').innerHTML = clothifyUsers.getUsers().map(u => `
+        <li class="alert-item">
+            <span>
+                <strong>${escapeHTML(u.name)}</strong> · ${USER_ROLES[u.role]}${u.disabled ? ' · disabled' : ''}${current && u.id === current.id ? ' · you' : ''}
+            </span>
+            <button class="btn-row-action" onclick="editUser(${jsArg(u.id)})" title="Edit user">✏️</button>
+        </li>
+    `).join('');
+    document.getElementById('audit-user').innerHTML = '<option value="">Everyone</option>'
+        + clothifyUsers.getUsers().map(u => `<option value="${escapeHTML(u.id)}">${escapeHTML(u.name)}</option>`).join('');
+}
+
+function resetUserForm() {
+    document.getElementById('user-id').value = '';
+    document.getElementById('user-name').value = '';
+    document.getElementById('user-role').value = 'cashier';
+    document.getElementById('user-pin').value = '';
+    document.getElementById('user-pin').placeholder = '';
+    document.getElementById('user-disabled').checked = false;
+    document.getElementById('user-errors').style.display = 'none';
+    describeRolePermissions();
+}
+
+function editUser(id) {
+    const user = clothifyUsers.getUser(id);
+    if (!user) return;
+    resetUserForm();
+    document.getElementById('user-id').value = user.id;
+    document.getElementById('user-name').value = user.name;
+    document.getElementById('user-role').value = user.role;
+    document.getElementById('user-pin').placeholder = 'Leave blank to keep the current PIN';
+    document.getElementById('user-disabled').checked = !!user.disabled;
+    describeRolePermissions();
+}
+
+async function saveUserAccount() {
+    if (!requirePermission('users')) return;
+    const result = await clothifyUsers.saveUser({
+        id: document.getElementById('user-id').value,
+        name: document.getElementById('user-name').value,
+        role: document.getElementById('user-role').value,
+        pin: document.getElementById('user-pin').value,
+        disabled: document.getElementById('user-disabled').checked
+    });
+    if (!result.success) {
+        const errorBox = document.getElementById('user-errors');
+        errorBox.innerHTML = result.errors.map(e => `<div>❌ ${escapeHTML(e)}</div>`).join('');
+        errorBox.style.display = 'block';
+        return;
+    }
+    resetUserForm();
+    updateUsersDisplay();
+    updateAuditLog();
+    // Editing yourself can change what you're allowed to do
+    if (clothifyUsers.getCurrentUser() === result.user) applyCurrentUser();
+}
+
+function describeAuditProduct(sku) {
+    const product = clothifyInventory.getProduct(sku);
+    return product ? `${product.design} (${product.size}/${product.color}) · ${sku}` : sku;
+}
+
+// Stock movements, product changes and account activity merged into one timeline
+function getAuditEntries() {
+    const stockLabels = {
+        sale: 'Sold', restock: 'Received', return: 'Returned', adjustment: 'Adjusted stock',
+        'transfer-out': 'Transferred out', 'transfer-in': 'Transferred in'
+    };
+    const voidLabels = { sale: 'sale', return: 'return', restock: 'delivery' };
+    const stock = clothifyLedger.events.map(e => ({
+        type: 'stock',
+        timestamp: e.timestamp,
+        user: e.user,
+        action: e.type === 'void' ? `Voided ${voidLabels[e.voidedType]}` : stockLabels[e.type],
+        details: [
+            `${e.quantity > 0 && e.type === 'adjustment' ? '+' : ''}${e.quantity} × ${describeAuditProduct(e.sku)}`,
+            e.location ? clothifyLocations.getLocationName(e.location) : '',
+            e.purchaseOrderId ? `PO ${e.purchaseOrderId}` : '',
+            e.note || ''
+        ].filter(Boolean).join(' · ')
+    }));
+    const products = clothifyInventory.history.map(h => ({
+        type: 'product',
+        timestamp: h.timestamp,
+        user: h.user,
+        action: 'Product change',
+        details: `${describeAuditProduct(h.sku)} · ${describeProductChange(h)}`
+    }));
+    const accountLabels = {
+        'sign-in': 'Signed in', 'sign-out': 'Signed out', 'sign-in-locked': 'Locked out after wrong PINs',
+        'user-create': 'Created account', 'user-update': 'Changed account'
+    };
+    const accounts = clothifyUsers.log.map(l => ({
+        type: 'account',
+        timestamp: l.timestamp,
+        user: l.user,
+        action: accountLabels[l.action] || l.action,
+        details: [
+            l.target ? clothifyUsers.getUserName(l.target) : '',
+            (l.changes || []).join(', ')
+        ].filter(Boolean).join(' · ')
+    }));
+    return [...stock, ...products, ...accounts].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+function updateAuditLog() {
+    const search = document.getElementById('audit-search').value.trim().toLowerCase();
+    const userId = document.getElementById('audit-user').value;
+    const type = document.getElementById('audit-type').value;
+    const entries = getAuditEntries().filter(entry =>
+        (!userId || entry.user === userId) &&
+        (!type || entry.type === type) &&
+        (!search || `${entry.action} ${entry.details}`.toLowerCase().includes(search)));
+    const shown = entries.slice(0, 300);
+
+    document.getElementById('audit-tbody').innerHTML = shown.length === 0
+        ? '<tr><td colspan="4" style="text-align: center; color: var(--text-secondary);">Nothing recorded yet.</td></tr>'
+        : shown.map(entry => `
+            <tr>
+                <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                <td>${entry.user ? escapeHTML(clothifyUsers.getUserName(entry.user)) : '—'}</td>
+                <td>${escapeHTML(entry.action)}</td>
+                <td>${escapeHTML(entry.details)}</td>
+            </tr>
+        `).join('');
+    document.getElementById('audit-count').textContent = entries.length > shown.length
+        ? `Showing the latest ${shown.length} of ${entries.length} entries.`
+        : `${entries.length} entries.`;
 }
 
 // Event Listeners
 document.getElementById('search-input').addEventListener('input', (e) => {
-    const filtered = clothifyInventory.searchProducts(e.target.value);
+    const filtered = clothifyInventory.searchProducts(e.target.value, showArchivedProducts());
     updateInventoryDisplay(filtered);
 });
 document.getElementById('sort-select').addEventListener('change', (e) => {
-    const sorted = clothifyInventory.sortProducts(e.target.value);
+    const sorted = clothifyInventory.sortProducts(e.target.value, showArchivedProducts());
     updateInventoryDisplay(sorted);
 });
-document.getElementById('qr-quantity').addEventListener('input', updatePageCalculation);
+document.getElementById('show-archived').addEventListener('change', refreshInventoryView);
+document.getElementById('sku-template').addEventListener('input', updateSKUPreview);
+document.getElementById('import-file').addEventListener('change', (e) => {
+    if (e.target.files.length > 0) handleImportFile(e.target.files[0]);
+});
+document.getElementById('sku-check-digit').addEventListener('change', updateSKUPreview);
+document.getElementById('qr-separators').addEventListener('change', updatePageCalculation);
+document.getElementById('select-all-rows').addEventListener('change', (e) => selectAllRows(e.target.checked));
+document.getElementById('qr-template').addEventListener('change', updatePageCalculation);
+document.getElementById('qr-start-position').addEventListener('input', updatePageCalculation);
+document.getElementById('label-template-select').addEventListener('change', (e) => loadLabelTemplateForm(e.target.value));
+document.querySelectorAll('#label-template-name, #label-template-paper, #label-template-code, .label-template-grid input').forEach(input => {
+    input.addEventListener('input', updateLabelTemplatePreview);
+});
+document.getElementById('label-template-fields').addEventListener('change', updateLabelTemplatePreview);
+document.getElementById('label-store-name').addEventListener('change', saveLabelStoreName);
+document.getElementById('label-logo').addEventListener('change', (e) => {
+    if (e.target.files.length > 0) handleLabelLogoFile(e.target.files[0]);
+});
 document.getElementById('add-product-form').addEventListener('submit', (e) => {
     e.preventDefault();
+    if (!requirePermission('receive')) return;
     const design = document.getElementById('design').value;
     const size = document.getElementById('size').value;
     const color = document.getElementById('color').value;
     const stock = document.getElementById('stock').value;
     const price = document.getElementById('price').value;
-    const result = clothifyInventory.addProduct(design, size, color, stock, price);
+    const unitCost = document.getElementById('unit-cost').value;
+    const result = clothifyInventory.addProduct(design, size, color, stock, price, 'manual', unitCost);
+    if (result.errors) {
+        alert(result.errors.join('\n'));
+        return;
+    }
     const successMessage = document.getElementById('add-success-message');
     const messageContent = result.type === 'new'
         ? `✅ New product added: ${result.product.design} (SKU: ${result.product.sku})`
@@ -475,14 +5445,14 @@ document.getElementById('add-product-form').addEventListener('submit', (e) => {
     successMessage.innerHTML = `
         <div class="success-message-content">
             <div>
-                <div>${messageContent}</div>
+                <div>${escapeHTML(messageContent)}</div>
                 <div style="margin-top: 10px;">
-                    <img src="https://api.qrserver.com/v1/create-qr-code/?size=100x100&data=${result.product.sku}" style="background: white; padding: 5px; border-radius: 4px;" alt="QR Code">
+                    <img src="${QRCodeGenerator.generateDataURL(result.product.sku, 100)}" style="background: white; padding: 5px; border-radius: 4px;" alt="QR Code">
                 </div>
             </div>
             <div style="display: flex; flex-direction: column; gap: 8px;">
-                <button class="btn-download-qr" onclick="downloadSingleQR('${result.product.sku}')">🖼️ Download QR</button>
-                <button class="btn-download-qr" onclick="openQRModal('${result.product.sku}')">📄 Generate Labels</button>
+                <button class="btn-download-qr" onclick="downloadSingleQR(${jsArg(result.product.sku)})">🖼️ Download QR</button>
+                <button class="btn-download-qr" onclick="openQRModal(${jsArg(result.product.sku)}, ${parseInt(stock)})">📄 Generate Labels</button>
             </div>
         </div>
     `;
@@ -490,17 +5460,95 @@ document.getElementById('add-product-form').addEventListener('submit', (e) => {
     e.target.reset();
     setTimeout(() => successMessage.classList.remove('show'), 10000);
     updateInventoryDisplay();
+    loadDesignSelector();
 });
 document.getElementById('stop-scanner').addEventListener('click', () => {
     clothifyScanner.stop();
 });
+document.getElementById('cart-mode').addEventListener('change', (e) => setCartMode(e.target.checked));
+document.getElementById('manual-code').addEventListener('input', updateManualCodeOptions);
+document.getElementById('manual-code').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        submitManualCode();
+    }
+});
+document.getElementById('scanner-settings').addEventListener('toggle', (e) => {
+    if (e.target.open) loadScannerCameras();
+});
+document.getElementById('scanner-cooldown').addEventListener('change', toggleScannerCooldownFields);
+// Keyboard-wedge scanners type into whatever has focus; on the scan page with no field focused, that's the scanner
+document.addEventListener('keydown', (e) => {
+    const target = e.target;
+    if (!clothifyScanner || !clothifyScanner.settings.keyboardScanner) return;
+    if (!document.getElementById('scan-section').classList.contains('active') || document.querySelector('.modal.show')) return;
+    if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+    clothifyScanner.handleWedgeKey(e);
+});
+document.querySelectorAll('.mode-btn').forEach(btn => {
+    btn.addEventListener('click', () => setScannerMode(btn.dataset.mode));
+});
 document.getElementById('qr-modal').addEventListener('click', (e) => {
     if (e.target.id === 'qr-modal') closeQRModal();
 });
-document.addEventListener('DOMContentLoaded', () => {
-    updateInventoryDisplay();
+document.getElementById('reorder-modal').addEventListener('click', (e) => {
+    if (e.target.id === 'reorder-modal') closeReorderModal();
+});
+document.getElementById('reorder-auto').addEventListener('change', toggleReorderInputs);
+document.getElementById('edit-modal').addEventListener('click', (e) => {
+    if (e.target.id === 'edit-modal') closeEditModal();
+});
+document.getElementById('transfer-modal').addEventListener('click', (e) => {
+    if (e.target.id === 'transfer-modal') closeTransferModal();
+});
+document.getElementById('receipt-search').addEventListener('input', updateReceiptsDisplay);
+document.querySelectorAll('#audit-search, #audit-user, #audit-type').forEach(input => input.addEventListener('input', updateAuditLog));
+document.getElementById('user-role').addEventListener('change', describeRolePermissions);
+document.getElementById('login-pin').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') signIn();
+});
+document.getElementById('po-modal').addEventListener('click', (e) => {
+    if (e.target.id === 'po-modal') closePurchaseOrderModal();
+});
+document.getElementById('current-location').addEventListener('change', (e) => changeCurrentLocation(e.target.value));
+document.getElementById('storage-backend').addEventListener('change', toggleStorageServerUrl);
+document.getElementById('design-select').addEventListener('change', loadDesignForm);
+document.getElementById('grid-colors').addEventListener('change', renderDesignGrid);
+document.getElementById('design-images').addEventListener('input', renderDesignImages);
+document.addEventListener('DOMContentLoaded', async () => {
     document.body.addEventListener('click', () => clothifySound.initAudioContext(), { once: true });
+    loadStorageSettingsForm();
+    try {
+        await clothifyStore.init();
+    } catch (err) {
+        updateStorageStatus(`❌ Could not load data from ${clothifyStore.adapter.name}: ${err.message}`, 'error');
+        alert(`Could not load inventory data from ${clothifyStore.adapter.name}.\n\n${err.message}\n\nCheck the connection or choose another backend under Add Product → Storage.`);
+        return;
+    }
+    initClothifyManagers();
+    loadLocationSelector();
+    updateLocationsDisplay();
+    updateInventoryDisplay();
+    loadDesignSelector();
+    updatePromotionsDisplay();
+    togglePromotionFields();
+    updateSuppliersDisplay();
+    updatePurchaseOrdersDisplay();
+    updateRecentScansDisplay();
+    loadScannerSettingsForm();
+    loadReceiptSettingsForm();
+    loadLabelTemplateForm();
+    loadSKUSettingsForm();
+    loadSyncSettingsForm();
+    updateUsersDisplay();
+    resetUserForm();
+    applyCurrentUser();
+    clothifySync.start();
+    window.addEventListener('online', () => clothifySync.sync());
+    updateStorageStatus(clothifyStore.migrated.length > 0
+        ? `✅ Using ${clothifyStore.adapter.name}. Moved ${clothifyStore.migrated.length} data set(s) over from localStorage.`
+        : `✅ Using ${clothifyStore.adapter.name}.`, 'ok');
 });
 // Clothify System Info
 console.log('%c🎽 Clothify Inventory System Loaded', 'color: #8B5CF6; font-size: 16px; font-weight: bold');
-console.log('Version: 1.3.0 | Removed bulk button from inventory view.');
\ No newline at end of file
+console.log('Version: 1.26.0 | Scanner settings, manual entry and keyboard-wedge scanners.');
\ No newline at end of file
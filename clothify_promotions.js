@@ -0,0 +1,285 @@
+// Clothify Promotions
+// Version 1.1.0
+// Price rules applied at checkout (percentage off, fixed amount off, buy X get Y free, N for a fixed price),
+// scoped by design, size, colour or SKU and limited to a date range
+
+const PROMOTION_TYPES = { percent: 'Percentage off', fixed: 'Fixed amount off', bogo: 'Buy X get Y free', bundle: 'Bundle price' };
+const PROMOTION_SCOPE_FIELDS = ['design', 'size', 'color', 'sku'];
+
+class ClothifyPromotionManager {
+    constructor(store, inventoryManager = null) {
+        this.store = store;
+        this.storageKey = 'clothify_promotions';
+        this.inventoryManager = inventoryManager;
+        this.promotions = this.store.get(this.storageKey, []);
+    }
+
+    savePromotions() {
+        this.store.set(this.storageKey, this.promotions);
+    }
+
+    // Changing promotions needs the prices permission; without an inventory manager (analytics) nothing is changed anyway
+    permissionErrors() {
+        return this.inventoryManager ? this.inventoryManager.permissionErrors('prices') : [];
+    }
+
+    generatePromotionId() {
+        const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+        return `PRM-${Date.now().toString(36).toUpperCase()}-${random}`;
+    }
+
+    getAllPromotions() {
+        return this.promotions;
+    }
+
+    getPromotion(id) {
+        return this.promotions.find(p => p.id === id);
+    }
+
+    // Dates are whole local days; a promotion ending on the 31st still runs all of the 31st
+    isRunning(promotion, date = new Date()) {
+        if (promotion.paused) return false;
+        const day = (text, offset = 0) => {
+            const [y, m, d] = text.split('-').map(Number);
+            return new Date(y, m - 1, d + offset);
+        };
+        if (promotion.startDate && date < day(promotion.startDate)) return false;
+        if (promotion.endDate && date >= day(promotion.endDate, 1)) return false;
+        return true;
+    }
+
+    getStatus(promotion, date = new Date()) {
+        if (promotion.paused) return 'paused';
+        if (this.isRunning(promotion, date)) return 'running';
+        const [y, m, d] = (promotion.startDate || '').split('-').map(Number);
+        return promotion.startDate && date < new Date(y, m - 1, d) ? 'scheduled' : 'ended';
+    }
+
+    getActivePromotions(date = new Date()) {
+        return this.promotions.filter(p => this.isRunning(p, date));
+    }
+
+    validatePromotion(fields) {
+        const errors = [];
+        const number = (value) => String(value === undefined || value === null ? '' : value).trim() === '' ? NaN : Number(value);
+        if (!String(fields.name || '').trim()) errors.push('Promotion name is required');
+        if (!PROMOTION_TYPES[fields.type]) errors.push(`Unknown promotion type: ${fields.type}`);
+
+        switch (fields.type) {
+            case 'percent':
+                if (!(number(fields.value) > 0 && number(fields.value) <= 100)) errors.push('Percentage must be above 0 and at most 100');
+                break;
+            case 'fixed':
+                if (!(number(fields.value) > 0)) errors.push('Amount off must be greater than 0');
+                break;
+            case 'bogo':
+                if (!(Number.isInteger(number(fields.buyQuantity)) && number(fields.buyQuantity) > 0)) errors.push('Buy quantity must be a whole number above 0');
+                if (!(Number.isInteger(number(fields.getQuantity)) && number(fields.getQuantity) > 0)) errors.push('Free quantity must be a whole number above 0');
+                break;
+            case 'bundle':
+                if (!(Number.isInteger(number(fields.bundleQuantity)) && number(fields.bundleQuantity) > 1)) errors.push('Bundle size must be a whole number of 2 or more');
+                if (!(number(fields.bundlePrice) > 0)) errors.push('Bundle price must be greater than 0');
+                break;
+        }
+
+        const scope = fields.scope || {};
+        if (scope.size && !PRODUCT_SIZES.includes(scope.size)) errors.push(`Size must be one of ${PRODUCT_SIZES.join(', ')}`);
+        if (scope.sku && this.inventoryManager && !this.inventoryManager.getProduct(scope.sku)) errors.push(`SKU not found: ${scope.sku}`);
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        if (fields.startDate && !datePattern.test(fields.startDate)) errors.push('Start date must be a date');
+        if (fields.endDate && !datePattern.test(fields.endDate)) errors.push('End date must be a date');
+        if (fields.startDate && fields.endDate && fields.endDate < fields.startDate) errors.push('End date is before the start date');
+        return errors;
+    }
+
+    // Creates a promotion, or updates the one with fields.id
+    savePromotion(fields) {
+        if (this.permissionErrors().length > 0) return { success: false, errors: this.permissionErrors() };
+        const errors = this.validatePromotion(fields);
+        const existing = fields.id ? this.getPromotion(fields.id) : null;
+        if (fields.id && !existing) errors.push('Promotion not found');
+        if (errors.length > 0) return { success: false, errors };
+
+        const scope = {};
+        PROMOTION_SCOPE_FIELDS.forEach(field => {
+            const value = String((fields.scope || {})[field] || '').trim();
+            if (!value) return;
+            // Barcodes and old SKUs are stored as the product's current SKU
+            scope[field] = field === 'sku' && this.inventoryManager ? this.inventoryManager.getProduct(value).sku : value;
+        });
+        const promotion = {
+            id: existing ? existing.id : this.generatePromotionId(),
+            name: String(fields.name).trim(),
+            type: fields.type,
+            scope,
+            startDate: fields.startDate || '',
+            endDate: fields.endDate || '',
+            createdAt: existing ? existing.createdAt : new Date().toISOString()
+        };
+        if (fields.type === 'percent' || fields.type === 'fixed') promotion.value = parseFloat(fields.value);
+        if (fields.type === 'bogo') {
+            promotion.buyQuantity = parseInt(fields.buyQuantity);
+            promotion.getQuantity = parseInt(fields.getQuantity);
+        }
+        if (fields.type === 'bundle') {
+            promotion.bundleQuantity = parseInt(fields.bundleQuantity);
+            promotion.bundlePrice = parseFloat(fields.bundlePrice);
+        }
+        if (existing && existing.paused) promotion.paused = true;
+
+        if (existing) {
+            this.promotions[this.promotions.indexOf(existing)] = promotion;
+        } else {
+            this.promotions.push(promotion);
+        }
+        this.savePromotions();
+        return { success: true, promotion };
+    }
+
+    setPaused(id, paused) {
+        if (this.permissionErrors().length > 0) return { success: false, errors: this.permissionErrors() };
+        const promotion = this.getPromotion(id);
+        if (!promotion) return { success: false };
+        if (paused) {
+            promotion.paused = true;
+        } else {
+            delete promotion.paused;
+        }
+        this.savePromotions();
+        return { success: true, promotion };
+    }
+
+    // Sales keep the promotion's name, so deleting one doesn't change past reports
+    deletePromotion(id) {
+        if (this.permissionErrors().length > 0) return { success: false, errors: this.permissionErrors() };
+        const promotion = this.getPromotion(id);
+        if (!promotion) return { success: false };
+        this.promotions = this.promotions.filter(p => p.id !== id);
+        this.savePromotions();
+        return { success: true, promotion };
+    }
+
+    describeRule(promotion) {
+        switch (promotion.type) {
+            case 'percent':
+                return `${promotion.value}% off`;
+            case 'fixed':
+                return `$${promotion.value.toFixed(2)} off each`;
+            case 'bogo':
+                return `Buy ${promotion.buyQuantity} get ${promotion.getQuantity} free`;
+            case 'bundle':
+                return `${promotion.bundleQuantity} for $${promotion.bundlePrice.toFixed(2)}`;
+            default:
+                return promotion.type;
+        }
+    }
+
+    describeScope(promotion) {
+        const scope = promotion.scope || {};
+        const parts = [scope.design, scope.size, scope.color, scope.sku].filter(Boolean);
+        return parts.length > 0 ? parts.join(' · ') : 'Everything';
+    }
+
+    matchesScope(promotion, line) {
+        const scope = promotion.scope || {};
+        const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+        return (!scope.design || same(scope.design, line.design)) &&
+            (!scope.size || scope.size === line.size) &&
+            (!scope.color || same(scope.color, line.color)) &&
+            (!scope.sku || scope.sku === line.sku);
+    }
+
+    // What the promotion would take off the given units: [[unit, discount]] for every unit it uses up.
+    // Units come dearest first, so BOGO and bundle groups are made of similarly priced items.
+    evaluate(promotion, units) {
+        const round = (amount) => Math.round(amount * 100) / 100;
+        const allocations = [];
+        switch (promotion.type) {
+            case 'percent':
+                units.forEach(unit => allocations.push([unit, round(unit.price * promotion.value / 100)]));
+                break;
+            case 'fixed':
+                units.forEach(unit => allocations.push([unit, Math.min(promotion.value, unit.price)]));
+                break;
+            case 'bogo': {
+                // The cheapest getQuantity units of each group are free
+                const size = promotion.buyQuantity + promotion.getQuantity;
+                for (let start = 0; start + size <= units.length; start += size) {
+                    units.slice(start, start + size).forEach((unit, i) => allocations.push([unit, i < promotion.buyQuantity ? 0 : unit.price]));
+                }
+                break;
+            }
+            case 'bundle': {
+                // A group's saving is spread over its units in proportion to their price
+                const size = promotion.bundleQuantity;
+                for (let start = 0; start + size <= units.length; start += size) {
+                    const group = units.slice(start, start + size);
+                    const full = group.reduce((sum, unit) => sum + unit.price, 0);
+                    const saving = round(full - promotion.bundlePrice);
+                    if (saving <= 0) continue;
+                    let left = saving;
+                    group.forEach((unit, i) => {
+                        const share = i === group.length - 1 ? left : round(saving * unit.price / full);
+                        left = round(left - share);
+                        allocations.push([unit, share]);
+                    });
+                }
+                break;
+            }
+        }
+        return { allocations, amount: round(allocations.reduce((sum, [, discount]) => sum + discount, 0)) };
+    }
+
+    // lines: [{ sku, design, size, color, unitPrice, quantity }]. Every unit gets at most one promotion;
+    // the promotion that saves the most is applied first, then the next best on the units left over.
+    priceLines(lines, date = new Date()) {
+        const round = (amount) => Math.round(amount * 100) / 100;
+        const units = [];
+        lines.forEach((line, index) => {
+            for (let n = 0; n < line.quantity; n++) units.push({ line: index, price: line.unitPrice, discount: 0, promotion: null });
+        });
+        units.sort((a, b) => b.price - a.price);
+
+        const candidates = this.getActivePromotions(date);
+        while (candidates.length > 0) {
+            let best = null;
+            candidates.forEach(promotion => {
+                const available = units.filter(unit => !unit.promotion && this.matchesScope(promotion, lines[unit.line]));
+                const offer = this.evaluate(promotion, available);
+                if (offer.amount > 0 && (!best || offer.amount > best.amount)) best = { promotion, ...offer };
+            });
+            if (!best) break;
+            best.allocations.forEach(([unit, discount]) => {
+                unit.promotion = best.promotion;
+                unit.discount = discount;
+            });
+            candidates.splice(candidates.indexOf(best.promotion), 1);
+        }
+
+        const summarize = (group) => {
+            const byPromotion = new Map();
+            group.filter(unit => unit.promotion).forEach(unit => {
+                const entry = byPromotion.get(unit.promotion.id) || { id: unit.promotion.id, name: unit.promotion.name, amount: 0, units: 0 };
+                entry.amount = round(entry.amount + unit.discount);
+                entry.units++;
+                byPromotion.set(unit.promotion.id, entry);
+            });
+            return [...byPromotion.values()].filter(entry => entry.amount > 0);
+        };
+
+        const priced = lines.map((line, index) => {
+            const lineUnits = units.filter(unit => unit.line === index);
+            const discount = round(lineUnits.reduce((sum, unit) => sum + unit.discount, 0));
+            return { ...line, discount, total: round(line.unitPrice * line.quantity - discount), promotions: summarize(lineUnits) };
+        });
+        const subtotal = round(lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0));
+        const discount = round(priced.reduce((sum, line) => sum + line.discount, 0));
+        return { lines: priced, applied: summarize(units), subtotal, discount, total: round(subtotal - discount) };
+    }
+
+    // Pricing of a single product sold outside the cart
+    priceProduct(product, quantity = 1, date = new Date()) {
+        const line = { sku: product.sku, design: product.design, size: product.size, color: product.color, unitPrice: product.price, quantity };
+        return this.priceLines([line], date).lines[0];
+    }
+}
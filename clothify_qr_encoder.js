@@ -0,0 +1,437 @@
+// Clothify QR Code Encoder
+// Version 1.0.0
+// Offline QR code generation (byte mode, Reed-Solomon error correction L/M/Q/H, automatic mask selection) rendered to canvas, SVG or PNG data URLs
+
+// Error correction levels: ordinal indexes the capacity tables, formatBits is what gets drawn into the symbol
+const QR_ERROR_CORRECTION = {
+    L: { ordinal: 0, formatBits: 1 },
+    M: { ordinal: 1, formatBits: 0 },
+    Q: { ordinal: 2, formatBits: 3 },
+    H: { ordinal: 3, formatBits: 2 }
+};
+
+// ECC codewords per block, indexed [level][version]
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Number of error correction blocks, indexed [level][version]
+const QR_NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// QR Code symbol (immutable once constructed)
+class ClothifyQRCode {
+    constructor(version, errorCorrection, dataCodewords, mask = -1) {
+        this.version = version;
+        this.errorCorrection = errorCorrection;
+        this.size = version * 4 + 17;
+        this.modules = [];
+        this.isFunction = [];
+        for (let i = 0; i < this.size; i++) {
+            this.modules.push(new Array(this.size).fill(false));
+            this.isFunction.push(new Array(this.size).fill(false));
+        }
+
+        this.drawFunctionPatterns();
+        this.drawCodewords(this.addEccAndInterleave(dataCodewords));
+
+        if (mask === -1) {
+            let minPenalty = Infinity;
+            for (let candidate = 0; candidate < 8; candidate++) {
+                this.applyMask(candidate);
+                this.drawFormatBits(candidate);
+                const penalty = this.getPenaltyScore();
+                if (penalty < minPenalty) {
+                    mask = candidate;
+                    minPenalty = penalty;
+                }
+                this.applyMask(candidate); // XOR again to undo
+            }
+        }
+        this.mask = mask;
+        this.applyMask(mask);
+        this.drawFormatBits(mask);
+        this.isFunction = [];
+    }
+
+    // Encodes text in byte mode (UTF-8) using the smallest version that fits the requested level
+    static encodeText(text, level = 'M') {
+        const ecl = QR_ERROR_CORRECTION[level];
+        if (!ecl) {
+            throw new Error(`Unknown error correction level: ${level}`);
+        }
+
+        const bytes = Array.from(new TextEncoder().encode(String(text)));
+        let version;
+        let dataUsedBits;
+        for (version = 1; ; version++) {
+            const dataCapacityBits = ClothifyQRCode.getNumDataCodewords(version, ecl) * 8;
+            dataUsedBits = 4 + ClothifyQRCode.getCharCountBits(version) + bytes.length * 8;
+            if (dataUsedBits <= dataCapacityBits) break;
+            if (version >= 40) {
+                throw new Error('Data too long for a QR code');
+            }
+        }
+
+        const bits = [];
+        const appendBits = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+        appendBits(0x4, 4); // Byte mode indicator
+        appendBits(bytes.length, ClothifyQRCode.getCharCountBits(version));
+        bytes.forEach(b => appendBits(b, 8));
+
+        const dataCapacityBits = ClothifyQRCode.getNumDataCodewords(version, ecl) * 8;
+        appendBits(0, Math.min(4, dataCapacityBits - bits.length));
+        appendBits(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < dataCapacityBits; pad ^= 0xEC ^ 0x11) {
+            appendBits(pad, 8);
+        }
+
+        const dataCodewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            dataCodewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+        return new ClothifyQRCode(version, ecl, dataCodewords);
+    }
+
+    getModule(x, y) {
+        return x >= 0 && x < this.size && y >= 0 && y < this.size && this.modules[y][x];
+    }
+
+    // Rendering
+    drawToCanvas(canvas, pixelSize, border = 4) {
+        const scale = Math.max(1, Math.floor(pixelSize / (this.size + border * 2)));
+        const offset = Math.floor((pixelSize - scale * this.size) / 2);
+        canvas.width = pixelSize;
+        canvas.height = pixelSize;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, pixelSize, pixelSize);
+        ctx.fillStyle = '#000000';
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) {
+                    ctx.fillRect(offset + x * scale, offset + y * scale, scale, scale);
+                }
+            }
+        }
+        return canvas;
+    }
+
+    toDataURL(pixelSize = 300, canvas = null, border = 4) {
+        const target = canvas || document.createElement('canvas');
+        return this.drawToCanvas(target, pixelSize, border).toDataURL('image/png');
+    }
+
+    toSVGString(border = 4) {
+        const parts = [];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) {
+                    parts.push(`M${x + border},${y + border}h1v1h-1z`);
+                }
+            }
+        }
+        const dimension = this.size + border * 2;
+        return `<svg xmlns="http://www.w3.org/2000/svg" version="1.1" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">` +
+            `<rect width="100%" height="100%" fill="#FFFFFF"/>` +
+            `<path d="${parts.join('')}" fill="#000000"/>` +
+            `</svg>`;
+    }
+
+    toSVGDataURL(border = 4) {
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(this.toSVGString(border))}`;
+    }
+
+    // Function patterns
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(this.size - 4, 3);
+        this.drawFinderPattern(3, this.size - 4);
+
+        const alignPositions = this.getAlignmentPatternPositions();
+        const last = alignPositions.length - 1;
+        alignPositions.forEach((x, i) => {
+            alignPositions.forEach((y, j) => {
+                const overlapsFinder = (i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0);
+                if (!overlapsFinder) {
+                    this.drawAlignmentPattern(x, y);
+                }
+            });
+        });
+
+        this.drawFormatBits(0); // Dummy value, overwritten once the mask is chosen
+        this.drawVersion();
+    }
+
+    drawFormatBits(mask) {
+        const data = this.errorCorrection.formatBits << 3 | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) {
+            rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        }
+        const bits = (data << 10 | rem) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, this.size - 15 + i, bit(i));
+        this.setFunctionModule(8, this.size - 8, true); // Always dark
+    }
+
+    drawVersion() {
+        if (this.version < 7) return;
+
+        let rem = this.version;
+        for (let i = 0; i < 12; i++) {
+            rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        }
+        const bits = this.version << 12 | rem;
+        for (let i = 0; i < 18; i++) {
+            const color = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, color);
+            this.setFunctionModule(b, a, color);
+        }
+    }
+
+    drawFinderPattern(x, y) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx;
+                const yy = y + dy;
+                if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                    this.setFunctionModule(xx, yy, dist !== 2 && dist !== 4);
+                }
+            }
+        }
+    }
+
+    drawAlignmentPattern(x, y) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    setFunctionModule(x, y, isDark) {
+        this.modules[y][x] = isDark;
+        this.isFunction[y][x] = true;
+    }
+
+    getAlignmentPatternPositions() {
+        if (this.version === 1) return [];
+
+        const numAlign = Math.floor(this.version / 7) + 2;
+        const step = Math.floor((this.version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+        const result = [6];
+        for (let pos = this.size - 7; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    }
+
+    // Codewords
+    addEccAndInterleave(data) {
+        const ecl = this.errorCorrection.ordinal;
+        const numBlocks = QR_NUM_ERROR_CORRECTION_BLOCKS[ecl][this.version];
+        const blockEccLen = QR_ECC_CODEWORDS_PER_BLOCK[ecl][this.version];
+        const rawCodewords = Math.floor(ClothifyQRCode.getNumRawDataModules(this.version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+        const divisor = ClothifyQRCode.reedSolomonComputeDivisor(blockEccLen);
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+            k += dat.length;
+            const ecc = ClothifyQRCode.reedSolomonComputeRemainder(dat, divisor);
+            if (i < numShortBlocks) dat.push(0);
+            blocks.push(dat.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding byte in short blocks
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    drawCodewords(data) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing pattern
+            for (let vert = 0; vert < this.size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vert : vert;
+                    if (!this.isFunction[y][x] && i < data.length * 8) {
+                        this.modules[y][x] = ((data[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    // Masking
+    applyMask(mask) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                let invert;
+                switch (mask) {
+                    case 0: invert = (x + y) % 2 === 0; break;
+                    case 1: invert = y % 2 === 0; break;
+                    case 2: invert = x % 3 === 0; break;
+                    case 3: invert = (x + y) % 3 === 0; break;
+                    case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+                    case 5: invert = x * y % 2 + x * y % 3 === 0; break;
+                    case 6: invert = (x * y % 2 + x * y % 3) % 2 === 0; break;
+                    case 7: invert = ((x + y) % 2 + x * y % 3) % 2 === 0; break;
+                    default: throw new Error(`Invalid mask: ${mask}`);
+                }
+                if (!this.isFunction[y][x] && invert) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    getPenaltyScore() {
+        const size = this.size;
+        const finderLike = [
+            [true, false, true, true, true, false, true, false, false, false, false],
+            [false, false, false, false, true, false, true, true, true, false, true]
+        ];
+        const line = (index, horizontal) => this.modules.map((_, i) => horizontal ? this.modules[index][i] : this.modules[i][index]);
+        let result = 0;
+        let dark = 0;
+
+        for (let index = 0; index < size; index++) {
+            [true, false].forEach(horizontal => {
+                const modules = line(index, horizontal);
+
+                // Rule 1: runs of five or more same-colour modules
+                let runLength = 1;
+                for (let i = 1; i <= size; i++) {
+                    if (i < size && modules[i] === modules[i - 1]) {
+                        runLength++;
+                    } else {
+                        if (runLength >= 5) result += 3 + (runLength - 5);
+                        runLength = 1;
+                    }
+                }
+
+                // Rule 3: finder-like 1:1:3:1:1 patterns next to four light modules
+                for (let i = 0; i + 11 <= size; i++) {
+                    finderLike.forEach(pattern => {
+                        if (pattern.every((value, k) => modules[i + k] === value)) result += 40;
+                    });
+                }
+            });
+        }
+
+        // Rule 2: 2x2 blocks of the same colour
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = this.modules[y][x];
+                if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+                    result += 3;
+                }
+            }
+        }
+
+        // Rule 4: balance of dark and light modules
+        this.modules.forEach(row => row.forEach(isDark => { if (isDark) dark++; }));
+        const total = size * size;
+        const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+        result += k * 10;
+        return result;
+    }
+
+    // Capacity helpers
+    static getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    static getNumDataCodewords(version, ecl) {
+        return Math.floor(ClothifyQRCode.getNumRawDataModules(version) / 8) -
+            QR_ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version] * QR_NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+    }
+
+    static getCharCountBits(version) {
+        return version < 10 ? 8 : 16;
+    }
+
+    // Reed-Solomon over GF(2^8/0x11D)
+    static reedSolomonComputeDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = ClothifyQRCode.reedSolomonMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = ClothifyQRCode.reedSolomonMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    static reedSolomonComputeRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => {
+                result[i] ^= ClothifyQRCode.reedSolomonMultiply(coef, factor);
+            });
+        });
+        return result;
+    }
+
+    static reedSolomonMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+}
@@ -0,0 +1,331 @@
+// Clothify Receipts
+// Version 1.3.0
+// Numbered receipts for every sale and refund, and end-of-day Z-reports that close the till at one location
+
+const PAYMENT_METHODS = { cash: 'Cash', card: 'Card', other: 'Other' };
+const DEFAULT_RECEIPT_SETTINGS = { storeName: 'Clothify', address: '', phone: '', footer: 'Thank you for shopping with us!' };
+const RECEIPT_WIDTH = 42; // characters per line on an 80 mm roll
+const RECEIPT_FONT_SIZE = 8;
+
+class ClothifyReceiptManager {
+    // deviceId: this device's sync id; its last part goes into every number, so devices never hand out the same one
+    constructor(store, inventoryManager, locations, deviceId = '') {
+        this.store = store;
+        this.receiptsKey = 'clothify_receipts';
+        this.reportsKey = 'clothify_z_reports';
+        this.settingsKey = 'clothify_receipt_settings';
+        this.inventoryManager = inventoryManager;
+        this.locations = locations;
+        this.deviceCode = deviceId.split('-').pop();
+        this.receipts = this.store.get(this.receiptsKey, []);
+        this.reports = this.store.get(this.reportsKey, []);
+    }
+
+    saveReceipts() {
+        this.store.set(this.receiptsKey, this.receipts);
+    }
+
+    saveReports() {
+        this.store.set(this.reportsKey, this.reports);
+    }
+
+    getSettings() {
+        return { ...DEFAULT_RECEIPT_SETTINGS, ...this.store.get(this.settingsKey, {}) };
+    }
+
+    saveSettings(fields) {
+        const settings = {
+            storeName: String(fields.storeName || '').trim(),
+            address: String(fields.address || '').trim(),
+            phone: String(fields.phone || '').trim(),
+            footer: String(fields.footer || '').trim()
+        };
+        if (!settings.storeName) return { success: false, errors: ['Store name is required'] };
+        this.store.set(this.settingsKey, settings);
+        return { success: true, settings };
+    }
+
+    // e.g. R-7QXF-000012: numbered per device, since two tills can't see each other's latest number while offline
+    nextNumber(records, type) {
+        const prefix = this.deviceCode ? `${type}-${this.deviceCode}-` : `${type}-`;
+        const numbers = records.filter(r => r.number.startsWith(prefix)).map(r => parseInt(r.number.substring(prefix.length)) || 0);
+        return `${prefix}${String(Math.max(0, ...numbers) + 1).padStart(6, '0')}`;
+    }
+
+    // type is 'sale' or 'refund'; the lines are copied from the ledger events, so later product edits don't change the receipt
+    recordTransaction(type, events, paymentMethod = 'cash') {
+        const round = (amount) => Math.round(amount * 100) / 100;
+        const lines = events.map(event => {
+            const product = this.inventoryManager.getProduct(event.sku);
+            const listPrice = event.listPrice !== undefined ? event.listPrice : event.unitPrice;
+            return {
+                sku: event.sku,
+                description: product ? `${product.design} ${product.size}/${product.color}` : event.sku,
+                quantity: event.quantity,
+                listPrice,
+                discount: event.discount || 0,
+                promotions: (event.promotions || []).map(p => p.name),
+                total: round(event.unitPrice * event.quantity),
+                eventId: event.id
+            };
+        });
+        const subtotal = round(lines.reduce((sum, line) => sum + line.listPrice * line.quantity, 0));
+        const discount = round(lines.reduce((sum, line) => sum + line.discount, 0));
+        const receipt = {
+            number: this.nextNumber(this.receipts, 'R'),
+            type,
+            timestamp: events[0].timestamp,
+            location: this.inventoryManager.ledger.getEventLocation(events[0]),
+            paymentMethod: PAYMENT_METHODS[paymentMethod] ? paymentMethod : 'other',
+            lines,
+            subtotal,
+            discount,
+            total: round(subtotal - discount),
+            zReport: null
+        };
+        if (events[0].transactionId) receipt.transactionId = events[0].transactionId;
+        this.receipts.push(receipt);
+        this.saveReceipts();
+        return receipt;
+    }
+
+    getReceipt(number) {
+        return this.receipts.find(r => r.number === number);
+    }
+
+    getReceiptForEvent(eventId) {
+        return this.receipts.find(r => r.lines.some(line => line.eventId === eventId));
+    }
+
+    // Voids every line in the ledger, then marks the receipt so till totals count it as a void.
+    // A receipt already closed by a Z-report is voided too; that report stays as it was printed and the next one takes the money off.
+    voidReceipt(number, reason, source = 'manual') {
+        const receipt = this.getReceipt(number);
+        if (!receipt) return { success: false, errors: ['Receipt not found'] };
+        if (receipt.voidedAt) return { success: false, errors: [`${receipt.number} has already been voided`] };
+        const result = this.inventoryManager.voidEvents(receipt.lines.map(line => line.eventId), reason, source);
+        if (!result.success) return result;
+
+        receipt.voidedAt = result.events[0].timestamp;
+        receipt.voidReason = result.events[0].note;
+        if (result.events[0].user) receipt.voidedBy = result.events[0].user;
+        this.saveReceipts();
+        return { success: true, receipt, events: result.events };
+    }
+
+    // Newest first; the query matches the receipt number or any SKU on it
+    searchReceipts(query = '', limit = 50) {
+        const term = query.trim().toUpperCase();
+        return this.receipts
+            .filter(r => !term || r.number.includes(term) || r.lines.some(line => line.sku.includes(term)))
+            .slice(-limit)
+            .reverse();
+    }
+
+    // Receipts at the location that no Z-report has closed yet, plus closed ones voided after their report
+    // whose void no report has counted yet
+    getOpenReceipts(location) {
+        return this.receipts.filter(r => r.location === location && (!r.zReport || this.isLateVoid(r)));
+    }
+
+    isLateVoid(receipt) {
+        const report = receipt.zReport && receipt.voidedAt && !receipt.voidReport ? this.getReport(receipt.zReport) : null;
+        return !!report && receipt.voidedAt > report.closedAt;
+    }
+
+    getLastReport(location) {
+        return this.reports.filter(r => r.location === location).pop() || null;
+    }
+
+    // Receipts voided in the same period are listed but left out of every total. Receipts voided after an
+    // earlier report closed them (late voids) were counted in that report, so their money comes off this one.
+    summarize(receipts) {
+        const round = (amount) => Math.round(amount * 100) / 100;
+        const units = (list) => list.reduce((sum, r) => sum + r.lines.reduce((n, line) => n + line.quantity, 0), 0);
+        const amount = (list) => round(list.reduce((sum, r) => sum + r.total, 0));
+        const signed = (list) => round(amount(list.filter(r => r.type === 'sale')) - amount(list.filter(r => r.type === 'refund')));
+        const open = receipts.filter(r => !r.zReport);
+        const live = open.filter(r => !r.voidedAt);
+        const sales = live.filter(r => r.type === 'sale');
+        const refunds = live.filter(r => r.type === 'refund');
+        const voids = open.filter(r => r.voidedAt);
+        const lateVoids = receipts.filter(r => r.zReport);
+
+        const payments = {};
+        Object.keys(PAYMENT_METHODS).forEach(method => {
+            const taken = amount(sales.filter(r => r.paymentMethod === method));
+            const refunded = amount(refunds.filter(r => r.paymentMethod === method));
+            const voided = signed(lateVoids.filter(r => r.paymentMethod === method));
+            payments[method] = { sales: taken, refunds: refunded, voided, net: round(taken - refunded - voided) };
+        });
+        return {
+            receiptCount: live.length,
+            unitsSold: units(sales),
+            grossSales: round(sales.reduce((sum, r) => sum + r.subtotal, 0)),
+            discounts: round(sales.reduce((sum, r) => sum + r.discount, 0)),
+            netSales: amount(sales),
+            returns: { count: refunds.length, units: units(refunds), amount: amount(refunds) },
+            voids: { count: voids.length, units: units(voids), amount: amount(voids) },
+            lateVoids: { count: lateVoids.length, units: units(lateVoids), amount: signed(lateVoids) },
+            payments,
+            net: round(amount(sales) - amount(refunds) - signed(lateVoids))
+        };
+    }
+
+    // What a Z-report would say if the day were closed now
+    getCurrentTotals(location) {
+        const last = this.getLastReport(location);
+        const receipts = this.getOpenReceipts(location);
+        return {
+            location,
+            openedAt: last ? last.closedAt : (receipts[0] ? receipts[0].timestamp : null),
+            ...this.summarize(receipts)
+        };
+    }
+
+    // Closes the till: every open receipt at the location is stamped with the new report's number
+    // (late voids keep their original report and record this one as voidReport).
+    // countedCash is optional; when given, the report records how far the drawer is over or short.
+    closeDay(location, countedCash = '') {
+        const receipts = this.getOpenReceipts(location);
+        if (receipts.length === 0) return { success: false, errors: ['No transactions since the last close'] };
+        const counted = String(countedCash).trim();
+        if (counted !== '' && !(parseFloat(counted) >= 0)) return { success: false, errors: ['Counted cash must be 0 or more'] };
+
+        const report = {
+            number: this.nextNumber(this.reports, 'Z'),
+            ...this.getCurrentTotals(location),
+            closedAt: new Date().toISOString(),
+            receiptNumbers: receipts.map(r => r.number)
+        };
+        if (counted !== '') {
+            report.countedCash = parseFloat(counted);
+            report.cashDifference = Math.round((report.countedCash - report.payments.cash.net) * 100) / 100;
+        }
+        receipts.forEach(r => {
+            if (r.zReport) {
+                r.voidReport = report.number;
+            } else {
+                r.zReport = report.number;
+            }
+        });
+        this.reports.push(report);
+        this.saveReceipts();
+        this.saveReports();
+        return { success: true, report };
+    }
+
+    getReports() {
+        return [...this.reports].reverse();
+    }
+
+    getReport(number) {
+        return this.reports.find(r => r.number === number);
+    }
+
+    // Plain-text layout shared by printing and the PDF download
+    formatRow(left, right = '') {
+        const space = RECEIPT_WIDTH - right.length;
+        const text = left.length > space - 1 ? `${left.substring(0, space - 2)}…` : left;
+        return text + ' '.repeat(Math.max(1, space - text.length)) + right;
+    }
+
+    formatCenter(text) {
+        const clipped = text.substring(0, RECEIPT_WIDTH);
+        return ' '.repeat(Math.floor((RECEIPT_WIDTH - clipped.length) / 2)) + clipped;
+    }
+
+    formatMoney(amount) {
+        return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+    }
+
+    formatHeader() {
+        const settings = this.getSettings();
+        const lines = [settings.storeName.toUpperCase(), ...settings.address.split('\n'), settings.phone]
+            .filter(line => line.trim())
+            .map(line => this.formatCenter(line.trim()));
+        return [...lines, '-'.repeat(RECEIPT_WIDTH)];
+    }
+
+    formatReceipt(receipt) {
+        const sign = receipt.type === 'refund' ? -1 : 1;
+        const money = (amount) => this.formatMoney(sign * amount);
+        const rule = '-'.repeat(RECEIPT_WIDTH);
+        const lines = [
+            ...this.formatHeader(),
+            this.formatCenter(receipt.type === 'refund' ? 'REFUND' : 'SALES RECEIPT'),
+            this.formatRow(`Receipt ${receipt.number}`, new Date(receipt.timestamp).toLocaleString()),
+            this.formatRow(this.locations.getLocationName(receipt.location), PAYMENT_METHODS[receipt.paymentMethod]),
+            rule
+        ];
+        receipt.lines.forEach(line => {
+            lines.push(line.description);
+            lines.push(this.formatRow(`  ${line.quantity} x ${this.formatMoney(line.listPrice)}`, money(line.listPrice * line.quantity)));
+            if (line.discount > 0) {
+                lines.push(this.formatRow(`  ${line.promotions.join(', ') || 'Discount'}`, money(-line.discount)));
+            }
+            lines.push(`  ${line.sku}`);
+        });
+        lines.push(rule);
+        if (receipt.discount > 0) {
+            lines.push(this.formatRow('Subtotal', money(receipt.subtotal)));
+            lines.push(this.formatRow('Discounts', money(-receipt.discount)));
+        }
+        lines.push(this.formatRow(receipt.type === 'refund' ? 'TOTAL REFUNDED' : 'TOTAL', money(receipt.total)));
+        lines.push(this.formatRow(`${receipt.type === 'refund' ? 'Refunded to' : 'Paid by'} ${PAYMENT_METHODS[receipt.paymentMethod]}`, this.formatMoney(receipt.total)));
+        if (receipt.voidedAt) lines.push('', this.formatCenter(`*** VOIDED ${new Date(receipt.voidedAt).toLocaleString()} ***`));
+        const footer = this.getSettings().footer;
+        if (footer) lines.push(rule, this.formatCenter(footer));
+        return lines;
+    }
+
+    formatZReport(report) {
+        const rule = '-'.repeat(RECEIPT_WIDTH);
+        const lines = [
+            ...this.formatHeader(),
+            this.formatCenter(`Z-REPORT ${report.number}`),
+            this.formatCenter(this.locations.getLocationName(report.location)),
+            this.formatRow('From', report.openedAt ? new Date(report.openedAt).toLocaleString() : '—'),
+            this.formatRow('To', new Date(report.closedAt).toLocaleString()),
+            rule,
+            this.formatRow('Receipts', String(report.receiptCount)),
+            this.formatRow('Units sold', String(report.unitsSold)),
+            this.formatRow('Gross sales', this.formatMoney(report.grossSales)),
+            this.formatRow('Discounts', this.formatMoney(-report.discounts)),
+            this.formatRow('Net sales', this.formatMoney(report.netSales)),
+            this.formatRow(`Returns (${report.returns.count}, ${report.returns.units} units)`, this.formatMoney(-report.returns.amount)),
+            ...(report.lateVoids && report.lateVoids.count > 0
+                ? [this.formatRow(`Earlier voided (${report.lateVoids.count}, ${report.lateVoids.units} units)`, this.formatMoney(-report.lateVoids.amount))]
+                : []),
+            this.formatRow('NET TAKINGS', this.formatMoney(report.net)),
+            this.formatRow(`Voids (${report.voids.count}, ${report.voids.units} units)`, this.formatMoney(report.voids.amount)),
+            rule,
+            'By payment method'
+        ];
+        Object.entries(report.payments).forEach(([method, totals]) => {
+            lines.push(this.formatRow(`  ${PAYMENT_METHODS[method]}`, this.formatMoney(totals.net)));
+            if (totals.refunds > 0 || totals.voided) {
+                lines.push(this.formatRow('    Sales', this.formatMoney(totals.sales)));
+                if (totals.refunds > 0) lines.push(this.formatRow('    Refunds', this.formatMoney(-totals.refunds)));
+                if (totals.voided) lines.push(this.formatRow('    Earlier voided', this.formatMoney(-totals.voided)));
+            }
+        });
+        if (report.countedCash !== undefined) {
+            lines.push(rule);
+            lines.push(this.formatRow('Expected cash', this.formatMoney(report.payments.cash.net)));
+            lines.push(this.formatRow('Counted cash', this.formatMoney(report.countedCash)));
+            lines.push(this.formatRow(report.cashDifference < 0 ? 'Short' : 'Over', this.formatMoney(Math.abs(report.cashDifference))));
+        }
+        return lines;
+    }
+
+    // One continuous roll-width page in Courier, so the PDF looks like the printed slip
+    createPDF(lines) {
+        const lineHeight = RECEIPT_FONT_SIZE * 1.25 * 25.4 / 72;
+        const doc = new window.jspdf.jsPDF({ unit: 'mm', format: [80, Math.max(80, lines.length * lineHeight + 16)] });
+        doc.setFont('courier', 'normal');
+        doc.setFontSize(RECEIPT_FONT_SIZE);
+        lines.forEach((line, i) => doc.text(line, 4, 8 + i * lineHeight, { baseline: 'top' }));
+        return doc;
+    }
+}
@@ -0,0 +1,261 @@
+// Clothify Sales Ledger
+// Version 1.10.0
+// Append-only history of sale, restock, return, adjustment and transfer events (and voids cancelling them), shared by the inventory and analytics engines
+
+const LEDGER_EVENT_TYPES = ['sale', 'restock', 'return', 'adjustment', 'transfer-out', 'transfer-in', 'void'];
+const VOIDABLE_EVENT_TYPES = ['sale', 'restock', 'return'];
+const DEFAULT_LOCATION_ID = 'shop-floor'; // events recorded before locations existed belong here
+
+class ClothifySalesLedger {
+    constructor(store) {
+        this.store = store;
+        this.storageKey = 'clothify_sales_ledger';
+        this.aliasKey = 'clothify_sku_aliases';
+        this.events = this.loadLedger();
+        this.aliases = this.store.get(this.aliasKey, {});
+        this.onRecord = null;
+        this.userId = null; // whoever is signed in; stamped on every event recorded meanwhile
+    }
+
+    loadLedger() {
+        return this.store.get(this.storageKey, []);
+    }
+
+    saveLedger() {
+        this.store.set(this.storageKey, this.events);
+    }
+
+    // Events keep the SKU they were recorded under; renamed SKUs are followed through the alias map
+    registerAlias(oldSku, newSku) {
+        this.aliases[oldSku] = newSku;
+        this.store.set(this.aliasKey, this.aliases);
+    }
+
+    resolveSku(sku) {
+        const seen = new Set();
+        while (this.aliases[sku] && !seen.has(sku)) {
+            seen.add(sku);
+            sku = this.aliases[sku];
+        }
+        return sku;
+    }
+
+    generateEventId() {
+        const random = Math.random().toString(36).substring(2, 7).toUpperCase();
+        return `EVT-${Date.now().toString(36).toUpperCase()}-${random}`;
+    }
+
+    // Groups the events of one checkout (e.g. a multi-item cart)
+    generateTransactionId() {
+        const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+        return `TXN-${Date.now().toString(36).toUpperCase()}-${random}`;
+    }
+
+    // Links the transfer-out and transfer-in events of one stock transfer
+    generateTransferId() {
+        const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+        return `TRF-${Date.now().toString(36).toUpperCase()}-${random}`;
+    }
+
+    // Events are never edited or removed once recorded
+    record(type, sku, quantity, details = {}) {
+        const event = this.createEvent(type, sku, quantity, details);
+        this.events.push(event);
+        this.saveLedger();
+        if (this.onRecord) this.onRecord(event);
+        return event;
+    }
+
+    // Builds an event without recording it, for callers that add several and save once
+    createEvent(type, sku, quantity, details = {}) {
+        if (!LEDGER_EVENT_TYPES.includes(type)) {
+            throw new Error(`Unknown ledger event type: ${type}`);
+        }
+        const event = {
+            id: this.generateEventId(),
+            type: type,
+            sku: sku,
+            quantity: parseInt(quantity),
+            unitPrice: details.unitPrice !== undefined ? parseFloat(details.unitPrice) : null,
+            timestamp: details.timestamp || new Date().toISOString(),
+            source: details.source || 'manual'
+        };
+        if (details.unitCost !== undefined && details.unitCost !== null) event.unitCost = parseFloat(details.unitCost);
+        // Discounted sales: unitPrice is what was paid per unit, listPrice the price before promotions
+        if (details.discount) {
+            event.listPrice = parseFloat(details.listPrice);
+            event.discount = parseFloat(details.discount);
+            event.promotions = details.promotions || [];
+        }
+        if (details.sold !== undefined) event.sold = parseInt(details.sold);
+        if (details.note) event.note = details.note;
+        if (details.transactionId) event.transactionId = details.transactionId;
+        if (details.location) event.location = details.location;
+        if (details.destination) event.destination = details.destination;
+        if (details.transferId) event.transferId = details.transferId;
+        if (details.purchaseOrderId) event.purchaseOrderId = details.purchaseOrderId;
+        if (details.voids) {
+            event.voids = details.voids;
+            event.voidedType = details.voidedType;
+        }
+        if (this.userId) event.user = this.userId;
+        return event;
+    }
+
+    // Adds events recorded on other devices; ids make this safe to repeat. Returns the ones that were new.
+    mergeEvents(events) {
+        const known = new Set(this.events.map(e => e.id));
+        const added = events.filter(e => !known.has(e.id) && known.add(e.id));
+        this.events.push(...added);
+        return added;
+    }
+
+    // Ids of events cancelled by a void
+    getVoidedIds() {
+        return new Set(this.events.filter(e => e.type === 'void').map(e => e.voids));
+    }
+
+    // Voided events and the voids themselves are left out, as if neither had happened
+    getEvents(filter = {}) {
+        const voided = this.getVoidedIds();
+        return this.events.filter(e =>
+            e.type !== 'void' && !voided.has(e.id) &&
+            (!filter.sku || this.resolveSku(e.sku) === this.resolveSku(filter.sku)) &&
+            (!filter.type || e.type === filter.type) &&
+            (!filter.since || new Date(e.timestamp) >= new Date(filter.since)) &&
+            (!filter.until || new Date(e.timestamp) < new Date(filter.until))
+        );
+    }
+
+    getEventLocation(event) {
+        return event.location || DEFAULT_LOCATION_ID;
+    }
+
+    // Change in on-hand stock at the event's location. Stock in transit between a
+    // transfer-out and its transfer-in is on hand nowhere.
+    getStockDelta(event) {
+        switch (event.type) {
+            case 'sale':
+            case 'transfer-out':
+                return -event.quantity;
+            case 'void':
+                return -this.getStockDelta({ type: event.voidedType, quantity: event.quantity });
+            default:
+                return event.quantity;
+        }
+    }
+
+    // Applies one event's effect to a { stock, sold } pair, and to per-location stock when present
+    applyEvent(totals, event) {
+        totals.stock += this.getStockDelta(event);
+        switch (event.type) {
+            case 'sale':
+                totals.sold += event.quantity;
+                break;
+            case 'return':
+                totals.sold -= event.quantity;
+                break;
+            case 'adjustment':
+                totals.sold += event.sold || 0;
+                break;
+            case 'void':
+                if (event.voidedType === 'sale') totals.sold -= event.quantity;
+                if (event.voidedType === 'return') totals.sold += event.quantity;
+                break;
+        }
+        if (totals.locationStock) {
+            const location = this.getEventLocation(event);
+            totals.locationStock[location] = (totals.locationStock[location] || 0) + this.getStockDelta(event);
+        }
+        return totals;
+    }
+
+    deriveTotals(sku) {
+        return this.getEvents({ sku }).reduce((totals, e) => this.applyEvent(totals, e), { stock: 0, sold: 0, locationStock: {} });
+    }
+
+    // Read-only view of one location's events, for reports filtered by location
+    forLocation(location) {
+        const view = Object.create(this);
+        view.events = this.events.filter(e => this.getEventLocation(e) === location);
+        view.parent = this;
+        return view;
+    }
+
+    // Moving weighted-average cost of one SKU, replayed over every location (transfers don't change it).
+    // Deliveries without a recorded unitCost come in at fallbackCost; returns and positive adjustments at the
+    // average so far. Returns the cost per unit in effect at each event, by event id, and the current average.
+    getCostHistory(sku, fallbackCost = null) {
+        const ledger = this.parent || this;
+        const events = ledger.getEvents({ sku }).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const costs = new Map();
+        let onHand = 0;
+        let averageCost = null;
+
+        events.forEach(event => {
+            if (event.type === 'transfer-out' || event.type === 'transfer-in') {
+                costs.set(event.id, averageCost);
+                return;
+            }
+            const delta = ledger.getStockDelta(event);
+            if (delta > 0) {
+                let incoming = averageCost;
+                if (event.unitCost !== undefined) {
+                    incoming = event.unitCost;
+                } else if (event.type === 'restock' || averageCost === null) {
+                    incoming = fallbackCost;
+                }
+                if (incoming !== null) {
+                    averageCost = averageCost !== null && onHand > 0
+                        ? (averageCost * onHand + incoming * delta) / (onHand + delta)
+                        : incoming;
+                }
+            }
+            costs.set(event.id, averageCost !== null ? averageCost : fallbackCost);
+            onHand = Math.max(0, onHand + delta);
+        });
+
+        return { costs, averageCost: averageCost !== null ? averageCost : fallbackCost };
+    }
+
+    // Seeds opening balances for products the ledger has never seen, then corrects any
+    // product whose stored stock/sold drifted from what the ledger says
+    reconcile(inventory) {
+        const discrepancies = [];
+        const openings = [];
+        const knownSkus = new Set(this.events.map(e => this.resolveSku(e.sku)));
+
+        inventory.forEach(product => {
+            if (!knownSkus.has(product.sku)) {
+                openings.push(this.createEvent('adjustment', product.sku, product.stock, {
+                    sold: product.sold,
+                    unitPrice: product.price,
+                    timestamp: product.dateAdded,
+                    source: 'migration',
+                    note: 'Opening balance'
+                }));
+                product.locationStock = { [DEFAULT_LOCATION_ID]: product.stock };
+                return;
+            }
+
+            const derived = this.deriveTotals(product.sku);
+            product.locationStock = derived.locationStock;
+            if (derived.stock !== product.stock || derived.sold !== product.sold) {
+                discrepancies.push({
+                    sku: product.sku,
+                    stored: { stock: product.stock, sold: product.sold },
+                    derived: derived
+                });
+                product.stock = derived.stock;
+                product.sold = derived.sold;
+            }
+        });
+
+        if (openings.length > 0) {
+            this.events.push(...openings);
+            this.saveLedger();
+            if (this.onRecord) openings.forEach(event => this.onRecord(event));
+        }
+        return discrepancies;
+    }
+}
@@ -0,0 +1,295 @@
+// Clothify Server
+// Version 1.3.0
+// Small self-hosted server for the REST storage backend and multi-device sync. No dependencies: run with `node clothify_server.js`.
+// Also serves the portal and dashboard, so devices on the shop network can open http://<host>:8787/clothify_admin_portal.html
+// and relays label jobs to network thermal printers (browsers can't open raw sockets themselves)
+//
+// Every /api request needs the access token (Authorization: Bearer <token>) and must come from a page this
+// server served: no other origin is answered.
+//
+// Environment: PORT (default 8787), HOST (default 127.0.0.1; 0.0.0.0 to serve the shop network),
+// CLOTHIFY_DATA_DIR (default ./clothify_data), CLOTHIFY_TOKEN (default: generated once and kept in the data directory),
+// CLOTHIFY_PRINTERS (the label printers jobs may be relayed to, e.g. "192.168.1.50:9100,zebra-2.local"; none by default)
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '127.0.0.1';
+const DATA_DIR = path.resolve(process.env.CLOTHIFY_DATA_DIR || path.join(__dirname, 'clothify_data'));
+const STATIC_DIR = __dirname;
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+const STORAGE_KEY_PATTERN = /^[a-z0-9_]+$/;
+const SYNC_LOG_FILE = path.join(DATA_DIR, 'sync_log.jsonl');
+const TOKEN_FILE = path.join(DATA_DIR, 'access_token');
+const PRINTER_HOST_PATTERN = /^[a-zA-Z0-9.-]+$/;
+const PRINTER_TIMEOUT_MS = 10000;
+const DEFAULT_PRINTER_PORT = 9100;
+// Only these host:port pairs are ever connected to, so /api/print can't be used to reach anything else on the network
+const PRINTERS = new Set(String(process.env.CLOTHIFY_PRINTERS || '').split(',').map(p => p.trim()).filter(Boolean)
+    .map(p => p.includes(':') ? p.toLowerCase() : `${p.toLowerCase()}:${DEFAULT_PRINTER_PORT}`));
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+function send(res, status, body, contentType = 'application/json') {
+    res.writeHead(status, { 'Content-Type': contentType });
+    res.end(body);
+}
+
+function sendError(res, status, message) {
+    send(res, status, JSON.stringify({ error: message }));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+// Writes go to a temporary file first so a crash mid-write never leaves half a JSON document behind
+function writeAtomic(file, contents) {
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, contents);
+    fs.renameSync(temp, file);
+}
+
+async function handleStorage(req, res, key) {
+    if (!STORAGE_KEY_PATTERN.test(key)) {
+        sendError(res, 400, 'Invalid storage key');
+        return;
+    }
+    const file = path.join(DATA_DIR, `${key}.json`);
+
+    if (req.method === 'GET') {
+        if (!fs.existsSync(file)) {
+            sendError(res, 404, 'Not found');
+            return;
+        }
+        send(res, 200, fs.readFileSync(file, 'utf8'));
+        return;
+    }
+
+    if (req.method === 'PUT') {
+        const body = await readBody(req);
+        try {
+            JSON.parse(body);
+        } catch (err) {
+            sendError(res, 400, 'Body must be valid JSON');
+            return;
+        }
+        writeAtomic(file, body);
+        send(res, 200, JSON.stringify({ success: true }));
+        return;
+    }
+
+    sendError(res, 405, 'Method not allowed');
+}
+
+let accessToken = null;
+
+function loadAccessToken() {
+    if (process.env.CLOTHIFY_TOKEN) return process.env.CLOTHIFY_TOKEN;
+    if (fs.existsSync(TOKEN_FILE)) return fs.readFileSync(TOKEN_FILE, 'utf8').trim();
+    const token = crypto.randomBytes(24).toString('hex');
+    writeAtomic(TOKEN_FILE, token);
+    return token;
+}
+
+// Browsers send Origin on cross-site requests; only pages served from this host may use the API
+function isSameOrigin(req) {
+    if (!req.headers.origin) return true;
+    try {
+        return new URL(req.headers.origin).host === req.headers.host;
+    } catch (err) {
+        return false;
+    }
+}
+
+function isAuthorized(req) {
+    const match = String(req.headers.authorization || '').match(/^Bearer (.+)$/);
+    if (!match) return false;
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(accessToken);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Sync: one append-only log of operations from every device, numbered in arrival order
+let syncLog = [];
+const syncSeqById = new Map();
+
+function loadSyncLog() {
+    if (!fs.existsSync(SYNC_LOG_FILE)) return;
+    syncLog = fs.readFileSync(SYNC_LOG_FILE, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    syncLog.forEach(op => syncSeqById.set(op.id, op.seq));
+}
+
+// Body: { deviceId, deviceName, cursor, operations }. Stores the new operations (repeats are ignored by id)
+// and answers with every other operation after the device's cursor, plus the number given to each one it sent.
+async function handleSync(req, res) {
+    if (req.method !== 'POST') {
+        sendError(res, 405, 'Method not allowed');
+        return;
+    }
+    let body;
+    try {
+        body = JSON.parse(await readBody(req));
+    } catch (err) {
+        sendError(res, 400, 'Body must be valid JSON');
+        return;
+    }
+    const cursor = parseInt(body.cursor) || 0;
+    if (typeof body.deviceId !== 'string' || !Array.isArray(body.operations) ||
+        body.operations.some(op => !op || typeof op.id !== 'string' || typeof op.type !== 'string')) {
+        sendError(res, 400, 'Expected deviceId and a list of operations with id and type');
+        return;
+    }
+
+    const accepted = {};
+    const lines = [];
+    body.operations.forEach(op => {
+        if (!syncSeqById.has(op.id)) {
+            const entry = {
+                ...op,
+                seq: syncLog.length + 1,
+                deviceId: body.deviceId,
+                deviceName: body.deviceName || body.deviceId,
+                receivedAt: new Date().toISOString()
+            };
+            syncLog.push(entry);
+            syncSeqById.set(op.id, entry.seq);
+            lines.push(JSON.stringify(entry));
+        }
+        accepted[op.id] = syncSeqById.get(op.id);
+    });
+    if (lines.length > 0) fs.appendFileSync(SYNC_LOG_FILE, lines.join('\n') + '\n');
+
+    const sent = new Set(body.operations.map(op => op.id));
+    send(res, 200, JSON.stringify({
+        cursor: syncLog.length,
+        accepted,
+        operations: syncLog.slice(cursor).filter(op => !sent.has(op.id))
+    }));
+}
+
+function sendToPrinter(host, port, data) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        socket.setTimeout(PRINTER_TIMEOUT_MS);
+        socket.on('connect', () => socket.end(data, 'utf8'));
+        socket.on('timeout', () => socket.destroy(new Error('timed out')));
+        socket.on('error', reject);
+        socket.on('close', hadError => {
+            if (!hadError) resolve();
+        });
+    });
+}
+
+// Body: { host, port, data }. Writes data (usually ZPL) to the printer's raw port, 9100 on most label printers
+async function handlePrint(req, res) {
+    if (req.method !== 'POST') {
+        sendError(res, 405, 'Method not allowed');
+        return;
+    }
+    let body;
+    try {
+        body = JSON.parse(await readBody(req));
+    } catch (err) {
+        sendError(res, 400, 'Body must be valid JSON');
+        return;
+    }
+    const port = body.port === undefined ? DEFAULT_PRINTER_PORT : parseInt(body.port);
+    if (typeof body.host !== 'string' || !PRINTER_HOST_PATTERN.test(body.host) || !(port >= 1 && port <= 65535) ||
+        typeof body.data !== 'string' || body.data.length === 0) {
+        sendError(res, 400, 'Expected a printer host, port and the data to print');
+        return;
+    }
+    if (!PRINTERS.has(`${body.host.toLowerCase()}:${port}`)) {
+        sendError(res, 403, `${body.host}:${port} is not a configured printer. Add it to CLOTHIFY_PRINTERS on the server.`);
+        return;
+    }
+    try {
+        await sendToPrinter(body.host, port, body.data);
+    } catch (err) {
+        sendError(res, 502, `Could not print to ${body.host}:${port} (${err.message})`);
+        return;
+    }
+    send(res, 200, JSON.stringify({ success: true, bytes: Buffer.byteLength(body.data) }));
+}
+
+function handleStatic(req, res, pathname) {
+    const fileName = pathname === '/' ? 'clothify_admin_portal.html' : decodeURIComponent(pathname.slice(1));
+    const extension = path.extname(fileName);
+    // Only top-level files of the known types are served, never the data directory or dotfiles
+    if (fileName.includes('/') || fileName.includes('\\') || fileName.startsWith('.') || !CONTENT_TYPES[extension]) {
+        sendError(res, 404, 'Not found');
+        return;
+    }
+    const file = path.join(STATIC_DIR, fileName);
+    if (!fs.existsSync(file)) {
+        sendError(res, 404, 'Not found');
+        return;
+    }
+    send(res, 200, fs.readFileSync(file), CONTENT_TYPES[extension]);
+}
+
+const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    try {
+        if (pathname.startsWith('/api/')) {
+            if (!isSameOrigin(req)) {
+                sendError(res, 403, 'Requests from other sites are not allowed');
+                return;
+            }
+            if (!isAuthorized(req)) {
+                sendError(res, 401, 'Missing or wrong access token');
+                return;
+            }
+        }
+        const storageMatch = pathname.match(/^\/api\/storage\/([^/]+)$/);
+        if (pathname === '/api/sync') {
+            await handleSync(req, res);
+        } else if (pathname === '/api/print') {
+            await handlePrint(req, res);
+        } else if (storageMatch) {
+            await handleStorage(req, res, decodeURIComponent(storageMatch[1]));
+        } else if (req.method === 'GET') {
+            handleStatic(req, res, pathname);
+        } else {
+            sendError(res, 404, 'Not found');
+        }
+    } catch (err) {
+        console.error(err);
+        sendError(res, 500, err.message);
+    }
+});
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+accessToken = loadAccessToken();
+loadSyncLog();
+server.listen(PORT, HOST, () => {
+    console.log(`🎽 Clothify server running at http://${HOST}:${PORT}`);
+    console.log(`   Data directory: ${DATA_DIR}`);
+    console.log(`   Access token: ${accessToken} (enter it under Add Product → Storage on each device)`);
+    console.log(`   Label printers: ${PRINTERS.size > 0 ? [...PRINTERS].join(', ') : 'none (set CLOTHIFY_PRINTERS)'}`);
+});
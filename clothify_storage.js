@@ -0,0 +1,258 @@
+// Clothify Storage
+// Version 1.9.0
+// Pluggable storage backends (localStorage, IndexedDB, self-hosted server) behind an in-memory cache shared by both engines
+
+const CLOTHIFY_STORAGE_KEYS = [
+    'clothify_inventory_data',
+    'clothify_sales_ledger',
+    'clothify_sku_aliases',
+    'clothify_product_history',
+    'clothify_sku_settings',
+    'clothify_sync_state',
+    'clothify_locations',
+    'clothify_designs',
+    'clothify_label_settings',
+    'clothify_promotions',
+    'clothify_suppliers',
+    'clothify_purchase_orders',
+    'clothify_receipts',
+    'clothify_z_reports',
+    'clothify_receipt_settings',
+    'clothify_users',
+    'clothify_user_log'
+];
+const STORAGE_CONFIG_KEY = 'clothify_storage_config';
+const STORAGE_BACKENDS = ['local', 'indexeddb', 'server'];
+const STORAGE_RETRY_MS = 5000;
+
+// Adapters: async load(key) resolving to the stored value or null, and async save(key, value)
+class ClothifyLocalStorageAdapter {
+    constructor() {
+        this.name = 'localStorage';
+    }
+
+    async load(key) {
+        const data = localStorage.getItem(key);
+        return data ? JSON.parse(data) : null;
+    }
+
+    async save(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+}
+
+class ClothifyIndexedDBAdapter {
+    constructor(dbName = 'clothify') {
+        this.name = 'IndexedDB';
+        this.dbName = dbName;
+        this.storeName = 'data';
+        this.db = null;
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    async request(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = action(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async load(key) {
+        const value = await this.request('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async save(key, value) {
+        await this.request('readwrite', store => store.put(value, key));
+    }
+}
+
+// Talks to clothify_server.js (GET/PUT /api/storage/<key>)
+class ClothifyRestAdapter {
+    constructor(baseUrl, token = '') {
+        this.name = 'Server';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.headers = ClothifyStore.authHeaders(token);
+    }
+
+    getUrl(key) {
+        return `${this.baseUrl}/api/storage/${encodeURIComponent(key)}`;
+    }
+
+    async load(key) {
+        const response = await fetch(this.getUrl(key), { headers: this.headers });
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`Server returned ${response.status} loading ${key}`);
+        return response.json();
+    }
+
+    async save(key, value) {
+        const response = await fetch(this.getUrl(key), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: JSON.stringify(value)
+        });
+        if (!response.ok) throw new Error(`Server returned ${response.status} saving ${key}`);
+    }
+}
+
+// Engines read and write synchronously against the cache; writes reach the adapter in the background
+class ClothifyStore {
+    constructor(config) {
+        this.config = config;
+        this.adapter = ClothifyStore.createAdapter(config);
+        this.cache = {};
+        this.dirty = new Set();
+        this.flushing = null;
+        this.lastError = null;
+        this.migrated = [];
+        this.listeners = [];
+    }
+
+    static loadConfig() {
+        const data = localStorage.getItem(STORAGE_CONFIG_KEY);
+        return { backend: 'local', serverUrl: '', serverToken: '', migrated: false, ...(data ? JSON.parse(data) : {}) };
+    }
+
+    // The server's access token is kept with the storage config and also used for sync and label printing
+    static authHeaders(token = ClothifyStore.loadConfig().serverToken) {
+        return token ? { Authorization: `Bearer ${token}` } : {};
+    }
+
+    static saveConfig(config) {
+        localStorage.setItem(STORAGE_CONFIG_KEY, JSON.stringify(config));
+    }
+
+    static createAdapter(config) {
+        switch (config.backend) {
+            case 'indexeddb':
+                return new ClothifyIndexedDBAdapter();
+            case 'server':
+                return new ClothifyRestAdapter(config.serverUrl || location.origin, config.serverToken);
+            default:
+                return new ClothifyLocalStorageAdapter();
+        }
+    }
+
+    // The first time another backend is used, keys it doesn't have yet are copied over from localStorage
+    async init(keys = CLOTHIFY_STORAGE_KEYS) {
+        const migrate = this.config.backend !== 'local' && !this.config.migrated;
+        const legacy = new ClothifyLocalStorageAdapter();
+
+        for (const key of keys) {
+            let value = await this.adapter.load(key);
+            if (value === null && migrate) {
+                value = await legacy.load(key);
+                if (value !== null) {
+                    await this.adapter.save(key, value);
+                    this.migrated.push(key);
+                }
+            }
+            this.cache[key] = value;
+        }
+
+        if (migrate) {
+            this.config.migrated = true;
+            ClothifyStore.saveConfig(this.config);
+        }
+    }
+
+    get(key, fallback = null) {
+        const value = this.cache[key];
+        return value === undefined || value === null ? fallback : value;
+    }
+
+    set(key, value) {
+        this.cache[key] = value;
+        this.dirty.add(key);
+        this.scheduleFlush();
+        this.listeners.forEach(listener => listener(key));
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    scheduleFlush() {
+        if (!this.flushing) {
+            this.flushing = Promise.resolve().then(() => this.flush());
+        }
+        return this.flushing;
+    }
+
+    // Failed writes stay dirty and are retried, so a server outage doesn't lose changes made meanwhile
+    async flush() {
+        try {
+            while (this.dirty.size > 0) {
+                const key = this.dirty.values().next().value;
+                this.dirty.delete(key);
+                try {
+                    await this.adapter.save(key, this.cache[key]);
+                    this.lastError = null;
+                } catch (err) {
+                    this.dirty.add(key);
+                    this.lastError = err;
+                    console.error(`Clothify storage: could not save ${key}`, err);
+                    setTimeout(() => this.scheduleFlush(), STORAGE_RETRY_MS);
+                    break;
+                }
+            }
+        } finally {
+            this.flushing = null;
+        }
+    }
+
+    hasPendingWrites() {
+        return this.dirty.size > 0 || this.flushing !== null;
+    }
+
+    // Re-reads keys from the backend and returns the ones that changed elsewhere (unsaved local keys are kept)
+    async reload(keys = CLOTHIFY_STORAGE_KEYS) {
+        const changed = [];
+        for (const key of keys) {
+            if (this.dirty.has(key)) continue;
+            const value = await this.adapter.load(key);
+            if (JSON.stringify(value) !== JSON.stringify(this.cache[key] === undefined ? null : this.cache[key])) {
+                this.cache[key] = value;
+                changed.push(key);
+            }
+        }
+        return changed;
+    }
+
+    // Copies everything currently loaded to another backend
+    async copyTo(adapter) {
+        await this.flush();
+        let copied = 0;
+        for (const key of Object.keys(this.cache)) {
+            if (this.cache[key] === null) continue;
+            await adapter.save(key, this.cache[key]);
+            copied++;
+        }
+        return copied;
+    }
+}
+
+const clothifyStore = new ClothifyStore(ClothifyStore.loadConfig());
+
+window.addEventListener('beforeunload', (e) => {
+    if (clothifyStore.hasPendingWrites()) {
+        e.preventDefault();
+        e.returnValue = '';
+    }
+});
@@ -0,0 +1,611 @@
+// Clothify Sync
+// Version 1.3.0
+// Multi-device sync through clothify_server.js. Ledger events queue offline and merge by id, so stock always
+// converges to the sum of every device's movements; product records merge field by field in server order.
+// Receipts, Z-reports and the other lists in SYNC_RECORD_KEYS sync as keyed records, merged field by field the same way.
+
+const SYNC_STATE_KEY = 'clothify_sync_state';
+const SYNC_CONFIG_KEY = 'clothify_sync_config';
+const SYNC_INTERVAL_MS = 15000;
+const SYNC_DEBOUNCE_MS = 2000;
+const SYNC_DERIVED_FIELDS = ['stock', 'sold', 'locationStock']; // rebuilt from the ledger, never synced as values
+// Keyed record lists: storage key → the field that identifies each record
+const SYNC_RECORD_KEYS = {
+    clothify_receipts: 'number',
+    clothify_z_reports: 'number',
+    clothify_users: 'id',
+    clothify_user_log: 'id',
+    clothify_promotions: 'id',
+    clothify_suppliers: 'id',
+    clothify_purchase_orders: 'id'
+};
+const SYNC_WATCHED_KEYS = ['clothify_inventory_data', 'clothify_sales_ledger', 'clothify_sku_aliases', 'clothify_locations', 'clothify_designs',
+    ...Object.keys(SYNC_RECORD_KEYS)];
+
+class ClothifySync {
+    // records: for each key in SYNC_RECORD_KEYS, { get() → the manager's live list, save(), and optionally
+    // merge(record, ours, theirs) to combine both devices' versions of fields that shouldn't simply be replaced }
+    constructor(store, inventoryManager, ledger, locationManager, designManager, records = {}) {
+        this.store = store;
+        this.inventoryManager = inventoryManager;
+        this.ledger = ledger;
+        this.locationManager = locationManager;
+        this.designManager = designManager;
+        this.records = records;
+        this.config = ClothifySync.loadConfig();
+        // base: the last product records, aliases, locations, designs and keyed records this device knows the server has
+        this.state = {
+            joined: false,
+            cursor: 0,
+            outbox: [],
+            base: {},
+            aliasBase: {},
+            locationBase: {},
+            designBase: {},
+            recordBase: {},
+            conflicts: [],
+            lastSync: null,
+            ...store.get(SYNC_STATE_KEY, {})
+        };
+        this.status = this.config.enabled ? 'idle' : 'disabled';
+        this.lastError = null;
+        this.running = null;
+        this.rerun = false;
+        this.applying = false;
+        this.debounceTimer = null;
+        this.intervalTimer = null;
+        this.onStatusChange = null;
+        this.onRemoteChanges = null;
+        // Unsent changes per watched key, recounted for just the key that was written so getStatus doesn't walk every list
+        this.pendingCounts = {};
+
+        this.ledger.onRecord = (event) => this.queueEvent(event);
+        if (this.state.joined) this.useDeviceSKUs();
+        this.store.subscribe((key) => {
+            if (!this.applying && SYNC_WATCHED_KEYS.includes(key)) this.scheduleSync(key);
+        });
+        if (this.state.joined) this.collectOperations();
+    }
+
+    static loadConfig() {
+        const data = localStorage.getItem(SYNC_CONFIG_KEY);
+        const config = { enabled: false, serverUrl: '', deviceId: '', deviceName: '', ...(data ? JSON.parse(data) : {}) };
+        if (!config.deviceId) {
+            const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+            config.deviceId = `DEV-${Date.now().toString(36).toUpperCase()}-${random}`;
+            ClothifySync.saveConfig(config);
+        }
+        return config;
+    }
+
+    static saveConfig(config) {
+        localStorage.setItem(SYNC_CONFIG_KEY, JSON.stringify(config));
+    }
+
+    saveState() {
+        this.store.set(SYNC_STATE_KEY, this.state);
+    }
+
+    // New SKUs carry this device's code (SUNS-M-RED-K1A1-001): each device counts its own sequences
+    // in clothify_sku_settings, so without it two devices adding products offline hand out the same SKU
+    useDeviceSKUs() {
+        this.inventoryManager.skuGenerator.deviceCode = this.config.deviceId.split('-').pop();
+    }
+
+    generateOperationId() {
+        const random = Math.random().toString(36).substring(2, 7).toUpperCase();
+        return `OP-${Date.now().toString(36).toUpperCase()}-${random}`;
+    }
+
+    sameValue(a, b) {
+        return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+    }
+
+    toRecord(product) {
+        const record = JSON.parse(JSON.stringify(product));
+        SYNC_DERIVED_FIELDS.forEach(field => delete record[field]);
+        return record;
+    }
+
+    // Sales, restocks, returns and adjustments are queued the moment they're recorded, online or not
+    queueEvent(event) {
+        if (!this.state.joined) return;
+        this.state.outbox.push({ id: `OP-${event.id}`, type: 'event', event });
+        this.saveState();
+        this.notifyStatus();
+    }
+
+    // Outbox events plus product, alias, location, design and keyed record changes made since the last sync
+    collectOperations() {
+        const operations = [...this.state.outbox];
+        SYNC_WATCHED_KEYS.forEach(key => {
+            const changes = this.collectChanges(key);
+            this.pendingCounts[key] = changes.length;
+            operations.push(...changes);
+        });
+        return operations;
+    }
+
+    // Changes under one watched key; the ledger has none, its events are queued in the outbox as they're recorded
+    collectChanges(key) {
+        const operations = [];
+        if (key === 'clothify_inventory_data') {
+            const localSkus = new Set();
+            this.inventoryManager.inventory.forEach(product => {
+                localSkus.add(product.sku);
+                const record = this.toRecord(product);
+                const base = this.state.base[product.sku];
+                const fields = new Set([...Object.keys(record), ...Object.keys(base || {})]);
+                const changed = [...fields].filter(f => !base || !this.sameValue(record[f], base[f]));
+                if (changed.length > 0) {
+                    operations.push({ id: this.generateOperationId(), type: 'product', sku: product.sku, record, changed });
+                }
+            });
+            Object.keys(this.state.base).forEach(sku => {
+                if (!localSkus.has(sku)) operations.push({ id: this.generateOperationId(), type: 'delete', sku });
+            });
+        } else if (key === 'clothify_sku_aliases') {
+            Object.entries(this.ledger.aliases).forEach(([oldSku, newSku]) => {
+                if (this.state.aliasBase[oldSku] !== newSku) {
+                    operations.push({ id: this.generateOperationId(), type: 'alias', oldSku, newSku });
+                }
+            });
+        } else if (key === 'clothify_locations') {
+            this.locationManager.locations.forEach(location => {
+                if (!this.sameValue(location, this.state.locationBase[location.id])) {
+                    operations.push({ id: this.generateOperationId(), type: 'location', location: { ...location } });
+                }
+            });
+        } else if (key === 'clothify_designs') {
+            this.designManager.designs.forEach(design => {
+                if (!this.sameValue(design, this.state.designBase[design.id])) {
+                    operations.push({ id: this.generateOperationId(), type: 'design', design: JSON.parse(JSON.stringify(design)) });
+                }
+            });
+        } else if (this.records[key]) {
+            const idField = SYNC_RECORD_KEYS[key];
+            const bases = this.state.recordBase[key] || {};
+            const localIds = new Set();
+            this.records[key].get().forEach(record => {
+                const recordId = record[idField];
+                localIds.add(recordId);
+                const base = bases[recordId];
+                const fields = new Set([...Object.keys(record), ...Object.keys(base || {})]);
+                const changed = [...fields].filter(f => !base || !this.sameValue(record[f], base[f]));
+                if (changed.length > 0) {
+                    operations.push({ id: this.generateOperationId(), type: 'record', key, recordId, record: JSON.parse(JSON.stringify(record)), changed });
+                }
+            });
+            Object.keys(bases).forEach(recordId => {
+                if (!localIds.has(recordId)) operations.push({ id: this.generateOperationId(), type: 'record', key, recordId, deleted: true });
+            });
+        }
+        return operations;
+    }
+
+    // The watched key an operation belongs to (events have none, they're counted through the outbox)
+    operationKey(op) {
+        if (op.type === 'record') return op.key;
+        return {
+            product: 'clothify_inventory_data',
+            delete: 'clothify_inventory_data',
+            alias: 'clothify_sku_aliases',
+            location: 'clothify_locations',
+            design: 'clothify_designs'
+        }[op.type] || null;
+    }
+
+    async request(cursor, operations) {
+        const response = await fetch(`${this.config.serverUrl.replace(/\/+$/, '')}/api/sync`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...ClothifyStore.authHeaders() },
+            body: JSON.stringify({
+                deviceId: this.config.deviceId,
+                deviceName: this.config.deviceName,
+                cursor,
+                operations
+            })
+        });
+        if (!response.ok) throw new Error(`Sync server returned ${response.status}`);
+        return response.json();
+    }
+
+    // First connection: an empty server is seeded with this device's data; otherwise this device
+    // starts over from the shared data (after confirmReplace agrees, when there is local data to lose).
+    // Record lists the server has never seen, e.g. from devices that predate them, are kept and sent.
+    async join(confirmReplace) {
+        const response = await this.request(0, []);
+        const hasLocalData = this.inventoryManager.inventory.length > 0 || this.ledger.events.length > 0;
+        if (response.operations.length > 0 && hasLocalData && !confirmReplace(response.operations.length)) {
+            return false;
+        }
+
+        this.state = { ...this.state, joined: true, cursor: 0, outbox: [], base: {}, aliasBase: {}, locationBase: {}, designBase: {}, recordBase: {}, conflicts: [] };
+        this.useDeviceSKUs();
+        if (response.operations.length > 0) {
+            this.inventoryManager.inventory = [];
+            this.ledger.events = [];
+            this.ledger.aliases = {};
+            this.designManager.designs = [];
+            const sharedKeys = new Set(response.operations.filter(op => op.type === 'record').map(op => op.key));
+            Object.entries(this.records).forEach(([key, list]) => {
+                if (sharedKeys.has(key)) list.get().splice(0);
+            });
+            this.applyRemote(response.operations, {});
+            this.state.cursor = response.cursor;
+        } else {
+            this.state.outbox = this.ledger.events.map(event => ({ id: `OP-${event.id}`, type: 'event', event }));
+        }
+        this.collectOperations();
+        this.saveState();
+        return true;
+    }
+
+    enable(serverUrl, deviceName) {
+        this.config = { ...this.config, enabled: true, serverUrl, deviceName };
+        ClothifySync.saveConfig(this.config);
+        this.start();
+    }
+
+    disable() {
+        this.config.enabled = false;
+        ClothifySync.saveConfig(this.config);
+        clearInterval(this.intervalTimer);
+        this.setStatus('disabled');
+    }
+
+    start() {
+        if (!this.config.enabled || !this.state.joined) return;
+        clearInterval(this.intervalTimer);
+        this.intervalTimer = setInterval(() => this.sync(), SYNC_INTERVAL_MS);
+        this.setStatus('idle');
+        this.sync();
+    }
+
+    scheduleSync(key = null) {
+        if (this.state.joined && key) this.pendingCounts[key] = this.collectChanges(key).length;
+        this.notifyStatus();
+        if (!this.config.enabled) return;
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.sync(), SYNC_DEBOUNCE_MS);
+    }
+
+    sync() {
+        if (!this.config.enabled || !this.state.joined) return Promise.resolve();
+        if (this.running) {
+            this.rerun = true;
+            return this.running;
+        }
+        this.running = this.runSync().finally(() => {
+            this.running = null;
+            if (this.rerun) {
+                this.rerun = false;
+                this.scheduleSync();
+            }
+        });
+        return this.running;
+    }
+
+    async runSync() {
+        this.setStatus('syncing');
+        try {
+            await this.exchange();
+            this.state.lastSync = new Date().toISOString();
+            this.saveState();
+            this.lastError = null;
+            this.setStatus('idle');
+        } catch (err) {
+            this.lastError = err;
+            // fetch rejects with a TypeError when the server can't be reached at all
+            this.setStatus(err instanceof TypeError || navigator.onLine === false ? 'offline' : 'error');
+        }
+    }
+
+    // Pushes local operations and pulls everyone else's since our cursor. The server numbers operations
+    // in arrival order; when two devices change the same field, the higher number wins on every device.
+    async exchange() {
+        const operations = this.collectOperations();
+        const response = await this.request(this.state.cursor, operations);
+
+        const sentIds = new Set(operations.map(op => op.id));
+        this.state.outbox = this.state.outbox.filter(op => !sentIds.has(op.id));
+        const pushed = {};
+        const pushedDesigns = new Set();
+        const pushedRecords = {};
+        operations.forEach(op => {
+            const seq = response.accepted[op.id];
+            if (op.type === 'product') {
+                this.state.base[op.sku] = op.record;
+                pushed[op.sku] = { seq, changed: op.changed };
+            } else if (op.type === 'delete') {
+                delete this.state.base[op.sku];
+                pushed[op.sku] = { seq, deleted: true };
+            } else if (op.type === 'alias') {
+                this.state.aliasBase[op.oldSku] = op.newSku;
+            } else if (op.type === 'location') {
+                this.state.locationBase[op.location.id] = op.location;
+            } else if (op.type === 'design') {
+                this.state.designBase[op.design.id] = op.design;
+                pushedDesigns.add(op.design.id);
+            } else if (op.type === 'record') {
+                const bases = this.state.recordBase[op.key] || (this.state.recordBase[op.key] = {});
+                if (op.deleted) {
+                    delete bases[op.recordId];
+                    pushedRecords[`${op.key}:${op.recordId}`] = { seq, deleted: true };
+                } else {
+                    bases[op.recordId] = op.record;
+                    pushedRecords[`${op.key}:${op.recordId}`] = { seq, changed: op.changed };
+                }
+            }
+        });
+
+        this.applyRemote(response.operations, pushed, pushedDesigns, pushedRecords);
+        this.state.cursor = response.cursor;
+        // Recount what this exchange sent or merged; whatever changed while the request was out is still to be sent.
+        // Products from other devices can add designs for themselves (see applyRemote).
+        const keys = new Set([...operations, ...response.operations].map(op => this.operationKey(op)).filter(Boolean));
+        if (keys.has('clothify_inventory_data')) keys.add('clothify_designs');
+        keys.forEach(key => { this.pendingCounts[key] = this.collectChanges(key).length; });
+    }
+
+    applyRemote(operations, pushed, pushedDesigns = new Set(), pushedRecords = {}) {
+        if (operations.length === 0) return;
+        this.applying = true;
+        const touched = new Set();
+        const touchedRecords = new Set();
+        const events = operations.filter(op => op.type === 'event').map(op => op.event);
+        this.ledger.mergeEvents(events).forEach(event => touched.add(this.ledger.resolveSku(event.sku)));
+
+        operations.forEach(op => {
+            if (op.type === 'alias') {
+                this.ledger.aliases[op.oldSku] = op.newSku;
+                this.state.aliasBase[op.oldSku] = op.newSku;
+                touched.add(op.newSku);
+            } else if (op.type === 'product') {
+                if (this.applyRemoteProduct(op, pushed[op.sku])) touched.add(op.sku);
+            } else if (op.type === 'delete') {
+                this.applyRemoteDelete(op, pushed[op.sku]);
+            } else if (op.type === 'location') {
+                this.applyRemoteLocation(op);
+            } else if (op.type === 'design') {
+                this.applyRemoteDesign(op, pushedDesigns.has(op.design.id));
+            } else if (op.type === 'record' && this.records[op.key]) {
+                this.applyRemoteRecord(op, pushedRecords[`${op.key}:${op.recordId}`]);
+                touchedRecords.add(op.key);
+            }
+        });
+        // Products from devices that predate designs arrive without one
+        this.designManager.ensureDesigns();
+
+        // Stock and sold are always rebuilt from the merged ledger, never taken from another device
+        this.inventoryManager.inventory.forEach(product => {
+            if (touched.has(product.sku)) Object.assign(product, this.ledger.deriveTotals(product.sku));
+        });
+        this.store.set(this.ledger.aliasKey, this.ledger.aliases);
+        this.locationManager.saveLocations();
+        this.designManager.saveDesigns();
+        this.ledger.saveLedger();
+        this.inventoryManager.saveInventory();
+        touchedRecords.forEach(key => this.records[key].save());
+        this.applying = false;
+        if (this.onRemoteChanges) this.onRemoteChanges();
+    }
+
+    // mine: what this device pushed for the same SKU in this exchange ({ seq, changed } or { seq, deleted })
+    applyRemoteProduct(op, mine) {
+        const product = this.inventoryManager.inventory.find(p => p.sku === op.sku);
+        const base = this.state.base[op.sku];
+        const source = { note: `Synced from ${op.deviceName || 'another device'}` };
+
+        if (!product) {
+            const deletedHere = (mine && mine.deleted && mine.seq > op.seq) || (base && !mine);
+            if (deletedHere) {
+                if (!mine) this.state.base[op.sku] = op.record;
+                return false;
+            }
+            this.inventoryManager.inventory.push({ ...op.record, stock: 0, sold: 0 });
+            this.state.base[op.sku] = op.record;
+            this.inventoryManager.recordChange('create', op.sku, source);
+            return true;
+        }
+
+        // Products are never re-dated, so a different dateAdded means another device gave this SKU to a product
+        // of its own (possible for SKUs from before they carried a device code). Fields still merge as usual.
+        if (op.record.dateAdded && product.dateAdded && op.record.dateAdded !== product.dateAdded) {
+            const describe = (p) => `${p.design} (${p.size}/${p.color})`;
+            this.addConflict(op, 'duplicate', describe(product), describe(op.record), 'theirs');
+        }
+
+        const changes = {};
+        op.changed.forEach(field => {
+            const theirs = op.record[field];
+            const pendingHere = !this.sameValue(product[field], base ? base[field] : undefined);
+            const pushedHere = mine && !mine.deleted && mine.changed.includes(field);
+            const oursWins = pendingHere || (pushedHere && mine.seq > op.seq);
+
+            if (oursWins) {
+                if (!this.sameValue(product[field], theirs)) this.addConflict(op, field, product[field], theirs, 'mine');
+                // Not pushed yet: the server now holds theirs, so ours still goes out as a change next time
+                if (pendingHere && !pushedHere && base) this.setField(base, field, theirs);
+                return;
+            }
+            if (pushedHere && !this.sameValue(product[field], theirs)) {
+                this.addConflict(op, field, product[field], theirs, 'theirs');
+            }
+            if (!this.sameValue(product[field], theirs)) changes[field] = { from: product[field], to: theirs };
+            this.setField(product, field, theirs);
+            if (base) this.setField(base, field, theirs);
+        });
+        if (!base) this.state.base[op.sku] = op.record;
+
+        if (Object.keys(changes).length > 0) {
+            this.inventoryManager.recordChange('update', op.sku, { changes, ...source });
+        }
+        return true;
+    }
+
+    applyRemoteDelete(op, mine) {
+        const index = this.inventoryManager.inventory.findIndex(p => p.sku === op.sku);
+        if (index === -1) {
+            delete this.state.base[op.sku];
+            return;
+        }
+        const product = this.inventoryManager.inventory[index];
+        const base = this.state.base[op.sku];
+        const pendingHere = !base || !this.sameValue(this.toRecord(product), base);
+        if (pendingHere || (mine && !mine.deleted && mine.seq > op.seq)) {
+            // Edited here after it was deleted elsewhere: keep it, and re-send it whole next time
+            this.addConflict(op, 'deleted', 'kept', 'deleted', 'mine');
+            if (!mine) delete this.state.base[op.sku];
+            return;
+        }
+        this.inventoryManager.inventory.splice(index, 1);
+        delete this.state.base[op.sku];
+        this.inventoryManager.recordChange('delete', op.sku, { note: `Synced from ${op.deviceName || 'another device'}`, snapshot: product });
+    }
+
+    // Locations are only ever added or closed, so the latest record simply replaces the local one
+    applyRemoteLocation(op) {
+        const index = this.locationManager.locations.findIndex(l => l.id === op.location.id);
+        if (index === -1) {
+            this.locationManager.locations.push({ ...op.location });
+        } else if (!this.locationManager.locations[index].closed || op.location.closed) {
+            this.locationManager.locations[index] = { ...op.location };
+        }
+        this.state.locationBase[op.location.id] = op.location;
+    }
+
+    // Whole design records replace each other, latest first. A design edited here and not yet pushed (or pushed
+    // in this same exchange, so later in server order) is kept; variants follow through their own product operations.
+    applyRemoteDesign(op, pushedHere) {
+        const index = this.designManager.designs.findIndex(d => d.id === op.design.id);
+        const pendingHere = index !== -1 && !this.sameValue(this.designManager.designs[index], this.state.designBase[op.design.id]);
+        if (!pendingHere && !pushedHere) {
+            const design = JSON.parse(JSON.stringify(op.design));
+            if (index === -1) {
+                this.designManager.designs.push(design);
+            } else {
+                this.designManager.designs[index] = design;
+            }
+        }
+        if (!pushedHere) this.state.designBase[op.design.id] = op.design;
+    }
+
+    // Keyed records merge like products: fields changed on another device replace ours unless we changed the
+    // same field and haven't pushed it yet (or pushed it later in server order). mine is as for applyRemoteProduct.
+    applyRemoteRecord(op, mine) {
+        const list = this.records[op.key].get();
+        const idField = SYNC_RECORD_KEYS[op.key];
+        const bases = this.state.recordBase[op.key] || (this.state.recordBase[op.key] = {});
+        const base = bases[op.recordId];
+        const index = list.findIndex(r => r[idField] === op.recordId);
+
+        if (op.deleted) {
+            if (index === -1) {
+                delete bases[op.recordId];
+                return;
+            }
+            const pendingHere = !base || !this.sameValue(list[index], base);
+            if (pendingHere || (mine && !mine.deleted && mine.seq > op.seq)) {
+                // Edited here after it was deleted elsewhere: keep it, and re-send it whole next time
+                if (!mine) delete bases[op.recordId];
+                return;
+            }
+            list.splice(index, 1);
+            delete bases[op.recordId];
+            return;
+        }
+
+        if (index === -1) {
+            const deletedHere = (mine && mine.deleted && mine.seq > op.seq) || (base && !mine);
+            if (deletedHere) {
+                if (!mine) bases[op.recordId] = op.record;
+                return;
+            }
+            list.push(JSON.parse(JSON.stringify(op.record)));
+            bases[op.recordId] = op.record;
+            return;
+        }
+        const record = list[index];
+        const ours = JSON.parse(JSON.stringify(record));
+        op.changed.forEach(field => {
+            const theirs = op.record[field];
+            const pendingHere = !this.sameValue(record[field], base ? base[field] : undefined);
+            const pushedHere = mine && !mine.deleted && mine.changed.includes(field);
+            if (pendingHere || (pushedHere && mine.seq > op.seq)) {
+                if (pendingHere && !pushedHere && base) this.setField(base, field, theirs);
+                return;
+            }
+            this.setField(record, field, theirs);
+            if (base) this.setField(base, field, theirs);
+        });
+        if (this.records[op.key].merge) this.records[op.key].merge(record, ours, op.record);
+        if (!base) bases[op.recordId] = op.record;
+    }
+
+    setField(target, field, value) {
+        if (value === undefined) {
+            delete target[field];
+        } else {
+            target[field] = JSON.parse(JSON.stringify(value));
+        }
+    }
+
+    // kept: whose value the device ended up with ('mine' or 'theirs'); the user can switch it in the UI
+    addConflict(op, field, mine, theirs, kept) {
+        this.state.conflicts.push({
+            id: this.generateOperationId(),
+            sku: op.sku,
+            field,
+            mine,
+            theirs,
+            kept,
+            deviceName: op.deviceName || 'another device',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Applying a choice is an ordinary local edit, so it reaches every other device on the next sync
+    resolveConflict(id, choice) {
+        const conflict = this.state.conflicts.find(c => c.id === id);
+        if (!conflict) return { success: false };
+        this.state.conflicts = this.state.conflicts.filter(c => c.id !== id);
+
+        if (choice !== conflict.kept && conflict.field !== 'duplicate') {
+            if (conflict.field === 'deleted') {
+                this.inventoryManager.deleteProduct(conflict.sku, `Sync conflict with ${conflict.deviceName}`);
+            } else {
+                const product = this.inventoryManager.getProduct(conflict.sku);
+                if (product) {
+                    const value = choice === 'mine' ? conflict.mine : conflict.theirs;
+                    const changes = { [conflict.field]: { from: product[conflict.field], to: value } };
+                    this.setField(product, conflict.field, value);
+                    this.inventoryManager.saveInventory();
+                    this.inventoryManager.recordChange('update', conflict.sku, { changes, note: `Sync conflict with ${conflict.deviceName}` });
+                }
+            }
+        }
+        this.saveState();
+        this.notifyStatus();
+        return { success: true };
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.notifyStatus();
+    }
+
+    notifyStatus() {
+        if (this.onStatusChange) this.onStatusChange(this.getStatus());
+    }
+
+    getStatus() {
+        return {
+            status: this.status,
+            pending: this.state.joined ? Object.values(this.pendingCounts).reduce((sum, count) => sum + count, this.state.outbox.length) : 0,
+            conflicts: this.state.conflicts.length,
+            lastSync: this.state.lastSync,
+            error: this.lastError ? this.lastError.message : null
+        };
+    }
+}
@@ -0,0 +1,220 @@
+// Clothify Users
+// Version 1.3.0
+// Local staff profiles with PIN sign-in and role-based permissions, plus a log of sign-ins and account changes
+
+const USER_ROLES = { owner: 'Owner', manager: 'Manager', cashier: 'Cashier', stockClerk: 'Stock clerk' };
+const USER_PERMISSIONS = {
+    sell: 'Sell and check out',
+    returns: 'Take returns',
+    void: 'Void older sales and refunds',
+    receive: 'Receive stock',
+    stocktake: 'Count stock and correct stock levels',
+    products: 'Add and edit products, designs and labels',
+    prices: 'Change prices, costs and promotions',
+    delete: 'Archive and delete products',
+    transfers: 'Transfer stock between locations',
+    orders: 'Manage suppliers and purchase orders',
+    till: 'Close the day and print Z-reports',
+    reports: 'View analytics',
+    settings: 'Change storage, sync, SKU, label and location settings',
+    audit: 'View the audit log',
+    users: 'Manage user accounts'
+};
+const ROLE_PERMISSIONS = {
+    owner: Object.keys(USER_PERMISSIONS),
+    manager: Object.keys(USER_PERMISSIONS).filter(p => p !== 'users'),
+    cashier: ['sell'],
+    stockClerk: ['receive', 'stocktake', 'products', 'transfers']
+};
+const SESSION_USER_KEY = 'clothify_session_user';
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 60000;
+
+class ClothifyUserManager {
+    constructor(store) {
+        this.store = store;
+        this.usersKey = 'clothify_users';
+        this.logKey = 'clothify_user_log';
+        this.users = this.store.get(this.usersKey, []);
+        this.log = this.store.get(this.logKey, []);
+        // Entries from before log ids existed get one, so they sync like the rest
+        if (this.log.some(entry => !entry.id)) {
+            this.log.forEach(entry => { if (!entry.id) entry.id = this.generateLogId(); });
+            this.saveLog();
+        }
+        this.attempts = {}; // failed PINs per user since the last success, kept in memory only
+        this.currentUser = null;
+        const session = this.getUser(sessionStorage.getItem(SESSION_USER_KEY));
+        if (session && !session.disabled) this.currentUser = session;
+    }
+
+    saveUsers() {
+        this.store.set(this.usersKey, this.users);
+    }
+
+    saveLog() {
+        this.store.set(this.logKey, this.log);
+    }
+
+    generateLogId() {
+        const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+        return `LOG-${Date.now().toString(36).toUpperCase()}-${random}`;
+    }
+
+    recordLog(action, details = {}) {
+        const entry = { id: this.generateLogId(), action, timestamp: new Date().toISOString(), ...details };
+        if (this.currentUser) entry.user = this.currentUser.id;
+        this.log.push(entry);
+        this.saveLog();
+        return entry;
+    }
+
+    hasUsers() {
+        return this.users.length > 0;
+    }
+
+    getUsers() {
+        return [...this.users].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getActiveUsers() {
+        return this.getUsers().filter(u => !u.disabled);
+    }
+
+    getUser(id) {
+        return this.users.find(u => u.id === id);
+    }
+
+    getUserName(id) {
+        const user = this.getUser(id);
+        return user ? user.name : id;
+    }
+
+    getCurrentUser() {
+        return this.currentUser;
+    }
+
+    can(permission, user = this.currentUser) {
+        return !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+    }
+
+    // Why the signed-in user can't do something; empty when they can
+    permissionErrors(permission) {
+        if (this.can(permission)) return [];
+        return [this.currentUser
+            ? `${USER_ROLES[this.currentUser.role]}s can't do this. It needs the "${USER_PERMISSIONS[permission]}" permission.`
+            : 'Sign in first.'];
+    }
+
+    generateUserId() {
+        const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+        return `USR-${Date.now().toString(36).toUpperCase()}-${random}`;
+    }
+
+    // PINs are only ever stored as a salted SHA-256 hash
+    static async hashPin(pin, salt) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${pin}`));
+        return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    static generateSalt() {
+        return [...crypto.getRandomValues(new Uint8Array(16))].map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    validateUser(fields, existing = null) {
+        const errors = [];
+        const name = String(fields.name || '').trim();
+        const pin = String(fields.pin || '');
+        if (!name) errors.push('Name is required');
+        if (this.users.some(u => u !== existing && u.name.toLowerCase() === name.toLowerCase())) {
+            errors.push(`There is already a user called ${name}`);
+        }
+        if (!USER_ROLES[fields.role]) errors.push('Choose a role');
+        if (!this.hasUsers() && fields.role !== 'owner') errors.push('The first account must be an owner');
+        if ((!existing || pin) && !/^\d{4,8}$/.test(pin)) errors.push('PIN must be 4 to 8 digits');
+
+        // Someone must always be able to manage accounts
+        const losesOwner = existing && existing.role === 'owner' && !existing.disabled && (fields.role !== 'owner' || fields.disabled);
+        if (losesOwner && !this.users.some(u => u !== existing && u.role === 'owner' && !u.disabled)) {
+            errors.push('The last active owner can\'t be changed to another role or disabled');
+        }
+        return errors;
+    }
+
+    // Creates an account, or updates the one with fields.id; a blank PIN keeps the current one.
+    // Only the very first account (the owner set up on a new till) can be created without signing in.
+    async saveUser(fields) {
+        if (this.hasUsers() && !this.can('users')) return { success: false, errors: this.permissionErrors('users') };
+        const existing = fields.id ? this.getUser(fields.id) : null;
+        const errors = this.validateUser(fields, existing);
+        if (fields.id && !existing) errors.push('User not found');
+        if (errors.length > 0) return { success: false, errors };
+
+        const user = existing || { id: this.generateUserId(), createdAt: new Date().toISOString() };
+        const changes = [];
+        const name = String(fields.name).trim();
+        if (user.name !== name) changes.push('name');
+        if (user.role !== fields.role) changes.push('role');
+        user.name = name;
+        user.role = fields.role;
+        if (fields.pin) {
+            user.salt = ClothifyUserManager.generateSalt();
+            user.pinHash = await ClothifyUserManager.hashPin(fields.pin, user.salt);
+            changes.push('PIN');
+        }
+        if (!!user.disabled !== !!fields.disabled) changes.push(fields.disabled ? 'disabled' : 'enabled');
+        if (fields.disabled) {
+            user.disabled = true;
+        } else {
+            delete user.disabled;
+        }
+        if (!existing) this.users.push(user);
+        this.saveUsers();
+        this.recordLog(existing ? 'user-update' : 'user-create', { target: user.id, changes: existing ? changes : [] });
+        return { success: true, user };
+    }
+
+    // Five wrong PINs lock the account for a minute
+    async signIn(id, pin) {
+        const user = this.getUser(id);
+        if (!user || user.disabled) return { success: false, errors: ['Choose your name'] };
+        const attempts = this.attempts[id] || { count: 0, lockedUntil: 0 };
+        if (attempts.lockedUntil > Date.now()) {
+            return { success: false, errors: [`Too many wrong PINs. Try again in ${Math.ceil((attempts.lockedUntil - Date.now()) / 1000)} seconds.`] };
+        }
+        if (await ClothifyUserManager.hashPin(String(pin), user.salt) !== user.pinHash) {
+            attempts.count++;
+            if (attempts.count >= MAX_PIN_ATTEMPTS) {
+                attempts.count = 0;
+                attempts.lockedUntil = Date.now() + PIN_LOCKOUT_MS;
+                this.recordLog('sign-in-locked', { target: user.id });
+            }
+            this.attempts[id] = attempts;
+            return { success: false, errors: [attempts.count === 0 ? 'Too many wrong PINs. Try again in a minute.' : 'Wrong PIN'] };
+        }
+        delete this.attempts[id];
+        this.currentUser = user;
+        sessionStorage.setItem(SESSION_USER_KEY, user.id);
+        this.recordLog('sign-in');
+        return { success: true, user };
+    }
+
+    // After a sync the signed-in account may have been replaced, or disabled on another device
+    refreshCurrentUser() {
+        if (!this.currentUser) return;
+        const user = this.getUser(this.currentUser.id);
+        if (user && !user.disabled) {
+            this.currentUser = user;
+            return;
+        }
+        this.currentUser = null;
+        sessionStorage.removeItem(SESSION_USER_KEY);
+    }
+
+    signOut() {
+        if (!this.currentUser) return;
+        this.recordLog('sign-out');
+        this.currentUser = null;
+        sessionStorage.removeItem(SESSION_USER_KEY);
+    }
+}